@@ -0,0 +1,32 @@
+# Generated by Django 5.2.10 on 2026-10-19 09:12
+
+import django.db.models.deletion
+from django.db import migrations, models
+
+
+def set_owner_key(apps, schema_editor):
+    # No replants yet: every flower starts its own lineage
+    Flower = apps.get_model("flowers", "Flower")
+    Flower.objects.update(owner_key=models.F("owner_token"))
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('flowers', '0001_initial'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='flower',
+            name='predecessor',
+            field=models.OneToOneField(blank=True, null=True, on_delete=django.db.models.deletion.SET_NULL, related_name='successor', to='flowers.flower'),
+        ),
+        migrations.AddField(
+            model_name='flower',
+            name='owner_key',
+            field=models.CharField(db_index=True, default='', editable=False, max_length=64),
+            preserve_default=False,
+        ),
+        migrations.RunPython(set_owner_key, migrations.RunPython.noop),
+    ]
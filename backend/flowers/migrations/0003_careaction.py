@@ -0,0 +1,26 @@
+# Generated by Django 5.2.10 on 2026-10-19 10:41
+
+import django.db.models.deletion
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('flowers', '0002_flower_predecessor'),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name='CareAction',
+            fields=[
+                ('id', models.BigAutoField(auto_created=True, primary_key=True, serialize=False, verbose_name='ID')),
+                ('kind', models.CharField(choices=[('water', 'Water'), ('sunlight', 'Sunlight'), ('talk', 'Talk')], max_length=10)),
+                ('performed_at', models.DateTimeField()),
+                ('flower', models.ForeignKey(on_delete=django.db.models.deletion.CASCADE, related_name='care_actions', to='flowers.flower')),
+            ],
+            options={
+                'ordering': ['performed_at'],
+            },
+        ),
+    ]
@@ -0,0 +1,18 @@
+# Generated by Django 5.2.10 on 2026-10-19 14:05
+
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ('flowers', '0003_careaction'),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name='flower',
+            name='species',
+            field=models.CharField(default='wildflower', max_length=32),
+        ),
+    ]
@@ -30,6 +30,13 @@ class Flower(models.Model):
     # Random seed for deterministic visuals
     seed = models.PositiveIntegerField()
 
+    # Built-in species it grows as: a file in frontend/static/species/,
+    # checked when planting (see utils/species.py)
+    species = models.CharField(
+        max_length=32,
+        default="wildflower"
+    )
+
     # Secret token proving ownership
     owner_token = models.CharField(
         max_length=64,
@@ -37,6 +44,24 @@ class Flower(models.Model):
         editable=False
     )
 
+    # The flower this one was replanted over (kept as history). One-to-one:
+    # a flower can be replanted once, even by two requests racing.
+    predecessor = models.OneToOneField(
+        "self",
+        null=True,
+        blank=True,
+        on_delete=models.SET_NULL,
+        related_name="successor"
+    )
+
+    # Shared by every flower planted in one spot: the first flower's owner
+    # token, copied down on each replant. Finds a whole lineage in one query.
+    owner_key = models.CharField(
+        max_length=64,
+        db_index=True,
+        editable=False
+    )
+
     # Metadata only (never used for logic)
     created_at = models.DateTimeField(auto_now_add=True)
 
@@ -44,7 +69,48 @@ class Flower(models.Model):
         # Generate owner token once, on creation
         if not self.owner_token:
             self.owner_token = secrets.token_hex(32)
+        if not self.owner_key:
+            self.owner_key = self.predecessor.owner_key if self.predecessor else self.owner_token
         super().save(*args, **kwargs)
 
+    def get_successor(self):
+        return Flower.objects.filter(predecessor=self).first()
+
+    def latest(self):
+        # The flower currently growing in this spot (after any replants)
+        return Flower.objects.filter(owner_key=self.owner_key, successor__isnull=True).first() or self
+
+    def lineage(self):
+        # Every flower planted in this spot, newest first
+        return Flower.objects.filter(owner_key=self.owner_key).order_by("-planted_at")
+
     def __str__(self):
         return f"Flower {self.id} ({self.variation})"
+
+
+class CareAction(models.Model):
+    KIND_CHOICES = [
+        ("water", "Water"),
+        ("sunlight", "Sunlight"),
+        ("talk", "Talk"),
+    ]
+
+    flower = models.ForeignKey(
+        Flower,
+        on_delete=models.CASCADE,
+        related_name="care_actions"
+    )
+
+    kind = models.CharField(
+        max_length=10,
+        choices=KIND_CHOICES
+    )
+
+    # Server time of the action: the plant's health is replayed from these
+    performed_at = models.DateTimeField()
+
+    class Meta:
+        ordering = ["performed_at"]
+
+    def __str__(self):
+        return f"{self.kind} for {self.flower_id} at {self.performed_at:%Y-%m-%d %H:%M}"
@@ -1,3 +1,173 @@
-from django.test import TestCase
+import uuid
+from datetime import timedelta
+from unittest import mock
 
-# Create your tests here.
+from django.test import Client, TestCase
+from django.urls import reverse
+from django.utils import timezone
+
+from .models import CareAction, Flower
+from .utils.care import CARE_ACTIONS
+from .utils.lifecycle import LIFECYCLE, SOIL_MERGE_TIME
+from .views import OWNER_COOKIE
+
+MERGED_AGE = LIFECYCLE["FALLEN"] + SOIL_MERGE_TIME
+
+
+def set_age(flower_id, seconds):
+    Flower.objects.filter(id=flower_id).update(planted_at=timezone.now() - timedelta(seconds=seconds))
+
+
+class ApiTestCase(TestCase):
+    def plant(self, client=None, **body):
+        return (client or self.client).post(
+            reverse("api_plant_flower"), body, content_type="application/json"
+        )
+
+
+class ApiFlowerTests(ApiTestCase):
+    def test_unknown_flower_is_404(self):
+        response = self.client.get(reverse("api_flower", args=[uuid.uuid4()]))
+        self.assertEqual(response.status_code, 404)
+
+    def test_reports_ownership_to_the_planting_browser_only(self):
+        flower_id = self.plant().json()["id"]
+        url = reverse("api_flower", args=[flower_id])
+
+        response = self.client.get(url)
+        self.assertEqual(response.status_code, 200)
+        self.assertIs(response.json()["is_owner"], True)
+        self.assertEqual(response["Cache-Control"], "no-store")
+
+        self.client.cookies[OWNER_COOKIE] = "not-the-owner"
+        self.assertIs(self.client.get(url).json()["is_owner"], False)
+
+
+class ApiPlantFlowerTests(ApiTestCase):
+    def test_plants_and_sets_the_owner_cookie(self):
+        response = self.plant()
+        self.assertEqual(response.status_code, 201)
+        flower = Flower.objects.get(id=response.json()["id"])
+        self.assertEqual(response.cookies[OWNER_COOKIE].value, flower.owner_token)
+
+    def test_plants_the_named_species(self):
+        response = self.plant(species="tulip")
+        self.assertEqual(response.status_code, 201)
+        self.assertEqual(response.json()["species"], "tulip")
+        self.assertEqual(Flower.objects.get().species, "tulip")
+
+    def test_rejects_unknown_and_malformed_species(self):
+        for species in ("orchid", ["tulip"], None):
+            self.assertEqual(self.plant(species=species).status_code, 400, species)
+        self.assertEqual(self.client.get(reverse("plant_flower"), {"species": "orchid"}).status_code, 400)
+        self.assertFalse(Flower.objects.exists())
+
+    def test_refuses_to_replant_before_the_soil_merge(self):
+        flower_id = self.plant().json()["id"]
+        set_age(flower_id, MERGED_AGE - 60)
+        response = self.plant()
+        self.assertEqual(response.status_code, 409)
+        self.assertEqual(response.json()["id"], flower_id)
+        self.assertEqual(Flower.objects.count(), 1)
+
+
+class ReplantTests(ApiTestCase):
+    def test_replants_over_a_merged_flower_and_keeps_it_as_history(self):
+        old_id = self.plant().json()["id"]
+        old_cookie = self.client.cookies[OWNER_COOKIE].value
+        set_age(old_id, MERGED_AGE)
+
+        response = self.plant()
+        self.assertEqual(response.status_code, 201)
+        new = Flower.objects.get(id=response.json()["id"])
+        old = Flower.objects.get(id=old_id)
+        self.assertEqual(new.predecessor, old)
+        self.assertEqual(new.owner_key, old.owner_key)
+        self.assertEqual(old.latest(), new)
+        self.assertEqual(list(new.lineage()), [new, old])
+
+        # The cookie from before the replant still owns both
+        self.client.cookies[OWNER_COOKIE] = old_cookie
+        for flower in (old, new):
+            self.assertIs(self.client.get(reverse("api_flower", args=[flower.id])).json()["is_owner"], True)
+
+    def test_plant_page_redirects_to_the_growing_flower(self):
+        flower_id = self.plant().json()["id"]
+        response = self.client.get(reverse("plant_flower"))
+        self.assertRedirects(response, reverse("view_flower", args=[flower_id]))
+
+    def test_a_racing_replant_returns_the_flower_that_won(self):
+        old_id = self.plant().json()["id"]
+        set_age(old_id, MERGED_AGE)
+        old = Flower.objects.get(id=old_id)
+        # The other request has already replanted, after this one read `old`
+        winner = Flower.objects.create(planted_at=timezone.now(), variation="red", seed=1, predecessor=old)
+
+        with mock.patch("flowers.views.owned_flower", side_effect=[old, winner]):
+            response = self.plant()
+        self.assertEqual(response.status_code, 409)
+        self.assertEqual(response.json()["id"], str(winner.id))
+        self.assertEqual(Flower.objects.count(), 2)
+
+    def test_finds_a_lineage_in_bounded_queries(self):
+        flower = Flower.objects.create(planted_at=timezone.now() - timedelta(days=20), variation="red", seed=1)
+        for days in (10, 0):
+            flower = Flower.objects.create(
+                planted_at=timezone.now() - timedelta(days=days), variation="red", seed=1, predecessor=flower
+            )
+        first = flower.predecessor.predecessor
+        with self.assertNumQueries(2):
+            self.assertEqual(first.latest(), flower)
+            self.assertEqual(len(first.lineage()), 3)
+
+
+class ApiCareFlowerTests(ApiTestCase):
+    def setUp(self):
+        self.flower_id = self.plant().json()["id"]
+
+    def care(self, kind="water", client=None, flower_id=None):
+        return (client or self.client).post(
+            reverse("api_care_flower", args=[flower_id or self.flower_id]),
+            {"kind": kind},
+            content_type="application/json",
+        )
+
+    def test_records_the_action_and_returns_the_history(self):
+        response = self.care("water")
+        self.assertEqual(response.status_code, 201)
+        [action] = response.json()["care"]
+        self.assertEqual(action["kind"], "water")
+        self.assertIn("performedAt", action)
+        self.assertEqual(CareAction.objects.filter(flower_id=self.flower_id).count(), 1)
+
+    def test_unknown_flower_is_404(self):
+        self.assertEqual(self.care(flower_id=uuid.uuid4()).status_code, 404)
+
+    def test_only_the_owner_can_care(self):
+        self.assertEqual(self.care(client=Client()).status_code, 403)
+
+    def test_rejects_unknown_and_malformed_kinds(self):
+        for kind in ("dance", [], {"kind": "water"}, None):
+            self.assertEqual(self.care(kind).status_code, 400, kind)
+
+    def test_refuses_a_fallen_flower(self):
+        set_age(self.flower_id, LIFECYCLE["FALLEN"])
+        self.assertEqual(self.care().status_code, 409)
+
+    def test_refuses_a_replaced_flower(self):
+        old = Flower.objects.get(id=self.flower_id)
+        Flower.objects.create(planted_at=timezone.now(), variation="red", seed=1, predecessor=old)
+        self.assertEqual(self.care().status_code, 409)
+
+    def test_cools_down_each_action_separately(self):
+        self.assertEqual(self.care("water").status_code, 201)
+        response = self.care("water")
+        self.assertEqual(response.status_code, 429)
+        cooldown = CARE_ACTIONS["water"].total_seconds()
+        self.assertTrue(0 < response.json()["retry_after"] <= cooldown + 1)
+        self.assertEqual(self.care("talk").status_code, 201)
+
+        CareAction.objects.filter(kind="water").update(
+            performed_at=timezone.now() - CARE_ACTIONS["water"]
+        )
+        self.assertEqual(self.care("water").status_code, 201)
@@ -5,4 +5,11 @@ from . import views
 urlpatterns = [
     path("plant/", views.plant_flower, name="plant_flower"),
     path("f/<uuid:flower_id>/", views.view_flower, name="view_flower"),
-]
\ No newline at end of file
+    path("garden/", views.view_garden, name="view_garden"),
+    path("history/", views.view_history, name="view_history"),
+
+    # JSON API
+    path("api/plant/", views.api_plant_flower, name="api_plant_flower"),
+    path("api/f/<uuid:flower_id>/", views.api_flower, name="api_flower"),
+    path("api/f/<uuid:flower_id>/care/", views.api_care_flower, name="api_care_flower"),
+]
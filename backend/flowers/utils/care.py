@@ -0,0 +1,18 @@
+# Care rules the server enforces. Cooldowns mirror CARE_CONFIG.ACTIONS in
+# frontend/static/js/care.js, which turns the recorded history into health.
+
+from datetime import timedelta
+
+CARE_ACTIONS = {
+    "water": timedelta(hours=6),
+    "sunlight": timedelta(hours=6),
+    "talk": timedelta(hours=1),
+}
+
+
+def get_care_cooldown(flower, kind, now):
+    # Time until `kind` may be repeated (zero = now)
+    last = flower.care_actions.filter(kind=kind).order_by("-performed_at").first()
+    if last is None:
+        return timedelta(0)
+    return max(timedelta(0), last.performed_at + CARE_ACTIONS[kind] - now)
@@ -0,0 +1,46 @@
+# Server-side mirror of the stage rules in frontend/static/js/lifecycle.js.
+# Both sides must agree: the client shows the countdown, the server decides.
+
+from datetime import timedelta
+
+LIFECYCLE = {
+    "SEED": 0,
+    "SPROUT": 6 * 60 * 60,  # 6 hours
+    "GROWING": 24 * 60 * 60,  # 1 day
+    "BLOOM": 3 * 24 * 60 * 60,  # 3 days
+    "OLD": 5 * 24 * 60 * 60,  # 5 days
+    "FALLEN": 7 * 24 * 60 * 60,  # 7 days
+}
+
+SOIL_MERGE_TIME = 2 * 24 * 60 * 60  # 2 days
+
+
+def get_flower_age_seconds(flower, now):
+    return max(0.0, (now - flower.planted_at).total_seconds())
+
+
+def get_lifecycle_stage(age):
+    if age < LIFECYCLE["SPROUT"]:
+        return "seed"
+    if age < LIFECYCLE["GROWING"]:
+        return "sprout"
+    if age < LIFECYCLE["BLOOM"]:
+        return "growing"
+    if age < LIFECYCLE["OLD"]:
+        return "bloom"
+    if age < LIFECYCLE["FALLEN"]:
+        return "old"
+    return "fallen"
+
+
+def can_plant_again(age):
+    return age >= LIFECYCLE["FALLEN"] + SOIL_MERGE_TIME
+
+
+def get_stage_dates(flower):
+    # Real-world milestones shown on the history timeline
+    return {
+        "planted_at": flower.planted_at,
+        "bloomed_at": flower.planted_at + timedelta(seconds=LIFECYCLE["BLOOM"]),
+        "fell_at": flower.planted_at + timedelta(seconds=LIFECYCLE["FALLEN"]),
+    }
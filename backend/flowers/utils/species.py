@@ -0,0 +1,21 @@
+# Species the frontend can grow: one JSON definition per file in
+# frontend/static/species/, checked against SPECIES_SCHEMA by species.js.
+# Planting only accepts these ids, and the pages embed the definitions
+# (SPECIES_DEFINITIONS) so species.js grows from the same files.
+
+import json
+
+from django.conf import settings
+
+SPECIES_DIR = settings.BASE_DIR.parent / "frontend" / "static" / "species"
+
+# Mirrors DEFAULT_SPECIES in species.js: flowers planted without a species
+DEFAULT_SPECIES = "wildflower"
+
+
+def load_species():
+    # {id: definition}, from the file names
+    return {path.stem: json.loads(path.read_text()) for path in sorted(SPECIES_DIR.glob("*.json"))}
+
+
+SPECIES = load_species()
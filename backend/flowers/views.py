@@ -1,51 +1,275 @@
+import json
+from datetime import timedelta
+
+from django.db import IntegrityError, transaction
 from django.shortcuts import render
 from django.shortcuts import redirect
 from django.utils import timezone
-from django.http import HttpResponseForbidden
+from django.http import HttpResponseBadRequest, JsonResponse
+from django.views.decorators.csrf import ensure_csrf_cookie
+from django.views.decorators.http import require_GET, require_POST
 
-from .models import Flower
+from .models import CareAction, Flower
+from .utils.care import CARE_ACTIONS, get_care_cooldown
+from .utils.lifecycle import (
+    LIFECYCLE,
+    SOIL_MERGE_TIME,
+    can_plant_again,
+    get_flower_age_seconds,
+    get_lifecycle_stage,
+    get_stage_dates,
+)
 from .utils.seeds import random_variation, random_seed
+from .utils.species import DEFAULT_SPECIES, SPECIES
 from django.shortcuts import render, get_object_or_404
 
 
-def plant_flower(request):
-    # Check if this browser already owns a flower
-    owner_token = request.COOKIES.get("flower_owner")
+# Garden: flowers still visible, i.e. planted less than FALLEN + SOIL_MERGE_TIME
+# ago (see lifecycle.js), newest first.
+GARDEN_MAX_AGE = timedelta(seconds=LIFECYCLE["FALLEN"] + SOIL_MERGE_TIME)
+GARDEN_MAX_FLOWERS = 200
+
+OWNER_COOKIE = "flower_owner"
+
+
+def epoch_ms(moment):
+    return int(moment.timestamp() * 1000)
+
+
+def owned_flower(request):
+    # The flower this browser is growing, if any. An older cookie (from
+    # before a replant) still leads to the current flower.
+    owner_token = request.COOKIES.get(OWNER_COOKIE)
+    if not owner_token:
+        return None
+    flower = Flower.objects.filter(owner_token=owner_token).first()
+    return flower.latest() if flower else None
+
 
-    if owner_token:
-        existing_flower = Flower.objects.filter(owner_token=owner_token).first()
-        if existing_flower:
-            return redirect("view_flower", flower_id=existing_flower.id)
+def is_owner(request, flower):
+    # The owner of a spot owns its whole history
+    owner_token = request.COOKIES.get(OWNER_COOKIE)
+    if not owner_token:
+        return False
+    return Flower.objects.filter(owner_token=owner_token, owner_key=flower.owner_key).exists()
 
-    # Create the flower
-    flower = Flower.objects.create(
+
+def create_flower(species, predecessor=None):
+    return Flower.objects.create(
         planted_at=timezone.now(),
         variation=random_variation(),
         seed=random_seed(),
+        species=species,
+        predecessor=predecessor,
     )
 
-    # Redirect to flower page
-    response = redirect("view_flower", flower_id=flower.id)
 
-    # Set ownership cookie (1 year lifespan)
+def unknown_species_error(species):
+    return f"Unknown species {species!r}, expected one of {', '.join(SPECIES)}"
+
+
+def plant_for(request, species):
+    # Returns (flower, planted): a new flower when this browser has none, or
+    # when its flower has merged into the soil (the old one is kept as history).
+    # Otherwise the flower it is still growing.
+    existing_flower = owned_flower(request)
+    if existing_flower and not can_plant_again(get_flower_age_seconds(existing_flower, timezone.now())):
+        return existing_flower, False
+
+    try:
+        with transaction.atomic():
+            return create_flower(species, predecessor=existing_flower), True
+    except IntegrityError:
+        # Another request planted or replanted this spot first: re-read the
+        # flower by owner token (`existing_flower` is None on a first planting)
+        current = owned_flower(request)
+        if current is None:
+            raise
+        return current, False
+
+
+def set_owner_cookie(response, flower):
+    # Ownership cookie (1 year lifespan)
     response.set_cookie(
-        key="flower_owner",
+        key=OWNER_COOKIE,
         value=flower.owner_token,
         max_age=60 * 60 * 24 * 365,
         httponly=True,
         samesite="Strict",
     )
 
+
+def care_history(flower):
+    # Oldest first, in the pages' shape (getCareAges in care.js): each plant
+    # is grown along its care history wherever it is drawn
+    return [
+        {"kind": action.kind, "performedAt": action.performed_at.isoformat()}
+        for action in flower.care_actions.all()
+    ]
+
+
+def serialize_flower(flower, now, owner):
+    # Lifecycle is measured against server time, not the visitor's clock
+    age = get_flower_age_seconds(flower, now)
+    successor = flower.get_successor()
+    return {
+        "id": str(flower.id),
+        "seed": flower.seed,
+        "variation": flower.variation,
+        "species": flower.species,
+        "planted_at": flower.planted_at.isoformat(),
+        "server_time": epoch_ms(now),
+        "stage": get_lifecycle_stage(age),
+        "is_owner": owner,
+        "successor_id": str(successor.id) if successor else None,
+        # Oldest first; the client replays it into the plant's health (care.js)
+        "care": care_history(flower),
+    }
+
+
+def plant_flower(request):
+    # A browser grows one flower at a time; replanting opens once it has
+    # merged into the soil. ?species= picks a built-in species.
+    species = request.GET.get("species", DEFAULT_SPECIES)
+    if species not in SPECIES:
+        return HttpResponseBadRequest(unknown_species_error(species))
+
+    flower, planted = plant_for(request, species)
+
+    # Redirect to flower page
+    response = redirect("view_flower", flower_id=flower.id)
+    if planted:
+        set_owner_cookie(response, flower)
+
     return response
 
 
 def view_flower(request, flower_id):
     flower = get_object_or_404(Flower, id=flower_id)
 
+    # The page only carries the id: flower.js loads the rest from api_flower
+    return render(request, "flower.html", {"flower": flower, "species": SPECIES})
+
+
+def view_garden(request):
+    now = timezone.now()
+    flowers = (
+        Flower.objects.filter(planted_at__gte=now - GARDEN_MAX_AGE)
+        .order_by("-planted_at")
+        .prefetch_related("care_actions")
+    )
+
     return render(
         request,
-        "flower.html",
+        "garden.html",
         {
-            "flower": flower,
+            "flowers": [
+                {
+                    "id": str(flower.id),
+                    "seed": flower.seed,
+                    "variation": flower.variation,
+                    "species": flower.species,
+                    "plantedAt": flower.planted_at.isoformat(),
+                    "care": care_history(flower),
+                }
+                for flower in flowers[:GARDEN_MAX_FLOWERS]
+            ],
+            "server_now_ms": epoch_ms(now),
+            "species": SPECIES,
         }
-    )
\ No newline at end of file
+    )
+
+
+def view_history(request):
+    # Every flower this browser has grown, oldest first
+    current = owned_flower(request)
+    flowers = current.lineage().reverse().prefetch_related("care_actions") if current else []
+
+    now = timezone.now()
+    entries = []
+    for flower in flowers:
+        dates = get_stage_dates(flower)
+        entries.append({
+            "flower": flower,
+            "care_json": json.dumps(care_history(flower)),
+            **dates,
+            "bloomed": dates["bloomed_at"] <= now,
+            "fallen": dates["fell_at"] <= now,
+        })
+
+    return render(request, "history.html", {"entries": entries, "species": SPECIES})
+
+
+# --- JSON API ---
+# Same data as the pages, for clients that load flowers without a page render
+# (see flower_api.js). Responses are never cached: server_time is the clock.
+
+
+@require_GET
+@ensure_csrf_cookie
+def api_flower(request, flower_id):
+    flower = Flower.objects.filter(id=flower_id).first()
+    if not flower:
+        return JsonResponse({"error": "Flower not found"}, status=404)
+
+    response = JsonResponse(serialize_flower(flower, timezone.now(), is_owner(request, flower)))
+    response["Cache-Control"] = "no-store"
+    return response
+
+
+@require_POST
+def api_plant_flower(request):
+    # Optional body {species}: a built-in species id, the default otherwise
+    try:
+        species = json.loads(request.body or b"{}").get("species", DEFAULT_SPECIES)
+    except (ValueError, AttributeError):
+        species = None
+    if not isinstance(species, str) or species not in SPECIES:
+        return JsonResponse({"error": unknown_species_error(species)}, status=400)
+
+    flower, planted = plant_for(request, species)
+    if not planted:
+        return JsonResponse(
+            {"error": "This flower has not merged into the soil yet", "id": str(flower.id)},
+            status=409,
+        )
+
+    response = JsonResponse(serialize_flower(flower, timezone.now(), True), status=201)
+    set_owner_cookie(response, flower)
+
+    return response
+
+
+@require_POST
+def api_care_flower(request, flower_id):
+    flower = Flower.objects.filter(id=flower_id).first()
+    if not flower:
+        return JsonResponse({"error": "Flower not found"}, status=404)
+    if not is_owner(request, flower):
+        return JsonResponse({"error": "Only the owner can care for this flower"}, status=403)
+
+    try:
+        kind = json.loads(request.body or b"{}").get("kind")
+    except (ValueError, AttributeError):
+        kind = None
+    if not isinstance(kind, str) or kind not in CARE_ACTIONS:
+        return JsonResponse({"error": f"Unknown care action, expected one of {', '.join(CARE_ACTIONS)}"}, status=400)
+
+    with transaction.atomic():
+        # One action at a time per flower, so two clicks can't both pass the cooldown
+        flower = Flower.objects.select_for_update().get(id=flower.id)
+        now = timezone.now()
+
+        if flower.get_successor() or get_lifecycle_stage(get_flower_age_seconds(flower, now)) == "fallen":
+            return JsonResponse({"error": "This flower can no longer be cared for"}, status=409)
+
+        cooldown = get_care_cooldown(flower, kind, now)
+        if cooldown:
+            return JsonResponse(
+                {"error": "This care action is cooling down", "retry_after": int(cooldown.total_seconds()) + 1},
+                status=429,
+            )
+
+        CareAction.objects.create(flower=flower, kind=kind, performed_at=now)
+
+    return JsonResponse(serialize_flower(flower, now, True), status=201)
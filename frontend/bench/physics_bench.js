@@ -0,0 +1,141 @@
+// physics_bench.js
+// Step time and per-step allocations of the simulation hot paths.
+//
+//   node frontend/bench/physics_bench.js
+//
+// Each case reports the time per call, the bytes it leaves on the heap per
+// call (measured between forced collections, with a young generation large
+// enough that nothing is collected in between) and how many collections
+// 6000 calls trigger. Numbers vary by machine; compare runs on one machine.
+// baseline.md records a run from before and after the struct-of-arrays
+// storage, and what each case still allocates.
+
+const { spawnSync } = require("node:child_process");
+const { PerformanceObserver } = require("node:perf_hooks");
+
+// Re-run with the flags the allocation count needs
+if (typeof gc !== "function") {
+  const flags = ["--expose-gc", "--min-semi-space-size=64", "--max-semi-space-size=64"];
+  const result = spawnSync(process.execPath, [...flags, __filename], { stdio: "inherit" });
+  process.exit(result.status);
+}
+
+const { FlowerSimulation } = require("../static/js/simulation.js");
+const { GardenSimulation } = require("../static/js/garden_system.js");
+require("../static/js/lighting.js");
+const { getPalette } = require("../static/js/palette.js");
+const { buildFlowerScene } = require("../static/js/geometry.js");
+
+const DAY = 24 * 3600 * 1000;
+const NOW = Date.UTC(2024, 5, 1, 12);
+
+// A grown plant in bloom, without weather: only the flower's own work is measured
+function bloomingFlower(seed = 42) {
+  return new FlowerSimulation({ seed, structuralAge: 14 });
+}
+
+function flowerCase() {
+  const sim = bloomingFlower();
+  return { name: "Flower step", unit: "step", run: () => sim.step(1) };
+}
+
+function windCase() {
+  const sim = bloomingFlower();
+  const points = sim.flower.segments.map((seg) => seg.pos.clone());
+  const out = new Vector2();
+  let time = sim.time;
+  return {
+    name: `Wind sampling (${points.length} points)`,
+    unit: "frame",
+    run: () => {
+      time += 1 / 120;
+      for (const point of points) sim.wind.getForce(point, time, out);
+    },
+  };
+}
+
+function gardenCase(count = 24) {
+  const flowers = Array.from({ length: count }, (_, i) => ({
+    id: `f${i}`,
+    seed: 1000 + i,
+    variation: "red",
+    plantedAt: NOW - 4 * DAY - i * 60 * 1000,
+  }));
+  const garden = new GardenSimulation({ flowers, now: NOW });
+  garden.plantPending();
+  return { name: `Garden step (${count} plants, weather)`, unit: "step", run: () => garden.step(1) };
+}
+
+function sceneCase() {
+  const sim = bloomingFlower();
+  const view = { width: 400, height: 600, palette: getPalette("red"), background: false };
+  return {
+    name: "Flower scene",
+    unit: "frame",
+    run: () => buildFlowerScene(sim.flower.getRenderState(1), sim.time, view),
+  };
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Median over short rounds, each started from a clean heap: a round that a
+// collection (e.g. of the old generation) cut short doesn't skew the result
+function measureAllocation(run, calls, rounds = 9) {
+  const perCall = [];
+  for (let r = 0; r < rounds; r++) {
+    gc();
+    const before = process.memoryUsage().heapUsed;
+    for (let i = 0; i < calls; i++) run();
+    perCall.push(Math.max(0, process.memoryUsage().heapUsed - before) / calls);
+  }
+  return median(perCall);
+}
+
+// Median of a few timed rounds, in µs per call
+function measureTime(run, calls, rounds = 5) {
+  const perCall = [];
+  for (let r = 0; r < rounds; r++) {
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < calls; i++) run();
+    perCall.push(Number(process.hrtime.bigint() - start) / 1e3 / calls);
+  }
+  return median(perCall);
+}
+
+async function countCollections(run, calls) {
+  let count = 0;
+  const observer = new PerformanceObserver((list) => {
+    count += list.getEntries().length;
+  });
+  observer.observe({ entryTypes: ["gc"] });
+  for (let i = 0; i < calls; i++) run();
+  await new Promise((resolve) => setTimeout(resolve, 50)); // GC entries arrive asynchronously
+  observer.disconnect();
+  return count;
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes.toFixed(0)} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function main() {
+  const CALLS = 1200; // 10 simulated seconds of 1/120 s steps
+  console.log(`${"case".padEnd(36)}${"time".padStart(14)}${"allocated".padStart(16)}${"GCs".padStart(8)}`);
+
+  for (const make of [flowerCase, windCase, gardenCase, sceneCase]) {
+    const { name, unit, run } = make();
+    measureTime(run, CALLS, 1); // Let the JIT settle
+    const time = measureTime(run, CALLS);
+    const bytes = measureAllocation(run, CALLS / 4);
+    const collections = await countCollections(run, CALLS * 5);
+    console.log(
+      `${name.padEnd(36)}${`${time.toFixed(1)} µs/${unit}`.padStart(14)}` +
+      `${`${formatBytes(bytes)}/${unit}`.padStart(16)}${String(collections).padStart(8)}`
+    );
+  }
+}
+
+main();
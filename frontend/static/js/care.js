@@ -0,0 +1,99 @@
+// care.js
+// Care History -> Health
+//
+// Owners water their flower, give it sunlight and talk to it; the server
+// records each action with its time (CareAction in models.py). Health is a
+// pure function of that history and the plant's real age: it runs down
+// slowly without care and every action lifts it again. The same history
+// always gives the same health curve, so the plant grown along it (see
+// Flower.setHealth) looks the same on every device and every reload.
+
+const CARE_CONFIG = {
+    START_HEALTH: 1.0, // A fresh seed
+    DECAY_PER_DAY: 0.25, // Health lost per day without care
+    // Cooldowns mirror CARE_ACTIONS in backend/flowers/utils/care.py
+    ACTIONS: {
+        water: { boost: 0.3, cooldown: 6 * 60 * 60 },
+        sunlight: { boost: 0.2, cooldown: 6 * 60 * 60 },
+        talk: { boost: 0.1, cooldown: 60 * 60 },
+    },
+};
+
+const CARE_DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Converts the API's care records to ages on the plant's own clock.
+ * @param {{kind: string, performedAt: string}[]} care - From FlowerApi
+ * @param {string|number} plantedAt - ISO timestamp or epoch ms
+ * @returns {{kind: string, age: number}[]} Age in seconds since planting
+ */
+function getCareAges(care, plantedAt) {
+    const plantedMs = new Date(plantedAt).getTime();
+    return care.map((action) => ({
+        kind: action.kind,
+        age: (new Date(action.performedAt).getTime() - plantedMs) / 1000,
+    }));
+}
+
+/**
+ * Builds the health curve of a care history. The history is sorted once;
+ * the returned function is cheap enough to sample every physics step.
+ * @param {{kind: string, age: number}[]} care - Actions, age in seconds since planting
+ * @returns {function(number): number} Real age (s) -> health, 0 (neglected) .. 1 (thriving)
+ */
+function createHealthProfile(care) {
+    const actions = care
+        .filter((action) => CARE_CONFIG.ACTIONS[action.kind])
+        .map((action) => ({ kind: action.kind, age: Math.max(0, action.age) }))
+        .sort((a, b) => a.age - b.age);
+
+    return (age) => {
+        let health = CARE_CONFIG.START_HEALTH;
+        let since = 0;
+        for (const action of actions) {
+            if (action.age > age) break;
+            health = Math.max(0, health - ((action.age - since) / CARE_DAY_SECONDS) * CARE_CONFIG.DECAY_PER_DAY);
+            health = Math.min(1, health + CARE_CONFIG.ACTIONS[action.kind].boost);
+            since = action.age;
+        }
+        return Math.max(0, health - ((Math.max(age, since) - since) / CARE_DAY_SECONDS) * CARE_CONFIG.DECAY_PER_DAY);
+    };
+}
+
+/**
+ * @param {{kind: string, age: number}[]} care
+ * @param {number} age - Real age in seconds
+ * @returns {number} 0 (neglected) .. 1 (thriving)
+ */
+function computeHealth(care, age) {
+    return createHealthProfile(care)(age);
+}
+
+/**
+ * Seconds until an action of this kind may be repeated (0 = now).
+ * The server enforces the same cooldown.
+ * @param {{kind: string, age: number}[]} care
+ * @param {string} kind - Key of CARE_CONFIG.ACTIONS
+ * @param {number} age - Real age in seconds
+ */
+function getCareCooldown(care, kind, age) {
+    const config = CARE_CONFIG.ACTIONS[kind];
+    if (!config) return Infinity;
+
+    const last = Math.max(-Infinity, ...care.filter((a) => a.kind === kind && a.age <= age).map((a) => a.age));
+    return Math.max(0, config.cooldown - (age - last));
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+const careExports = {
+    CARE_CONFIG,
+    getCareAges,
+    createHealthProfile,
+    computeHealth,
+    getCareCooldown,
+};
+Object.assign(globalThis, careExports);
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = careExports;
+}
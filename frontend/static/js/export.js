@@ -0,0 +1,240 @@
+// export.js
+// Sharing: PNG, SVG and looping animation exports
+//
+// Every export is built from the same scene geometry that paints the page
+// (geometry.js), so what you download is what you see:
+// - PNG: an offscreen Canvas 2D renderer at any scale.
+// - SVG: the scene primitives as markup (render_svg.js), which keeps
+//   drawSpline's stem ribbon and the petal quadratic curves as vector paths.
+// - GIF / WebM: a short clip from a copy of the live simulation, with its end
+//   cross-faded into its start so it loops without a jump. Clips render at a
+//   bounded size and yield to the page between frames, so the page stays
+//   responsive while dozens of frames are drawn and encoded.
+
+const EXPORT_CONFIG = {
+  MAX_SIDE: 16384, // px, beyond that browsers refuse to allocate the canvas
+  ANIMATION_SECONDS: 3,
+  ANIMATION_FPS: 15,
+  ANIMATION_MAX_SIDE: 480, // px, longest side of a GIF/WebM frame
+  LOOP_FADE_SECONDS: 0.6, // Tail cross-faded into the first frames
+  WEBM_BITRATE: 4000000,
+};
+
+// --- Exporter (browser) ---
+
+// Resolves on a later task, so the page can paint and handle input
+function nextTask() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+class FlowerExporter {
+  /**
+   * @param {Object} options
+   * @param {FlowerSimulation} options.simulation - The live flower
+   * @param {string} options.variation - Key of PALETTES
+   * @param {function(): Object} options.getScene - Current scene for FlowerRenderer.render
+   * @param {number} options.width - Scene size in CSS pixels
+   * @param {number} options.height
+   */
+  constructor(options) {
+    this.simulation = options.simulation;
+    this.variation = options.variation;
+    this.getScene = options.getScene;
+    this.width = options.width;
+    this.height = options.height;
+  }
+
+  get filename() {
+    return `flower-${this.simulation.seed}`;
+  }
+
+  createRenderer(canvas, scale) {
+    return new FlowerRenderer(canvas, {
+      variation: this.variation,
+      size: { width: this.width, height: this.height, scale },
+    });
+  }
+
+  // Largest usable scale: the canvas must stay within browser limits
+  clampScale(scale) {
+    const maxScale = EXPORT_CONFIG.MAX_SIDE / Math.max(this.width, this.height);
+    if (scale > maxScale) {
+      console.error(`Export scale ${scale} is too large, using ${maxScale.toFixed(2)}.`);
+      return maxScale;
+    }
+    return scale;
+  }
+
+  // Clips are many frames: render them no larger than ANIMATION_MAX_SIDE
+  get animationScale() {
+    return Math.min(1, EXPORT_CONFIG.ANIMATION_MAX_SIDE / Math.max(this.width, this.height));
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.scale] - Resolution multiplier (any positive number)
+   * @param {boolean} [options.background] - Include sky, ground and rain
+   * @returns {Promise<Blob>}
+   */
+  toPNG({ scale = 2, background = true } = {}) {
+    const canvas = document.createElement("canvas");
+    const renderer = this.createRenderer(canvas, this.clampScale(scale));
+    renderer.render(this.simulation.flower.getRenderState(1), this.simulation.time, this.getScene(), {
+      background,
+      debug: false,
+    });
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.background] - Include sky, ground and rain
+   * @returns {Blob}
+   */
+  toSVG({ background = true } = {}) {
+    const primitives = buildFlowerScene(this.simulation.flower.getRenderState(1), this.simulation.time, {
+      ...this.getScene(),
+      width: this.width,
+      height: this.height,
+      palette: getPalette(this.variation),
+      background,
+      debug: false,
+    });
+    return new Blob([svgMarkup(primitives, this.width, this.height)], { type: "image/svg+xml" });
+  }
+
+  /**
+   * Renders a seamless loop of the flower swaying, from a copy of the live
+   * simulation so the page keeps running untouched.
+   * @returns {Promise<ImageData[]>} One frame per 1/fps
+   */
+  async renderLoopFrames({ scale = this.animationScale, background = true, seconds = EXPORT_CONFIG.ANIMATION_SECONDS, fps = EXPORT_CONFIG.ANIMATION_FPS } = {}) {
+    const canvas = document.createElement("canvas");
+    const renderer = this.createRenderer(canvas, scale);
+    const ctx = canvas.getContext("2d");
+
+    const simulation = this.simulation.clone();
+    const scene = () => ({ ...this.getScene(), weather: simulation.weather && simulation.weather.current });
+    const stepsPerFrame = Math.max(1, Math.round(1 / (fps * simulation.stepSize)));
+    const count = Math.round(seconds * fps);
+    const fade = Math.min(Math.round(EXPORT_CONFIG.LOOP_FADE_SECONDS * fps), count - 1);
+
+    const frames = [];
+    for (let i = 0; i < count + fade; i++) {
+      simulation.step(stepsPerFrame);
+      renderer.render(simulation.flower.getRenderState(1), simulation.time, scene(), { background, debug: false });
+      frames.push(ctx.getImageData(0, 0, canvas.width, canvas.height));
+      await nextTask();
+    }
+
+    // The extra tail fades into the first frames: the last frame then flows
+    // straight into the first one.
+    for (let i = 0; i < fade; i++) {
+      const t = i / fade;
+      const head = frames[i].data;
+      const tail = frames[count + i].data;
+      for (let p = 0; p < head.length; p++) {
+        head[p] = tail[p] + (head[p] - tail[p]) * t;
+      }
+      await nextTask();
+    }
+    return frames.slice(0, count);
+  }
+
+  /**
+   * @param {Object} [options] - background, fps
+   * @returns {Promise<Blob>}
+   */
+  async toGIF(options = {}) {
+    const fps = options.fps || EXPORT_CONFIG.ANIMATION_FPS;
+    const frames = await this.renderLoopFrames({ background: options.background, fps });
+    const gif = new GifWriter({ width: frames[0].width, height: frames[0].height, delay: 1000 / fps });
+    for (const frame of frames) {
+      gif.addFrame(frame.data);
+      await nextTask();
+    }
+    return new Blob([gif.finish()], { type: "image/gif" });
+  }
+
+  static supportsWebM() {
+    return typeof MediaRecorder !== "undefined" && MediaRecorder.isTypeSupported("video/webm");
+  }
+
+  /**
+   * Plays the loop frames into a MediaRecorder in real time.
+   * @param {Object} [options] - background, fps
+   * @returns {Promise<Blob>}
+   */
+  async toWebM(options = {}) {
+    const fps = options.fps || EXPORT_CONFIG.ANIMATION_FPS;
+    const frames = await this.renderLoopFrames({ background: options.background, fps });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = frames[0].width;
+    canvas.height = frames[0].height;
+    const ctx = canvas.getContext("2d");
+    ctx.putImageData(frames[0], 0, 0);
+
+    const recorder = new MediaRecorder(canvas.captureStream(fps), {
+      mimeType: "video/webm",
+      videoBitsPerSecond: EXPORT_CONFIG.WEBM_BITRATE,
+    });
+    const chunks = [];
+    recorder.ondataavailable = (event) => chunks.push(event.data);
+
+    return new Promise((resolve, reject) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: "video/webm" }));
+      recorder.onerror = (event) => reject(event.error);
+      recorder.start();
+
+      let index = 0;
+      const timer = setInterval(() => {
+        if (index >= frames.length) {
+          clearInterval(timer);
+          recorder.stop();
+          return;
+        }
+        ctx.putImageData(frames[index++], 0, 0);
+      }, 1000 / fps);
+    });
+  }
+
+  /**
+   * Builds the requested file and hands it to the browser as a download.
+   * @param {"png"|"svg"|"gif"|"webm"} format
+   * @param {Object} [options] - scale (PNG only), background
+   */
+  async download(format, options = {}) {
+    const builders = {
+      png: () => this.toPNG(options),
+      svg: () => this.toSVG(options),
+      gif: () => this.toGIF(options),
+      webm: () => this.toWebM(options),
+    };
+    if (!builders[format]) {
+      console.error(`Unknown export format '${format}'.`);
+      return;
+    }
+    downloadBlob(await builders[format](), `${this.filename}.${format}`);
+  }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.FlowerExporter = FlowerExporter;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { FlowerExporter };
+}
@@ -2,15 +2,65 @@
 // Simulation Driver & Lifecycle Manager
 // Phase 6.2: Orchestrator
 //
-// This file owns the simulation loop, time, and physics integration.
-// It bridges the pure data (Flower) with the pure view (Renderer).
+// This file owns the animation loop and the page UI.
+// It bridges the headless simulation (FlowerSimulation) with the pure view (Renderer).
+//
+// The page only names the flower (FLOWER_DATA.id); seed, variation, species,
+// planting moment and server time are loaded through the JSON API (flower_api.js).
+//
+// Physics runs on a fixed timestep (see timestep.js); the solver can be
+// picked with ?solver=verlet for comparison, the time of day with ?hour=.
+// Pointer input is forwarded to the simulation by interaction.js.
+// ?debug=1 (or the backquote key) opens the developer inspector (inspector.js),
+// which can pause, step and slow down the loop below.
+// ?worker=1 steps and draws the plant in a Web Worker instead, on an
+// OffscreenCanvas (simulation_worker.js); browsers without OffscreenCanvas
+// keep the main-thread loop.
+//
+// The plant is snapshotted to localStorage as it moves, so a reload picks it
+// up in the pose it was left in instead of regrowing it from the seed.
+
+const SIM_CONFIG = {
+  STEP_SIZE: 1 / 120, // Physics step (s)
+  MAX_SUBSTEPS: 8, // Per frame, beyond that the backlog is dropped
+};
+
+const CLOCK_CONFIG = {
+  RESYNC_INTERVAL: 15 * 60 * 1000, // Re-read server time to track drift (ms)
+  MAX_REFRESH_DELAY: 60 * 60 * 1000, // Re-check the lifecycle at least hourly (ms)
+  LIGHTING_INTERVAL: 60 * 1000, // Worker mode: how often the time of day is sent over (ms)
+};
+
+const SNAPSHOT_CONFIG = {
+  KEY_PREFIX: "flower-state:", // localStorage key, followed by the flower id
+  SAVE_INTERVAL: 10 * 1000, // ms, plus whenever the page is hidden
+};
+
+// Storage may be full, disabled or hold garbage: a missing snapshot just means regrowing
+function loadSnapshot(id) {
+  try {
+    return JSON.parse(localStorage.getItem(SNAPSHOT_CONFIG.KEY_PREFIX + id));
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveSnapshot(id, simulation) {
+  const state = simulation.toJSON();
+  if (!state) return; // Worker mode, before the worker's first snapshot
+  try {
+    localStorage.setItem(SNAPSHOT_CONFIG.KEY_PREFIX + id, JSON.stringify(state));
+  } catch (err) {
+    console.warn("Saving the flower state failed:", err);
+  }
+}
 
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
   if (!window.FLOWER_DATA) return;
-  if (!window.Flower || !window.FlowerRenderer || !window.WindField) {
-      if (!window.Flower) console.error("Module 'Flower' is missing.");
+  if (!window.FlowerSimulation || !window.FlowerRenderer || !window.FlowerApi) {
+      if (!window.FlowerSimulation) console.error("Module 'FlowerSimulation' is missing.");
       if (!window.FlowerRenderer) console.error("Module 'FlowerRenderer' is missing.");
-      if (!window.WindField) console.error("Module 'WindField' is missing.");
+      if (!window.FlowerApi) console.error("Module 'FlowerApi' is missing.");
       return;
   }
 
@@ -21,67 +71,320 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // --- 1. System Initialization ---
+
+  // A. The Data (JSON API)
+  // Resyncs below refresh it, e.g. once the flower has been replanted elsewhere.
+  const api = new FlowerApi();
+  let flowerData;
+  try {
+      flowerData = { ...window.FLOWER_DATA, ...(await api.getFlower(window.FLOWER_DATA.id)) };
+  } catch (err) {
+      console.error("Loading the flower failed:", err);
+      return;
+  }
+
+  // B. The Clock (Server Time)
+  // Ages are measured against server time, never the visitor's system clock.
+  const clock = new LifecycleClock(flowerData.serverNow, flowerData.receivedAt);
+  const plantedAt = flowerData.plantedAt;
+  const plantedMs = new Date(plantedAt).getTime();
+
+  // Countdown wording follows the visitor's language (see STAGE_MESSAGES)
+  const stateOptions = { locale: navigator.language };
   
-  // A. The Subject (Physics State)
-  const flower = new Flower(0, 0);
-  
-  // B. The Environment (Physics Context)
-  const wind = new WindField();
-  const gravity = new Vector2(0, 200.0); // Standard gravity
-  
-  // C. The View (Stateless Renderer)
-  const renderer = new FlowerRenderer(canvas);
+  // C. The Simulation (Physics State + Environment)
+  // Every random trait derives from the server-side seed, so one flower ID
+  // renders the same shape and sway on every device. The plant is
+  // fast-forwarded to its real age: a 4-day-old flower opens already in bloom.
+  const params = new URLSearchParams(window.location.search);
+  const initialState = getFlowerState(plantedAt, clock, stateOptions);
+
+  // Lighting follows the visitor's own time of day (?hour=21.5 previews another hour)
+  const fixedHour = params.has("hour") ? Number(params.get("hour")) : null;
+  const getLighting = createLightingSource(() => clock.now(), fixedHour);
+
+  // The owner's care history shapes the plant (see care.js); replayed, it grows the same plant
+  let careAges = getCareAges(flowerData.care, plantedAt);
+  const simulationOptions = {
+      seed: flowerData.seed,
+      ageSeconds: initialState.age,
+      solver: params.get("solver") || DEFAULT_SOLVER,
+      species: flowerData.species,
+      stepSize: SIM_CONFIG.STEP_SIZE,
+      // Wind time is anchored to the planting moment rather than page load,
+      // so two viewers of the same flower see the same gust at the same instant.
+      time: Math.max(0, (clock.now() - plantedMs) / 1000),
+      // Weather follows the real date from the planting moment on
+      plantedAt: plantedMs,
+      darkness: getLighting().darkness,
+      care: careAges
+  };
+
+  // A saved snapshot resumes the plant as it was left, caught up to its real age;
+  // one that no longer fits (another seed, an old format) is regrown from the seed
+  const snapshot = loadSnapshot(flowerData.id);
+  const backend = params.get("renderer") || DEFAULT_BACKEND;
+
+  // Worker mode: the simulation and the renderer move into simulation_worker.js,
+  // which draws on the canvas offscreen; the page keeps stand-ins (remote_simulation.js).
+  // The inspector tunes the page's own objects, so ?debug=1 stays on the main thread.
+  const useWorker = params.get("worker") === "1" && params.get("debug") !== "1" &&
+      window.startSimulationWorker && supportsSimulationWorker(canvas, backend);
+  const remote = useWorker
+      ? startSimulationWorker(canvas, {
+          simulation: simulationOptions,
+          snapshot,
+          variation: flowerData.variation,
+          backend,
+          lighting: getLighting(),
+          maxSubsteps: SIM_CONFIG.MAX_SUBSTEPS
+      })
+      : null;
+  const simulation = remote ? remote.simulation : FlowerSimulation.resume(snapshot, simulationOptions);
+
+  // D. The View (Stateless Renderer)
+  // Canvas 2D by default; ?renderer=svg or ?renderer=webgl picks another backend
+  const renderer = remote ? remote.renderer : new FlowerRenderer(canvas, {
+      variation: flowerData.variation,
+      backend
+  });
+
+  // E. Pointer Input (drag, flick, hover breeze)
+  // On the element the backend draws into: the SVG backend replaces the canvas
+  if (window.FlowerInteraction) {
+      new FlowerInteraction(renderer.element, renderer, simulation);
+  }
+
+  // F. Developer Inspector (overlay, live tuning, playback controls)
+  const playback = { paused: false, speed: 1, pendingSteps: 0 };
+  const inspectorPanel = document.getElementById("flower-inspector");
+  const inspector = !remote && window.FlowerInspector && inspectorPanel
+      ? new FlowerInspector(inspectorPanel, simulation, playback, { open: params.get("debug") === "1" })
+      : null;
 
 
   // --- 2. Simulation Loop ---
   
   let lastTime = 0;
-  let totalTime = 0;
   let animationId = null;
+  const timestep = new FixedTimestep(SIM_CONFIG.STEP_SIZE, SIM_CONFIG.MAX_SUBSTEPS);
+  const step = () => simulation.step();
 
   function loop(timestamp) {
     if (!lastTime) lastTime = timestamp;
 
     // Time handling
-    let dt = (timestamp - lastTime) / 1000;
-    if (dt > 0.1) dt = 0.1; // Cap dt for stability
-    
+    const frameDt = (timestamp - lastTime) / 1000;
     lastTime = timestamp;
-    totalTime += dt;
 
-    // A. Update Physics (The Truth)
-    flower.update(dt, {
-        gravity: gravity,
-        wind: wind,
-        time: totalTime
-    });
+    // A. Update Physics (The Truth) in fixed substeps; paused, only requested single steps
+    let alpha = 1;
+    if (playback.paused) {
+      for (; playback.pendingSteps > 0; playback.pendingSteps--) step();
+    } else {
+      alpha = timestep.advance(frameDt * playback.speed, step);
+    }
 
-    // B. Render Frame (The View)
-    renderer.render(flower, totalTime);
+    // B. Render Frame (The View), blended between the last two physics states
+    const lighting = getLighting();
+    simulation.darkness = lighting.darkness;
+    const overlay = inspector && inspector.getOverlay(renderer);
+    renderer.render(simulation.flower.getRenderState(alpha), simulation.time, {
+      weather: simulation.weather.current,
+      lighting
+    }, { debug: Boolean(overlay), inspector: overlay });
 
     animationId = requestAnimationFrame(loop);
   }
 
-  // Start the heartbeat
-  animationId = requestAnimationFrame(loop);
+  // Start the heartbeat; in worker mode the worker runs the loop, and only
+  // needs the time of day from here
+  if (remote) {
+    setInterval(() => simulation.setLighting(getLighting()), CLOCK_CONFIG.LIGHTING_INTERVAL);
+  } else {
+    animationId = requestAnimationFrame(loop);
+  }
 
 
-  // --- 3. UI / Lifecycle Logic (Low Frequency) ---
+  // --- 3. UI / Lifecycle Logic (Event Driven) ---
+  // Instead of polling, the next refresh is scheduled for the exact moment
+  // the lifecycle state changes (stage boundary or countdown tick).
+
+  let refreshTimer = null;
   
-  function refreshUI() {
-    // Get pure state from window data (server state)
-    const state = getFlowerState(window.FLOWER_DATA.plantedAt);
-    
-    // Update DOM UI (message)
+  function refreshUI(state = getFlowerState(plantedAt, clock, stateOptions)) {
+    // Keep the plant pinned to its real age
+    simulation.setAgeSeconds(state.age);
+
+    // Update DOM UI (countdown message + stage progress)
     const messageEl = document.getElementById("flower-message");
     if (messageEl) {
         messageEl.innerText = state.message;
     }
+
+    const progressEl = document.getElementById("flower-progress");
+    if (progressEl) {
+        progressEl.value = state.progress;
+        progressEl.setAttribute("aria-label", `${state.stage}: ${Math.round(state.progress * 100)}%`);
+    }
+
+    // The owner may plant again once the flower has merged into the soil
+    // (the server checks the same rule)
+    const replantEl = document.getElementById("flower-replant");
+    if (replantEl) {
+        replantEl.hidden = !(flowerData.isOwner && !flowerData.successorId && state.canPlantAgain);
+    }
+
+    // Care: the owner tends the flower until it falls; each action has a cooldown
+    const careEl = document.getElementById("flower-care");
+    if (careEl) {
+        careEl.hidden = !(flowerData.isOwner && !flowerData.successorId && state.stage !== "fallen");
+        for (const button of careEl.querySelectorAll("[data-care]")) {
+            button.disabled = getCareCooldown(careAges, button.dataset.care, state.age) > 0;
+        }
+    }
+
+    scheduleRefresh();
   }
 
+  // Seconds until the next care action comes off its cooldown, or null
+  function getSecondsUntilCare(age) {
+    const waits = Object.keys(CARE_CONFIG.ACTIONS)
+      .map((kind) => getCareCooldown(careAges, kind, age))
+      .filter((wait) => wait > 0);
+    return waits.length ? Math.min(...waits) : null;
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+
+    const exactAge = (clock.now() - plantedMs) / 1000;
+    const changes = [getSecondsUntilChange(exactAge), getSecondsUntilCare(exactAge)].filter((s) => s !== null);
+    if (!changes.length) return;
+    const secondsUntilChange = Math.min(...changes);
+
+    // A small margin so the new state is already in effect when we wake up
+    const delay = Math.min(secondsUntilChange * 1000 + 50, CLOCK_CONFIG.MAX_REFRESH_DELAY);
+    refreshTimer = setTimeout(() => refreshUI(), delay);
+  }
+
+  // Browsers throttle timers in background tabs: catch up when visible again
+  // (and save the plant while hidden, the page may not come back)
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) saveSnapshot(flowerData.id, simulation);
+    else refreshUI();
+  });
+
   // Initial UI update
-  refreshUI();
+  refreshUI(initialState);
+
 
-  // Update UI every minute (simulation runs independently)
-  setInterval(refreshUI, 60 * 1000);
+  // --- 4. Clock Resync ---
+  // Polls the flower through the API so drift between this device's clock
+  // and the server is tracked over long sessions.
+
+  async function resyncClock() {
+    try {
+      updateFlowerData(await api.getFlower(flowerData.id));
+    } catch (err) {
+      console.error("Clock resync failed:", err);
+    }
+  }
+
+  setInterval(resyncClock, CLOCK_CONFIG.RESYNC_INTERVAL);
+  setInterval(() => saveSnapshot(flowerData.id, simulation), SNAPSHOT_CONFIG.SAVE_INTERVAL);
+  window.addEventListener("pagehide", () => saveSnapshot(flowerData.id, simulation));
+
+  // Fresh flower data from the API: resync the clock, replay the care history
+  function updateFlowerData(latest) {
+    flowerData = { ...flowerData, ...latest };
+    clock.sync(flowerData.serverNow, flowerData.receivedAt);
+    careAges = getCareAges(flowerData.care, plantedAt);
+    simulation.setCare(careAges);
+    refreshUI();
+  }
+
+
+  // --- 5. Care ---
+  // Water, sunlight, talk: recorded on the server, felt by the plant from now on.
+
+  const carePanel = document.getElementById("flower-care");
+  if (carePanel) {
+    carePanel.addEventListener("click", async (event) => {
+      const button = event.target.closest("[data-care]");
+      if (!button) return;
+
+      button.disabled = true;
+      try {
+        updateFlowerData(await api.careFor(flowerData.id, button.dataset.care));
+      } catch (err) {
+        console.error("Care failed:", err);
+        refreshUI();
+      }
+    });
+  }
+
+
+  // --- 6. Replanting & History ---
+  // The old flower stays as history (history.html); the new one, of the same
+  // species, gets its own page.
+
+  const historyLink = document.getElementById("flower-history");
+  if (historyLink) historyLink.hidden = !flowerData.isOwner;
+
+  const replantButton = document.getElementById("flower-replant");
+  if (replantButton) {
+    replantButton.addEventListener("click", async () => {
+      replantButton.disabled = true;
+      try {
+        const flower = await api.plantFlower(flowerData.species);
+        window.location.assign(`/f/${flower.id}/`);
+      } catch (err) {
+        console.error("Replanting failed:", err);
+        replantButton.disabled = false;
+      }
+    });
+  }
+
+
+  // --- 7. Export / Sharing ---
+  // Downloads are drawn offscreen from the same scene geometry, without the debug overlay.
+
+  const exportPanel = document.getElementById("flower-export");
+  if (window.FlowerExporter && exportPanel) {
+    // In worker mode the export is drawn from a local copy of the worker's plant, fetched per download
+    const exporter = new FlowerExporter({
+      simulation: remote ? null : simulation,
+      variation: flowerData.variation,
+      getScene: () => ({ weather: exporter.simulation.weather.current, lighting: getLighting() }),
+      width: renderer.width,
+      height: renderer.height
+    });
+
+    const webmButton = exportPanel.querySelector('[data-export="webm"]');
+    if (webmButton && !FlowerExporter.supportsWebM()) webmButton.remove();
+
+    exportPanel.addEventListener("click", async (event) => {
+      const button = event.target.closest("[data-export]");
+      if (!button) return;
+
+      exporter.width = renderer.width;
+      exporter.height = renderer.height;
+
+      button.disabled = true;
+      try {
+        if (remote) exporter.simulation = await simulation.fetchSimulation();
+        await exporter.download(button.dataset.export, {
+          scale: Number(document.getElementById("export-scale").value),
+          background: document.getElementById("export-background").checked
+        });
+      } catch (err) {
+        console.error("Export failed:", err);
+      } finally {
+        button.disabled = false;
+      }
+    });
+
+    exportPanel.hidden = false;
+  }
 });
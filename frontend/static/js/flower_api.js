@@ -0,0 +1,141 @@
+// flower_api.js
+// Flower JSON API Client
+//
+// Loads any flower by id and plants one, through the JSON endpoints next to
+// the pages (api_flower / api_plant_flower in views.py). Responses come back
+// in the shape the pages use: camelCase, plus `receivedAt`, the monotonic
+// moment `serverNow` was valid, ready for LifecycleClock.sync().
+
+// Node: monotonicNow() comes from lifecycle.js
+if (typeof module !== "undefined" && module.exports) {
+  require("./lifecycle.js");
+}
+
+const FLOWER_API = {
+  BASE_URL: "/api",
+  CSRF_COOKIE: "csrftoken", // Set by api_flower (Django's default cookie name)
+  CSRF_HEADER: "X-CSRFToken",
+};
+
+class FlowerApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - HTTP status (0 when the request never got an answer)
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = "FlowerApiError";
+    this.status = status;
+  }
+}
+
+/**
+ * Maps an API payload to the page's flower data.
+ * @param {Object} json - {id, seed, variation, species, planted_at, server_time, stage, is_owner,
+ *   successor_id, care: [{kind, performedAt}]}
+ * @param {number} receivedAt - monotonicNow() at the moment server_time was valid
+ */
+function parseFlowerResponse(json, receivedAt) {
+  return {
+    id: json.id,
+    seed: json.seed,
+    variation: json.variation,
+    species: json.species,
+    plantedAt: json.planted_at,
+    serverNow: json.server_time,
+    stage: json.stage,
+    isOwner: json.is_owner,
+    successorId: json.successor_id,
+    care: json.care || [], // Already in care.js's shape, oldest first
+    receivedAt
+  };
+}
+
+function readCookie(name) {
+  if (typeof document === "undefined") return null;
+  const prefix = `${name}=`;
+  const cookie = document.cookie.split("; ").find((c) => c.startsWith(prefix));
+  return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+}
+
+class FlowerApi {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Prefix of the API routes
+   * @param {Function} [options.fetch] - fetch() implementation
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || FLOWER_API.BASE_URL;
+    this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+  }
+
+  /**
+   * Loads a flower, with the server's clock and the visitor's ownership.
+   * @param {string} id - Flower UUID
+   */
+  getFlower(id) {
+    return this.request(`/f/${encodeURIComponent(id)}/`);
+  }
+
+  /**
+   * Plants a flower for this browser, or replants once its flower has merged
+   * into the soil. Rejects with status 409 while the old one is still there,
+   * 400 for an unknown species.
+   * @param {string} [species] - Built-in species id (see species.js); the server's default otherwise
+   */
+  plantFlower(species) {
+    return this.post("/plant/", species === undefined ? undefined : { species });
+  }
+
+  /**
+   * Records a care action for the owner's flower (see care.js).
+   * Rejects with 429 while that action is cooling down.
+   * @param {string} id - Flower UUID
+   * @param {string} kind - "water", "sunlight" or "talk"
+   */
+  careFor(id, kind) {
+    return this.post(`/f/${encodeURIComponent(id)}/care/`, { kind });
+  }
+
+  post(path, body) {
+    const headers = {};
+    const csrfToken = readCookie(FLOWER_API.CSRF_COOKIE);
+    if (csrfToken) headers[FLOWER_API.CSRF_HEADER] = csrfToken;
+    if (body === undefined) return this.request(path, { method: "POST", headers });
+
+    headers["Content-Type"] = "application/json";
+    return this.request(path, { method: "POST", headers, body: JSON.stringify(body) });
+  }
+
+  async request(path, init = {}) {
+    const sentAt = monotonicNow();
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        cache: "no-store",
+        credentials: "same-origin",
+        ...init,
+        headers: { Accept: "application/json", ...init.headers }
+      });
+    } catch (err) {
+      throw new FlowerApiError(`Request failed: ${err.message}`, 0);
+    }
+    const receivedAt = monotonicNow();
+
+    const json = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new FlowerApiError(json.error || `HTTP ${response.status}`, response.status);
+    }
+
+    // server_time was stamped somewhere in the round trip: assume halfway
+    return parseFlowerResponse(json, (sentAt + receivedAt) / 2);
+  }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.FlowerApi = FlowerApi;
+globalThis.FlowerApiError = FlowerApiError;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { FlowerApi, FlowerApiError, parseFlowerResponse };
+}
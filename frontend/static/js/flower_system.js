@@ -3,6 +3,81 @@
 // - Unified 'structuralAge' drives all relaxation and growth
 // - Petals exert true physical torque/force on the stem
 // - Biological coherence: The whole plant ages together
+// - Senescence: petals wilt and shed, the stem droops, lies down and merges into the soil
+// - Fixed-step friendly: selectable integrator, rate-independent damping, interpolation
+// - Morphology: a seed-driven growth grammar (morphology.js) adds branches, leaves and side heads
+// - Snapshots: versioned toJSON()/fromJSON() to resume a plant across reloads and devices
+// - Species: growth constants, shape and petals come from a JSON definition (species.js)
+// - Allocation-free stepping: segment and petal vectors live in struct-of-arrays
+//   storage, and the physics loops work on scalars and scratch vectors
+
+// Bumped whenever the shape of Flower.toJSON() changes, its parts included
+const FLOWER_STATE_VERSION = 2;
+
+// Vectors travel as plain {x, y}
+function vectorToJSON(v) {
+    return { x: v.x, y: v.y };
+}
+
+function vectorFromJSON(json) {
+    return new Vector2(json.x, json.y);
+}
+
+// --- Struct-of-arrays storage ---
+// Each flower keeps the vectors of its moving parts in Vector2Arrays, one per
+// field; slot i of every array belongs to the same part. StemSegment and
+// Petal hold views into them, so seg.pos.x still reads and writes the
+// arrays, while the physics loops index them directly.
+const SEGMENT_VECTORS = ["pos", "vel", "prevPos"];
+const PETAL_VECTORS = ["tipPos", "tipVel", "prevTipPos", "basePos", "baseVel", "prevBasePos"];
+
+function createBodyStore(fields) {
+    const store = {};
+    for (const field of fields) store[field] = new Vector2Array();
+    return store;
+}
+
+// Copies a part's vectors into the store and swaps them for views. Returns its slot.
+function storeBody(store, fields, part) {
+    let slot = 0;
+    for (const field of fields) {
+        slot = store[field].push(part[field].x, part[field].y);
+        part[field] = store[field].view(slot);
+    }
+    return slot;
+}
+
+// Scratch vectors for the physics loops: overwritten on every use, never kept
+const SCRATCH = {
+    wind: new Vector2(),
+    grab: new Vector2(),
+};
+
+// Grows or shrinks a reused list of render views to `count`, creating missing ones
+function resizeViews(views, count, create) {
+    while (views.length < count) views.push(create());
+    views.length = count;
+    return views;
+}
+
+const createSegmentView = () => ({ pos: new Vector2(), mass: 0, parentIndex: 0, axis: 0 });
+const createLeafView = () => ({ anchorIndex: 0, angle: 0, length: 0 });
+const createPetalView = () => ({ anchorIndex: 0, angleOffset: 0, openness: 0, currentLength: 0, tipPos: new Vector2(), basePos: null });
+const createFallenPetalView = () => ({ ...createPetalView(), basePos: new Vector2() });
+
+// Blends a view vector between two steps, in place
+function lerpInto(out, a, b, alpha) {
+    return out.set(a.x + (b.x - a.x) * alpha, a.y + (b.y - a.y) * alpha);
+}
+
+function writePetalView(view, petal, alpha) {
+    view.anchorIndex = petal.anchorIndex;
+    view.angleOffset = petal.angleOffset;
+    view.openness = petal.openness;
+    view.currentLength = petal.currentLength;
+    lerpInto(view.tipPos, petal.prevTipPos, petal.tipPos, alpha);
+    if (view.basePos) lerpInto(view.basePos, petal.prevBasePos, petal.basePos, alpha);
+}
 
 class Petal {
     constructor(anchorIndex, angleOffset, targetLength, spawnTime) {
@@ -20,9 +95,97 @@ class Petal {
         // Physical State
         this.tipPos = new Vector2(0, 0); 
         this.tipVel = new Vector2(0, 0);
+        this.prevTipPos = new Vector2(0, 0); // Position at the start of the last step
         this.mass = 0.3; // Increased mass to ensure visible feedback
         
         this.stiffness = 50.0; 
+
+        // Senescence
+        this.detachAge = Infinity; // Structural age at which this petal is shed
+        this.attached = true;
+        // Free-body base, only simulated once the petal has detached
+        this.basePos = new Vector2(0, 0);
+        this.baseVel = new Vector2(0, 0);
+        this.prevBasePos = new Vector2(0, 0);
+        this.resting = false; // Settled on the ground
+
+        this.slot = -1; // In its flower's petal storage (see Flower.storePetal)
+    }
+
+    toJSON() {
+        return {
+            anchorIndex: this.anchorIndex,
+            angleOffset: this.angleOffset,
+            spawnTime: this.spawnTime,
+            targetLength: this.targetLength,
+            currentLength: this.currentLength,
+            openness: this.openness,
+            tipPos: vectorToJSON(this.tipPos),
+            tipVel: vectorToJSON(this.tipVel),
+            prevTipPos: vectorToJSON(this.prevTipPos),
+            mass: this.mass,
+            stiffness: this.stiffness,
+            detachAge: Number.isFinite(this.detachAge) ? this.detachAge : null, // JSON has no Infinity
+            attached: this.attached,
+            basePos: vectorToJSON(this.basePos),
+            baseVel: vectorToJSON(this.baseVel),
+            prevBasePos: vectorToJSON(this.prevBasePos),
+            resting: this.resting,
+        };
+    }
+
+    /**
+     * @param {Object} json - From toJSON(), versioned with the Flower it belongs to
+     * @returns {Petal}
+     */
+    static fromJSON(json) {
+        const petal = new Petal(json.anchorIndex, json.angleOffset, json.targetLength, json.spawnTime);
+        petal.currentLength = json.currentLength;
+        petal.openness = json.openness;
+        petal.tipPos = vectorFromJSON(json.tipPos);
+        petal.tipVel = vectorFromJSON(json.tipVel);
+        petal.prevTipPos = vectorFromJSON(json.prevTipPos);
+        petal.mass = json.mass;
+        petal.stiffness = json.stiffness;
+        petal.detachAge = json.detachAge === null ? Infinity : json.detachAge;
+        petal.attached = json.attached;
+        petal.basePos = vectorFromJSON(json.basePos);
+        petal.baseVel = vectorFromJSON(json.baseVel);
+        petal.prevBasePos = vectorFromJSON(json.prevBasePos);
+        petal.resting = json.resting;
+        return petal;
+    }
+}
+
+class Leaf {
+    constructor(anchorIndex, angle, targetLength, spawnTime) {
+        // Kinematic: carried by its node, it has no physics of its own
+        this.anchorIndex = anchorIndex;
+        this.angle = angle; // rad from the stem, the sign picks the side
+        this.spawnTime = spawnTime;
+
+        this.targetLength = targetLength;
+        this.currentLength = 0.1;
+    }
+
+    toJSON() {
+        return {
+            anchorIndex: this.anchorIndex,
+            angle: this.angle,
+            spawnTime: this.spawnTime,
+            targetLength: this.targetLength,
+            currentLength: this.currentLength,
+        };
+    }
+
+    /**
+     * @param {Object} json - From toJSON(), versioned with the Flower it belongs to
+     * @returns {Leaf}
+     */
+    static fromJSON(json) {
+        const leaf = new Leaf(json.anchorIndex, json.angle, json.targetLength, json.spawnTime);
+        leaf.currentLength = json.currentLength;
+        return leaf;
     }
 }
 
@@ -30,6 +193,7 @@ class StemSegment {
     constructor(pos, parentIndex, targetRestLength, targetFlexibility, mass, spawnTime) {
         this.pos = pos.clone();
         this.vel = new Vector2(0, 0);
+        this.prevPos = pos.clone(); // Position at the start of the last step
         
         this.parentIndex = parentIndex;
         this.mass = mass;
@@ -43,15 +207,99 @@ class StemSegment {
         
         this.targetFlexibility = targetFlexibility;
         this.currentFlexibility = 0.0; 
+
+        // Branching: axis 0 is the main stem; a branch's first segment rests
+        // turned by restAngle from its parent's direction
+        this.axis = 0;
+        this.restAngle = 0.0;
+    }
+
+    toJSON() {
+        return {
+            pos: vectorToJSON(this.pos),
+            vel: vectorToJSON(this.vel),
+            prevPos: vectorToJSON(this.prevPos),
+            parentIndex: this.parentIndex,
+            mass: this.mass,
+            spawnTime: this.spawnTime,
+            targetRestLength: this.targetRestLength,
+            currentRestLength: this.currentRestLength,
+            targetFlexibility: this.targetFlexibility,
+            currentFlexibility: this.currentFlexibility,
+            axis: this.axis,
+            restAngle: this.restAngle,
+        };
+    }
+
+    /**
+     * @param {Object} json - From toJSON(), versioned with the Flower it belongs to
+     * @returns {StemSegment}
+     */
+    static fromJSON(json) {
+        const seg = new StemSegment(
+            vectorFromJSON(json.pos),
+            json.parentIndex,
+            json.targetRestLength,
+            json.targetFlexibility,
+            json.mass,
+            json.spawnTime
+        );
+        seg.vel = vectorFromJSON(json.vel);
+        seg.prevPos = vectorFromJSON(json.prevPos);
+        seg.currentRestLength = json.currentRestLength;
+        seg.currentFlexibility = json.currentFlexibility;
+        seg.axis = json.axis;
+        seg.restAngle = json.restAngle;
+        return seg;
     }
 }
 
 class Flower {
-    constructor(rootX, rootY) {
+    /**
+     * @param {number} rootX
+     * @param {number} rootY
+     * @param {number} [seed] - Server-side flower seed; drives every random trait.
+     * @param {Object} options
+     * @param {string} options.solver - Key of INTEGRATORS ("semi-implicit-euler" or "verlet")
+     * @param {Function} [options.health] - Structural age -> health 0..1, from the care history
+     *   (see care.js and FlowerSimulation). Without it the plant is always thriving.
+     * @param {string|Object} [options.species] - Built-in species id or a JSON definition
+     *   (see species.js); validated, throws a SpeciesError if it is not usable
+     */
+    constructor(rootX, rootY, seed, options = {}) {
+        this.seed = seed === undefined ? null : seed;
+        this.species = resolveSpecies(options.species);
+
         // Configuration
         this.baseStiffness = 60.0;
+        this.baseGrowthRate = 1.0; // Growth speed of a thriving plant (tuned live by the inspector)
         this.growthRate = 1.0;
         this.bloomFactor = 0.0; 
+        this.rainLoad = 12.0; // Downward push of heavy rain (env.rain = 1) on a stem segment
+        this.nightClosure = 0.45; // Share of its opening a bloom folds back in full darkness
+
+        // Integration
+        const solver = options.solver || DEFAULT_SOLVER;
+        this.integrator = getIntegrator(solver);
+        // The solver actually running: an unknown name falls back to the default
+        this.solver = INTEGRATORS[solver] ? solver : DEFAULT_SOLVER;
+        this.stemDamping = 0.92;  // Velocity kept per 1/60 s
+        this.petalDamping = 0.90; // Velocity kept per 1/60 s
+        this.maxStepSize = 1 / 60; // Longer steps are split: the stiff springs diverge beyond this
+        this.maxFrameTime = 0.25;  // Longer steps are clamped (tab switches, debugger pauses)
+
+        // Inspector: when set, each physics step keeps the forces acting on
+        // every stem segment (forces[i] for segment i, null for the root)
+        this.recordForces = false;
+        this.forces = [];
+
+        // Reused by getRenderState()
+        this.renderView = null;
+
+        // Deterministic source for all random traits (petal lengths, ...)
+        this.random = new SeededRandom(
+            seed === undefined ? undefined : hashSeed(seed, SEED_SALT.FLOWER)
+        );
         
         // --- UNIFIED SYSTEMIC AGE ---
         // This single scalar drives all maturation, relaxation, and growth.
@@ -61,35 +309,398 @@ class Flower {
         // State
         this.segments = [];
         this.petals = [];
+        this.leaves = [];
+        this.segmentStore = createBodyStore(SEGMENT_VECTORS); // Slot = index in segments
+        this.petalStore = createBodyStore(PETAL_VECTORS); // Slot = petal.slot, kept once shed
         
         // Root Setup
         const rootPos = new Vector2(rootX, rootY);
         // Root is born at age 0
         const root = new StemSegment(rootPos, -1, 0, 0, 1000, 0.0);
         root.currentRestLength = 0;
-        this.segments.push(root);
+        this.segments.push(this.storeSegment(root));
         
         this.nextSpawnAge = 0; // Spawning is now age-driven, not raw time-driven
+
+        // --- MORPHOLOGY ---
+        // The growth grammar lays out branches, leaves and heads up front;
+        // spawning follows the blueprint step by step (see morphology.js).
+        this.morphology = getMorphologyConfig(this.species);
+        this.blueprint = createBlueprint(seed, this.morphology);
+        this.nextNode = 0; // Next blueprint node to spawn
+        this.mainNodes = 1; // Nodes on the main stem, root included
+        this.tipIndex = 0; // Segment at the top of the main stem
+        this.heads = this.blueprint.heads.map((head) => ({ ...head, spawned: false }));
+
+        // --- SENESCENCE TIMELINE (structural age) ---
+        // The lifecycle's keyframes (STRUCTURAL_AGE in lifecycle.js)
+        this.senescenceAge = STRUCTURAL_AGE.OLD;   // Petals start to wilt and shed
+        this.fallAge = STRUCTURAL_AGE.FALLEN;      // Stem gives out and lies down
+        this.soilMergeAge = STRUCTURAL_AGE.MERGED; // Fully returned to the soil
+
+        this.decay = 0.0;     // 0 = vital, 1 = fully wilted (stiffness, color)
+        this.laydown = 0.0;   // 0 = upright, 1 = lying on the ground
+        this.soilMerge = 0.0; // 0 = visible, 1 = merged into the soil
+
+        this.groundY = rootY;
+        this.fallenPetals = []; // Detached petals, simulated as free bodies
+
+        // Side the stem falls to, picked once per seed
+        this.fallSide = this.random.next() < 0.5 ? -1 : 1;
+
+        // --- EXTERNAL MANIPULATION (pointer drag) ---
+        // A grabbed segment or petal tip is pulled towards a target by a
+        // spring, fighting the plant's own stiffness; released, it snaps back.
+        this.grabbed = null; // { type: "segment" | "petal", index, target: Vector2 }
+        this.grabStiffness = 300.0;
+        this.maxGrabReach = 80.0; // px, caps the pull so a wild drag can't tear the stem
+
+        // Optional ceiling set from the real-world lifecycle (see getStructuralAge).
+        // When set, the biological clock never runs ahead of the plant's true age.
+        this.targetAge = null;
+
+        // --- CARE (health) ---
+        // 1 = the plant as designed. Lower health slows growth, spawns shorter,
+        // softer segments and fewer petals, and makes the stem droop.
+        // Sampled along the structural age, so a care history grows one plant.
+        this.healthAt = options.health || null;
+        this.health = 1.0;
+        this.neglect = { // Trait values at health 0
+            growthRate: 0.6,
+            petalCount: 4,
+            segmentScale: 0.8, // Length of new segments and leaves
+            vigor: 0.6, // Bending strength of new segments
+            droop: 0.5, // Share of bending strength lost, live
+        };
+    }
+
+    /**
+     * @param {number} health - 0 (neglected) .. 1 (thriving)
+     */
+    setHealth(health) {
+        this.health = Math.min(Math.max(health, 0.0), 1.0);
+        this.growthRate = this.thrive(this.neglect.growthRate, 1.0) * this.baseGrowthRate;
+    }
+
+    // A trait between its neglected and thriving value; exactly `thriving` at full health
+    thrive(neglected, thriving) {
+        return thriving - (thriving - neglected) * (1.0 - this.health);
+    }
+
+    /**
+     * Pins the biological clock to a lifecycle-derived structural age.
+     * @param {number|null} age - Target structural age, or null to grow freely
+     */
+    setTargetAge(age) {
+        this.targetAge = age;
+    }
+
+    /**
+     * Simulates the plant forward until it reaches the given structural age,
+     * so segments, petals and their positions settle as if it had grown live.
+     * @param {number} targetAge - Structural age to reach
+     * @param {Object} env - Same environment as update(); env.time is the moment the fast-forward ends
+     * @param {number} stepSize - Fixed simulation step in seconds
+     */
+    fastForward(targetAge, env, stepSize = 1 / 60) {
+        const remaining = targetAge - this.structuralAge;
+        if (remaining <= 0 || this.growthRate <= 0) return;
+
+        // Health (and the growth rate) can drop on the way: plan for the slowest pace
+        const pace = this.healthAt ? Math.min(this.growthRate, this.neglect.growthRate) : this.growthRate;
+        const steps = Math.ceil(remaining / (stepSize * pace));
+        const startTime = env.time - steps * stepSize;
+        const previousTarget = this.targetAge;
+        this.targetAge = targetAge;
+
+        const stepEnv = { ...env };
+        for (let i = 0; i < steps; i++) {
+            stepEnv.time = startTime + i * stepSize;
+            this.update(stepSize, stepEnv);
+        }
+
+        this.targetAge = previousTarget;
     }
 
     update(dt, env) {
+        // Guard against bad clocks: a zero/negative/NaN step is a no-op,
+        // a coarse one is split into stable substeps.
+        if (!(dt > 0)) return;
+        if (dt > this.maxStepSize) {
+            const frameTime = Math.min(dt, this.maxFrameTime);
+            const substeps = Math.ceil(frameTime / this.maxStepSize);
+            for (let i = 0; i < substeps; i++) {
+                this.update(frameTime / substeps, env);
+            }
+            return;
+        }
+
+        // Remember where everything was, for render interpolation (and Verlet)
+        this.storePreviousState();
+
+        if (this.healthAt) this.setHealth(this.healthAt(this.structuralAge));
+
         // Advance the biological clock
-        this.structuralAge += dt * this.growthRate;
+        let ageStep = dt * this.growthRate;
+        if (this.targetAge !== null) {
+            ageStep = Math.max(0, Math.min(ageStep, this.targetAge - this.structuralAge));
+        }
+        this.structuralAge += ageStep;
 
         // 1. Systemic Maturation (Growth & Relaxation)
-        this.processMaturation(dt);
+        this.processMaturation(dt, ageStep, env.darkness || 0);
 
         // 2. Physical Simulation (Forces & Integration)
         this.processPhysics(dt, env);
     }
 
-    processMaturation(dt) {
-        const maxSegments = 12;
-        const spawnInterval = 1.2; // Structural age units
+    /**
+     * Starts dragging part of the plant (see hitTestFlower in renderer.js).
+     * @param {"segment"|"petal"} type
+     * @param {number} index - Index into segments or petals
+     * @param {Vector2} target - World-space point to pull towards
+     */
+    grab(type, index, target) {
+        this.grabbed = { type, index, target: target.clone() };
+    }
+
+    moveGrab(target) {
+        if (!this.grabbed) return;
+        this.grabbed.target = target.clone();
+    }
+
+    /**
+     * Lets go. A flick hands the pointer's velocity to the grabbed part so
+     * the plant keeps swaying after release.
+     * @param {Vector2} [velocity] - Pointer velocity in px/s
+     */
+    release(velocity) {
+        const grabbed = this.grabbed;
+        this.grabbed = null;
+        if (!grabbed || !velocity) return;
+
+        const body = this.getGrabbedBody(grabbed);
+        if (body) {
+            body.vel.add(velocity.clone().mult(0.5));
+        }
+    }
+
+    getGrabbedBody(grabbed) {
+        if (grabbed.type === "segment") {
+            const seg = this.segments[grabbed.index];
+            return seg && { pos: seg.pos, vel: seg.vel };
+        }
+        const petal = this.petals[grabbed.index];
+        return petal && { pos: petal.tipPos, vel: petal.tipVel };
+    }
+
+    // Spring pull towards the pointer into `out`, or null when this part isn't held
+    computeGrabForce(type, index, pos, out) {
+        const grabbed = this.grabbed;
+        if (!grabbed || grabbed.type !== type || grabbed.index !== index) return null;
+
+        const pull = out.copy(grabbed.target).sub(pos);
+        const reach = pull.mag();
+        if (reach > this.maxGrabReach) {
+            pull.mult(this.maxGrabReach / reach);
+        }
+        return pull.mult(this.grabStiffness);
+    }
+
+    /**
+     * Moves a new segment's vectors into the struct-of-arrays storage. Its
+     * slot is its index, so segments are stored in the order they are added.
+     * @param {StemSegment} seg
+     * @returns {StemSegment} The same segment
+     */
+    storeSegment(seg) {
+        storeBody(this.segmentStore, SEGMENT_VECTORS, seg);
+        return seg;
+    }
+
+    /**
+     * Moves a new petal's vectors into the struct-of-arrays storage; it keeps
+     * its slot after it is shed.
+     * @param {Petal} petal
+     * @returns {Petal} The same petal
+     */
+    storePetal(petal) {
+        petal.slot = storeBody(this.petalStore, PETAL_VECTORS, petal);
+        return petal;
+    }
+
+    storePreviousState() {
+        const { pos, prevPos } = this.segmentStore;
+        for (let i = 0; i < this.segments.length; i++) {
+            prevPos.x[i] = pos.x[i];
+            prevPos.y[i] = pos.y[i];
+        }
+        const { tipPos, prevTipPos, basePos, prevBasePos } = this.petalStore;
+        for (let p = 0; p < this.petals.length; p++) {
+            const slot = this.petals[p].slot;
+            prevTipPos.x[slot] = tipPos.x[slot];
+            prevTipPos.y[slot] = tipPos.y[slot];
+        }
+        for (let p = 0; p < this.fallenPetals.length; p++) {
+            const slot = this.fallenPetals[p].slot;
+            prevTipPos.x[slot] = tipPos.x[slot];
+            prevTipPos.y[slot] = tipPos.y[slot];
+            prevBasePos.x[slot] = basePos.x[slot];
+            prevBasePos.y[slot] = basePos.y[slot];
+        }
+    }
+
+    /**
+     * Returns a render-ready view of the flower with positions blended
+     * between the previous and current physics step. The view and its
+     * vectors are reused, so a frame allocates nothing once the plant has
+     * stopped growing parts: it holds until the next call, and whatever must
+     * outlive a frame has to be copied.
+     * @param {number} alpha - 0 = previous step, 1 = current step
+     */
+    getRenderState(alpha = 1.0) {
+        if (!this.renderView) {
+            this.renderView = {
+                structuralAge: 0, bloomFactor: 0, decay: 0, laydown: 0, soilMerge: 0, health: 0, tipIndex: 0,
+                species: null, forces: null, segments: [], leaves: [], petals: [], fallenPetals: [],
+            };
+        }
+        const view = this.renderView;
+        view.structuralAge = this.structuralAge;
+        view.bloomFactor = this.bloomFactor;
+        view.decay = this.decay;
+        view.laydown = this.laydown;
+        view.soilMerge = this.soilMerge;
+        view.health = this.health;
+        view.tipIndex = this.tipIndex;
+        view.species = this.species;
+        // Forces of the last physics step, while the inspector records them
+        view.forces = this.recordForces ? this.forces.slice() : null;
+
+        const segments = resizeViews(view.segments, this.segments.length, createSegmentView);
+        for (let i = 0; i < segments.length; i++) {
+            const seg = this.segments[i];
+            const segView = segments[i];
+            lerpInto(segView.pos, seg.prevPos, seg.pos, alpha);
+            segView.mass = seg.mass;
+            segView.parentIndex = seg.parentIndex;
+            segView.axis = seg.axis;
+        }
+
+        const leaves = resizeViews(view.leaves, this.leaves.length, createLeafView);
+        for (let i = 0; i < leaves.length; i++) {
+            const leaf = this.leaves[i];
+            leaves[i].anchorIndex = leaf.anchorIndex;
+            leaves[i].angle = leaf.angle;
+            leaves[i].length = leaf.currentLength;
+        }
+
+        const petals = resizeViews(view.petals, this.petals.length, createPetalView);
+        for (let i = 0; i < petals.length; i++) writePetalView(petals[i], this.petals[i], alpha);
+        const fallen = resizeViews(view.fallenPetals, this.fallenPetals.length, createFallenPetalView);
+        for (let i = 0; i < fallen.length; i++) writePetalView(fallen[i], this.fallenPetals[i], alpha);
+
+        return view;
+    }
+
+    /**
+     * Plain, versioned snapshot of everything the plant has grown into:
+     * its clock, pose, motion and random stream. Configuration constants,
+     * the care history (options.health) and a pointer grab are not part of it.
+     * The blueprint and species are stored as grown, so later grammar or
+     * species changes leave old snapshots intact.
+     */
+    toJSON() {
+        return {
+            version: FLOWER_STATE_VERSION,
+            seed: this.seed,
+            species: this.species,
+            solver: this.solver,
+            random: this.random.state,
+            structuralAge: this.structuralAge,
+            targetAge: this.targetAge,
+            health: this.health,
+            bloomFactor: this.bloomFactor,
+            nextSpawnAge: this.nextSpawnAge,
+            decay: this.decay,
+            laydown: this.laydown,
+            soilMerge: this.soilMerge,
+            groundY: this.groundY,
+            fallSide: this.fallSide,
+            blueprint: this.blueprint,
+            nextNode: this.nextNode,
+            mainNodes: this.mainNodes,
+            tipIndex: this.tipIndex,
+            heads: this.heads.map((head) => ({ ...head })),
+            segments: this.segments.map((seg) => seg.toJSON()),
+            petals: this.petals.map((petal) => petal.toJSON()),
+            leaves: this.leaves.map((leaf) => leaf.toJSON()),
+            fallenPetals: this.fallenPetals.map((petal) => petal.toJSON()),
+        };
+    }
+
+    /**
+     * Resumes a plant from toJSON(), exactly where it was.
+     * @param {Object} json - From toJSON() (or JSON.parse of it)
+     * @param {Object} [options] - As for the constructor; options.solver overrides the stored one.
+     *   The species is always the stored one.
+     * @returns {Flower}
+     */
+    static fromJSON(json, options = {}) {
+        if (!json || json.version !== FLOWER_STATE_VERSION) {
+            throw new Error(`Unsupported flower state version: ${json && json.version}`);
+        }
+        const root = json.segments[0].pos;
+        const flower = new Flower(root.x, root.y, json.seed === null ? undefined : json.seed, {
+            ...options,
+            solver: options.solver || json.solver,
+            species: json.species,
+        });
+
+        flower.random.state = json.random;
+        flower.structuralAge = json.structuralAge;
+        flower.targetAge = json.targetAge;
+        flower.setHealth(json.health);
+        flower.bloomFactor = json.bloomFactor;
+        flower.nextSpawnAge = json.nextSpawnAge;
+        flower.decay = json.decay;
+        flower.laydown = json.laydown;
+        flower.soilMerge = json.soilMerge;
+        flower.groundY = json.groundY;
+        flower.fallSide = json.fallSide;
+
+        flower.blueprint = json.blueprint;
+        flower.nextNode = json.nextNode;
+        flower.mainNodes = json.mainNodes;
+        flower.tipIndex = json.tipIndex;
+        flower.heads = json.heads.map((head) => ({ ...head }));
+
+        flower.segmentStore = createBodyStore(SEGMENT_VECTORS);
+        flower.petalStore = createBodyStore(PETAL_VECTORS);
+        flower.segments = json.segments.map((seg) => flower.storeSegment(StemSegment.fromJSON(seg)));
+        flower.petals = json.petals.map((petal) => flower.storePetal(Petal.fromJSON(petal)));
+        flower.leaves = json.leaves.map((leaf) => Leaf.fromJSON(leaf));
+        flower.fallenPetals = json.fallenPetals.map((petal) => flower.storePetal(Petal.fromJSON(petal)));
+        return flower;
+    }
+
+    /**
+     * @param {number} dt - Physics step (s)
+     * @param {number} ageStep - Structural age gained this step
+     * @param {number} darkness - 0 (daylight) .. 1 (night), see lighting.js
+     */
+    processMaturation(dt, ageStep, darkness) {
+        // A thriving plant puts out new segments faster
+        const { growth, petals } = this.species;
+        const spawnInterval = growth.spawnInterval / this.growthRate; // Structural age units
 
-        // A. Spawn New Segments (Age-Driven)
-        if (this.structuralAge > this.nextSpawnAge && this.segments.length < maxSegments) {
-            this.spawnSegment();
+        // A. Spawn New Segments (Age-Driven): every apex of the blueprint grows one node per step
+        const nodes = this.blueprint.nodes;
+        if (this.structuralAge > this.nextSpawnAge && this.nextNode < nodes.length) {
+            const step = nodes[this.nextNode].step;
+            while (this.nextNode < nodes.length && nodes[this.nextNode].step === step) {
+                this.spawnSegment(nodes[this.nextNode++]);
+            }
             this.nextSpawnAge = this.structuralAge + spawnInterval;
         }
 
@@ -108,23 +719,54 @@ class Flower {
 
             // Relaxation: Young = Rigid, Old = Flexible
             // Flexibility increases linearly with age until it hits target
-            const maturationTime = 5.0; // Age units to full flexibility
-            const maturity = Math.min(segmentAge / maturationTime, 1.0);
+            const maturity = Math.min(segmentAge / growth.maturationTime, 1.0);
             seg.currentFlexibility = seg.targetFlexibility * maturity;
         }
 
+        // Leaves unfold like segments grow
+        for (const leaf of this.leaves) {
+            leaf.currentLength = leaf.targetLength * (1.0 - Math.exp(-(this.structuralAge - leaf.spawnTime) * 1.0));
+        }
+
         // C. Petal Spawning & Bloom Driver
-        // Bloom is triggered by structural age + segment count
-        if (this.segments.length > 5 && this.structuralAge > 8.0) {
+        // Bloom is triggered by structural age + main stem length
+        if (this.mainNodes >= growth.bloomNodes && this.structuralAge > growth.bloomAge) {
             // Auto-bloom based on age if not externally controlled
             // (In a real game, this might be clamped, but here we let age drive it)
+            // Driven by age, not wall time, so a paused clock also pauses the bloom
             if (this.bloomFactor < 1.0) {
-                this.bloomFactor += dt * 0.1; 
+                this.bloomFactor = Math.min(1.0, this.bloomFactor + ageStep * growth.bloomRate);
             }
         }
         
-        if (this.bloomFactor > 0.05 && this.petals.length === 0) {
-            this.spawnPetals();
+        // The main head opens on the stem's tip as the bloom starts (the stem
+        // may still grow on above it); side heads once their branch is done
+        if (this.bloomFactor > 0.05) {
+            const main = this.heads[0];
+            if (!main.spawned) {
+                main.anchorIndex = this.tipIndex;
+                this.spawnPetals(main);
+            }
+            for (let h = 1; h < this.heads.length; h++) {
+                const head = this.heads[h];
+                if (!head.spawned && head.anchorIndex < this.segments.length) this.spawnPetals(head);
+            }
+        }
+
+        // E. Senescence (Old & Fallen stages)
+        this.decay = clamp01((this.structuralAge - this.senescenceAge) / (this.fallAge - this.senescenceAge));
+        this.laydown = clamp01((this.structuralAge - this.fallAge) / 2.0); // ~2 age units to lie down
+        this.soilMerge = clamp01((this.structuralAge - this.fallAge) / (this.soilMergeAge - this.fallAge));
+
+        // Shed petals one by one as their detach age comes up
+        for (let i = this.petals.length - 1; i >= 0; i--) {
+            const petal = this.petals[i];
+            if (this.structuralAge >= petal.detachAge) {
+                this.detachPetal(petal);
+                this.petals.splice(i, 1);
+                // Petal indices shift: a held petal slips out of the grip
+                if (this.grabbed && this.grabbed.type === "petal") this.grabbed = null;
+            }
         }
 
         // D. Maturation of Petals
@@ -136,26 +778,40 @@ class Flower {
             petal.currentLength = petal.targetLength * lengthProgress;
 
             // Openness: Driven by bloomFactor (external/hormonal) but lagged by physics
-            // We approach the global bloomFactor
+            // We approach the global bloomFactor, partly folded back at night
             const bloomRate = 0.5;
-            petal.openness += (this.bloomFactor - petal.openness) * dt * bloomRate;
+            const targetOpenness = this.bloomFactor * (1.0 - this.nightClosure * darkness);
+            petal.openness += (targetOpenness - petal.openness) * dt * bloomRate;
 
             // Stiffness Relaxation: Buds are hard, Flowers are soft
             // Mapping: 0% open -> 100% stiff, 100% open -> 10% stiff
-            const targetStiffness = 50.0 * (1.0 - (petal.openness * 0.9));
+            // Wilting: stiffness decays further as the flower ages
+            const targetStiffness = petals.stiffness * (1.0 - (petal.openness * 0.9)) * (1.0 - this.decay * 0.8);
             petal.stiffness += (targetStiffness - petal.stiffness) * dt;
         }
     }
 
-    spawnSegment() {
-        const parentIndex = this.segments.length - 1;
+    /**
+     * Grows one blueprint node (see morphology.js) as a new stem segment.
+     * @param {Object} node - {parentIndex, axis, depth, angle, leaf}
+     */
+    spawnSegment(node) {
+        const parentIndex = node.parentIndex;
         const parent = this.segments[parentIndex];
-        const generation = this.segments.length;
+        const generation = node.depth; // Nodes from the root along the stem
+        const branch = node.axis > 0;
+        const stem = this.species.stem;
         
         // Biological Targets
-        const mass = Math.max(0.1, 1.0 - (generation * 0.08));
-        const targetFlexibility = Math.min(1.0, 0.1 + (generation * 0.15));
-        const targetLength = 35; 
+        const mass = Math.max(stem.minMass, stem.mass - (generation * stem.massFalloff)) * (branch ? this.morphology.BRANCH_THICKNESS : 1.0);
+        // Capped below 1.0 (species stem.maxFlexibility, 0.7 by default): a fully
+        // limp stem has no bending stiffness left and folds to the ground under
+        // the weight of the bloom. Plants fast-forwarded to their real age reach
+        // full height, where the upper nodes would otherwise go limp.
+        // A neglected plant grows softer, shorter segments.
+        const vigor = this.thrive(this.neglect.vigor, 1.0);
+        const targetFlexibility = Math.min(stem.maxFlexibility, stem.flexibility + (generation * stem.flexibilityGrowth) / vigor);
+        const targetLength = this.thrive(this.neglect.segmentScale, 1.0) * stem.segmentLength * (branch ? this.morphology.BRANCH_SEGMENT_SCALE : 1.0);
 
         const spawnPos = parent.pos.clone();
 
@@ -167,142 +823,415 @@ class Flower {
             mass,
             this.structuralAge // Pass current system time
         );
+        newSegment.axis = node.axis;
+        newSegment.restAngle = node.angle;
+        this.segments.push(this.storeSegment(newSegment));
 
-        this.segments.push(newSegment);
+        const index = this.segments.length - 1;
+        if (!branch) {
+            this.mainNodes++;
+            this.tipIndex = index;
+        }
+        if (node.leaf) {
+            const length = this.thrive(this.neglect.segmentScale, 1.0) * node.leaf.length;
+            const angle = node.leaf.side * this.morphology.LEAF_ANGLE;
+            this.leaves.push(new Leaf(index, angle, length, this.structuralAge));
+        }
     }
 
-    spawnPetals() {
-        const topIndex = this.segments.length - 1;
-        const count = 6;
+    /**
+     * Opens a flower head: a ring of petals around its node.
+     * @param {Object} head - {anchorIndex, petals, scale, spawned}, from the blueprint
+     */
+    spawnPetals(head) {
+        const topIndex = head.anchorIndex;
+        const count = Math.round(this.thrive(Math.min(this.neglect.petalCount, head.petals), head.petals));
+        const first = this.petals.length;
+        const traits = this.species.petals;
         
         for (let i = 0; i < count; i++) {
             const angle = (Math.PI * 2 / count) * i;
-            const len = 40 + Math.random() * 10; 
+            const len = this.random.range(...traits.length) * head.scale; 
             
             const petal = new Petal(topIndex, angle, len, this.structuralAge);
+            petal.mass = traits.mass;
+            petal.stiffness = traits.stiffness;
             
             // Initialize tip at anchor (bud)
-            petal.tipPos = this.segments[topIndex].pos.clone();
+            petal.tipPos.copy(this.segments[topIndex].pos);
+            petal.prevTipPos.copy(petal.tipPos);
             
-            this.petals.push(petal);
+            this.petals.push(this.storePetal(petal));
+        }
+
+        // Shedding order: each petal gets its own slot across the old stage,
+        // jittered so they don't drop at a metronomic pace.
+        const shedSpan = (this.fallAge - this.senescenceAge) * 0.9;
+        const order = Array.from({ length: count }, (_, i) => first + i);
+        for (let i = order.length - 1; i > 0; i--) {
+            const r = this.random.int(i + 1);
+            [order[i], order[r]] = [order[r], order[i]];
         }
+        order.forEach((petalIndex, slot) => {
+            const jitter = this.random.next();
+            this.petals[petalIndex].detachAge = this.senescenceAge + ((slot + jitter) / count) * shedSpan;
+        });
+
+        head.spawned = true;
+    }
+
+    detachPetal(petal) {
+        const anchor = this.segments[petal.anchorIndex];
+        petal.attached = false;
+        petal.basePos.copy(anchor.pos);
+        petal.baseVel.copy(anchor.vel);
+        petal.prevBasePos.copy(anchor.pos);
+        this.fallenPetals.push(petal);
     }
 
     processPhysics(dt, env) {
         const { gravity, wind, time } = env;
+        const rainLoad = (env.rain || 0) * this.rainLoad;
+        const integrator = this.integrator;
+        const stemDamping = dampingForStep(this.stemDamping, dt);
+        const petalDamping = dampingForStep(this.petalDamping, dt);
+        const groundFriction = dampingForStep(0.8, dt);
+        if (this.recordForces) {
+            this.forces.length = this.segments.length;
+            this.forces[0] = null;
+        }
+
+        // Forces are summed as scalars in the order the vector math had them,
+        // straight out of the struct-of-arrays storage: nothing is allocated
+        const segments = this.segments;
+        const { pos, vel } = this.segmentStore;
+        const windForce = SCRATCH.wind;
+        const grabForce = SCRATCH.grab;
 
         // --- 1. STEM PHYSICS ---
-        for (let i = 1; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            const force = new Vector2(0, 0);
+        for (let i = 1; i < segments.length; i++) {
+            const seg = segments[i];
+            const parentIndex = seg.parentIndex;
+            const parent = segments[parentIndex];
+            const x = pos.x[i];
+            const y = pos.y[i];
 
             // Gravity
-            force.add(gravity.clone().mult(seg.mass));
+            const weightX = gravity.x * seg.mass;
+            const weightY = gravity.y * seg.mass;
             
             // Wind Field Sampling
             // Phase 5: Spatiotemporal sampling per segment
-            const windForce = wind.getForce(seg.pos, time);
-            
-            // Apply wind force (Mass interaction is implicit F=ma, but heavier segments resist more naturally)
-            // We apply the force directly. 
-            force.add(windForce);
+            // Applied directly (mass interaction is implicit F=ma, heavier segments resist more naturally)
+            wind.getForce(seg.pos, time, windForce);
+            let forceX = weightX + windForce.x;
+
+            // Rain weighs the plant down
+            let forceY = weightY + windForce.y + rainLoad;
 
             // Structural Constraint (Spring to Parent)
-            const parent = this.segments[seg.parentIndex];
-            const vectorToParent = parent.pos.clone().sub(seg.pos);
-            const dist = vectorToParent.mag();
-            
+            const toParentX = pos.x[parentIndex] - x;
+            const toParentY = pos.y[parentIndex] - y;
+            const dist = Math.sqrt(toParentX * toParentX + toParentY * toParentY);
+            let tensionX = 0;
+            let tensionY = 0;
+
             if (dist > 0) {
                 const stretch = dist - seg.currentRestLength;
                 const k = this.baseStiffness * 3; 
-                force.add(vectorToParent.normalize().mult(k * stretch));
+                const unit = 1 / dist;
+                tensionX = toParentX * unit * (k * stretch);
+                tensionY = toParentY * unit * (k * stretch);
+                forceX += tensionX;
+                forceY += tensionY;
+
+                // A branch hangs its weight on the node it grows from
+                if (seg.axis !== parent.axis) {
+                    const share = dt / parent.mass;
+                    vel.x[parentIndex] -= tensionX * share;
+                    vel.y[parentIndex] -= tensionY * share;
+                }
             }
 
             // Bending (Angular)
-            let targetDir;
-            if (seg.parentIndex === 0) {
-                targetDir = new Vector2(0, -1);
+            // Once fallen, the base tilts towards the ground and the rest follows
+            let dirX;
+            let dirY;
+            if (parentIndex === 0) {
+                const tilt = this.laydown * Math.PI * 0.5 * this.fallSide;
+                dirX = Math.sin(tilt);
+                dirY = -Math.cos(tilt);
             } else {
-                const grandParent = this.segments[parent.parentIndex];
-                targetDir = parent.pos.clone().sub(grandParent.pos).normalize();
+                const grandParentIndex = parent.parentIndex;
+                dirX = pos.x[parentIndex] - pos.x[grandParentIndex];
+                dirY = pos.y[parentIndex] - pos.y[grandParentIndex];
+                const length = Math.sqrt(dirX * dirX + dirY * dirY);
+                if (length > 0) {
+                    const unit = 1 / length;
+                    dirX *= unit;
+                    dirY *= unit;
+                }
+            }
+            if (seg.restAngle !== 0) {
+                // A branch grows out at its own angle from the parent stem
+                const cos = Math.cos(seg.restAngle);
+                const sin = Math.sin(seg.restAngle);
+                const turnedX = dirX * cos - dirY * sin;
+                dirY = dirX * sin + dirY * cos;
+                dirX = turnedX;
+            }
+
+            const idealX = pos.x[parentIndex] + dirX * seg.currentRestLength;
+            const idealY = pos.y[parentIndex] + dirY * seg.currentRestLength;
+            // Droop: an old stem loses its bending strength and sags under its own mass
+            // Neglect: a thirsty stem hangs its head
+            const droop = 1.0 - this.neglect.droop * (1.0 - this.health);
+            const stiffness = this.baseStiffness * (1.0 - seg.currentFlexibility) * (1.0 - this.decay * 0.85) * droop;
+            const bendX = (idealX - x) * stiffness;
+            const bendY = (idealY - y) * stiffness;
+            forceX += bendX;
+            forceY += bendY;
+
+            // Pointer drag
+            if (this.computeGrabForce("segment", i, seg.pos, grabForce)) {
+                forceX += grabForce.x;
+                forceY += grabForce.y;
             }
 
-            const idealPos = parent.pos.clone().add(targetDir.mult(seg.currentRestLength));
-            const stiffness = this.baseStiffness * (1.0 - seg.currentFlexibility);
-            force.add(idealPos.sub(seg.pos).mult(stiffness));
+            if (this.recordForces) {
+                this.forces[i] = {
+                    gravity: { x: weightX, y: weightY + rainLoad },
+                    wind: { x: windForce.x, y: windForce.y },
+                    spring: { x: tensionX, y: tensionY },
+                    bend: { x: bendX, y: bendY },
+                };
+            }
 
             // Integration
-            const acc = force.mult(1 / seg.mass);
-            seg.vel.add(acc.mult(dt));
-            seg.vel.mult(0.92); 
-            seg.pos.add(seg.vel.clone().mult(dt));
+            const inverseMass = 1 / seg.mass;
+            integrator.integrateAt(pos, vel, i, forceX * inverseMass, forceY * inverseMass, stemDamping, dt);
+
+            this.collideWithGround(seg.pos, seg.vel, groundFriction);
+        }
+
+        // Position-based solvers enforce rest lengths exactly, then derive
+        // velocity, before petals apply their feedback for the next step.
+        if (integrator.usesConstraints) {
+            this.solveStemConstraints(dt);
         }
 
         // --- 2. PETAL PHYSICS & FEEDBACK ---
-        for (const petal of this.petals) {
-            const anchor = this.segments[petal.anchorIndex];
-            const force = new Vector2(0, 0);
+        const { tipPos, tipVel } = this.petalStore;
+        for (let p = 0; p < this.petals.length; p++) {
+            const petal = this.petals[p];
+            const slot = petal.slot;
+            const anchorIndex = petal.anchorIndex;
+            const anchor = segments[anchorIndex];
+            const x = tipPos.x[slot];
+            const y = tipPos.y[slot];
 
             // A. Petal Forces
-            force.add(gravity.clone().mult(petal.mass));
-
             // Phase 5: Petal Wind Interaction
             // Petals sample the same field but experience more force due to surface area
-            const rawWind = wind.getForce(petal.tipPos, time);
-            const petalWind = rawWind.mult(2.5); // Surface area proxy multiplier
-            force.add(petalWind);
+            wind.getForce(petal.tipPos, time, windForce);
+            let forceX = gravity.x * petal.mass + windForce.x * 2.5; // Surface area proxy multiplier
+            let forceY = gravity.y * petal.mass + windForce.y * 2.5 + rainLoad * 2.5; // Same surface area proxy
 
             // B. Constraint: Attachment
-            const vectorToAnchor = anchor.pos.clone().sub(petal.tipPos);
-            const dist = vectorToAnchor.mag();
+            const toAnchorX = pos.x[anchorIndex] - x;
+            const toAnchorY = pos.y[anchorIndex] - y;
+            const dist = Math.sqrt(toAnchorX * toAnchorX + toAnchorY * toAnchorY);
             
             // Stiff length constraint
             if (dist > 0) {
                 const stretch = dist - petal.currentLength;
-                const tension = vectorToAnchor.normalize().mult(200 * stretch);
-                force.add(tension);
+                const unit = 1 / dist;
+                const tensionX = toAnchorX * unit * (200 * stretch);
+                const tensionY = toAnchorY * unit * (200 * stretch);
+                forceX += tensionX;
+                forceY += tensionY;
                 
                 // --- CRITICAL: FORCE FEEDBACK ---
                 // Newton's 3rd Law: The force pulling the petal to the stem 
                 // generates an equal and opposite force pulling the stem to the petal.
                 // This transfers weight, wind, and inertia to the stem.
-                anchor.vel.sub(tension.clone().mult(dt / anchor.mass));
+                const share = dt / anchor.mass;
+                vel.x[anchorIndex] -= tensionX * share;
+                vel.y[anchorIndex] -= tensionY * share;
             }
 
             // C. Constraint: Angular (Posture)
             // Determine target tip position based on openness
-            let stemDir = new Vector2(0, -1);
-            if (petal.anchorIndex > 0) {
-                const prev = this.segments[petal.anchorIndex - 1];
-                stemDir = anchor.pos.clone().sub(prev.pos).normalize();
+            let stemX = 0;
+            let stemY = -1;
+            if (anchorIndex > 0) {
+                const prevIndex = anchor.parentIndex;
+                stemX = pos.x[anchorIndex] - pos.x[prevIndex];
+                stemY = pos.y[anchorIndex] - pos.y[prevIndex];
+                const length = Math.sqrt(stemX * stemX + stemY * stemY);
+                if (length > 0) {
+                    const unit = 1 / length;
+                    stemX *= unit;
+                    stemY *= unit;
+                }
             }
 
-            const spreadDir = new Vector2(Math.cos(petal.angleOffset), Math.sin(petal.angleOffset));
             // When open, we bias heavily towards the spread direction
             // When closed, we align with stem
-            const targetDir = stemDir.clone().mult(1 - petal.openness).add(spreadDir.mult(petal.openness)).normalize();
-            const targetTipPos = anchor.pos.clone().add(targetDir.mult(petal.currentLength));
+            const openness = petal.openness;
+            let dirX = stemX * (1 - openness) + Math.cos(petal.angleOffset) * openness;
+            let dirY = stemY * (1 - openness) + Math.sin(petal.angleOffset) * openness;
+            const dirLength = Math.sqrt(dirX * dirX + dirY * dirY);
+            if (dirLength > 0) {
+                const unit = 1 / dirLength;
+                dirX *= unit;
+                dirY *= unit;
+            }
+            const targetX = pos.x[anchorIndex] + dirX * petal.currentLength;
+            const targetY = pos.y[anchorIndex] + dirY * petal.currentLength;
             
             // Angular Spring Force
-            const angularForce = targetTipPos.sub(petal.tipPos).mult(petal.stiffness);
-            force.add(angularForce);
+            const angularX = (targetX - x) * petal.stiffness;
+            const angularY = (targetY - y) * petal.stiffness;
+            forceX += angularX;
+            forceY += angularY;
             
             // --- CRITICAL: TORQUE FEEDBACK ---
             // The effort to hold the petal at an angle creates torque on the stem.
             // Simplified: The spring force acting on the petal has a reaction on the stem.
             // This pushes the stem AWAY from the petal's target direction.
-            anchor.vel.sub(angularForce.clone().mult(dt * 0.5 / anchor.mass));
+            const torqueShare = dt * 0.5 / anchor.mass;
+            vel.x[anchorIndex] -= angularX * torqueShare;
+            vel.y[anchorIndex] -= angularY * torqueShare;
 
+            // Pointer drag (the attachment tension carries it on to the stem)
+            if (this.computeGrabForce("petal", p, petal.tipPos, grabForce)) {
+                forceX += grabForce.x;
+                forceY += grabForce.y;
+            }
 
             // Integration
-            const acc = force.mult(1 / petal.mass);
-            petal.tipVel.add(acc.mult(dt));
-            petal.tipVel.mult(0.90); 
-                        petal.tipPos.add(petal.tipVel.clone().mult(dt));
-                    }
-                }
+            const inverseMass = 1 / petal.mass;
+            integrator.integrateAt(tipPos, tipVel, slot, forceX * inverseMass, forceY * inverseMass, petalDamping, dt);
+
+            if (integrator.usesConstraints) {
+                this.solveLengthConstraint(anchor.pos, petal.tipPos, petal.currentLength);
+                deriveVelocity(petal.tipVel, petal.prevTipPos, petal.tipPos, dt);
             }
-            
-            // Expose to global scope
-            window.Flower = Flower;
-            
\ No newline at end of file
+        }
+
+        // --- 3. SHED PETALS (Free Bodies) ---
+        for (let p = 0; p < this.fallenPetals.length; p++) {
+            this.processFallenPetal(this.fallenPetals[p], dt, env);
+        }
+    }
+
+    processFallenPetal(petal, dt, env) {
+        // A shed petal is a two-point body: base and tip, held at its length.
+        // Heavy air drag makes it flutter down instead of dropping like a stone.
+        const { tipPos, tipVel, basePos, baseVel } = this.petalStore;
+        const slot = petal.slot;
+
+        const damping = dampingForStep(petal.resting ? 0.8 : 0.96, dt);
+        this.pushFreePoint(petal, basePos, baseVel, petal.basePos, damping, dt, env);
+        this.pushFreePoint(petal, tipPos, tipVel, petal.tipPos, damping, dt, env);
+
+        // Rigid length constraint (position projection)
+        const axisX = tipPos.x[slot] - basePos.x[slot];
+        const axisY = tipPos.y[slot] - basePos.y[slot];
+        const dist = Math.sqrt(axisX * axisX + axisY * axisY);
+        if (dist > 0) {
+            const share = (dist - petal.currentLength) / dist * 0.5;
+            const correctionX = axisX * share;
+            const correctionY = axisY * share;
+            basePos.x[slot] += correctionX;
+            basePos.y[slot] += correctionY;
+            tipPos.x[slot] -= correctionX;
+            tipPos.y[slot] -= correctionY;
+        }
+
+        const friction = dampingForStep(0.5, dt);
+        const baseHit = this.collideWithGround(petal.basePos, petal.baseVel, friction);
+        const tipHit = this.collideWithGround(petal.tipPos, petal.tipVel, friction);
+        petal.resting = baseHit && tipHit;
+
+        if (this.integrator.usesConstraints) {
+            deriveVelocity(petal.baseVel, petal.prevBasePos, petal.basePos, dt);
+            deriveVelocity(petal.tipVel, petal.prevTipPos, petal.tipPos, dt);
+        }
+    }
+
+    /**
+     * Moves one end of a shed petal under half its weight, the wind and the rain.
+     * @param {Petal} petal
+     * @param {Vector2Array} pos - The end's positions in petal storage (basePos or tipPos)
+     * @param {Vector2Array} vel - Its velocities
+     * @param {Vector2View} point - The end's position, to sample the wind at
+     */
+    pushFreePoint(petal, pos, vel, point, damping, dt, env) {
+        const { gravity, wind, time } = env;
+        const mass = petal.mass;
+
+        // Lying flat on the soil, a petal barely catches the wind
+        const exposure = petal.resting ? 0.1 : 1.2;
+        const windForce = wind.getForce(point, time, SCRATCH.wind);
+        const forceX = gravity.x * (mass * 0.5) + windForce.x * exposure;
+        const forceY = gravity.y * (mass * 0.5) + windForce.y * exposure + (env.rain || 0) * this.rainLoad * exposure;
+
+        const inverseMass = 1 / mass;
+        this.integrator.integrateAt(pos, vel, petal.slot, forceX * inverseMass, forceY * inverseMass, damping, dt);
+    }
+
+    solveStemConstraints(dt) {
+        // Root to tip, moving only the child: each parent is already final,
+        // so a single pass satisfies every rest length along the chain.
+        for (let i = 1; i < this.segments.length; i++) {
+            const seg = this.segments[i];
+            const parent = this.segments[seg.parentIndex];
+            this.solveLengthConstraint(parent.pos, seg.pos, seg.currentRestLength);
+            this.collideWithGround(seg.pos, seg.vel, 1.0);
+            deriveVelocity(seg.vel, seg.prevPos, seg.pos, dt);
+        }
+    }
+
+    /**
+     * Moves `pos` along the line to `anchor` until it sits at `length`.
+     */
+    solveLengthConstraint(anchor, pos, length) {
+        const dx = pos.x - anchor.x;
+        const dy = pos.y - anchor.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist === 0) return;
+        const scale = length / dist;
+        pos.x = anchor.x + dx * scale;
+        pos.y = anchor.y + dy * scale;
+    }
+
+    /**
+     * Keeps a point above the soil. Returns true if it touched the ground.
+     */
+    collideWithGround(pos, vel, friction) {
+        if (pos.y < this.groundY) return false;
+        pos.y = this.groundY;
+        if (vel.y > 0) vel.y = 0;
+        vel.x *= friction;
+        return true;
+    }
+}
+
+// Velocity implied by the motion over the last step (position-based solvers)
+function deriveVelocity(vel, prevPos, pos, dt) {
+    vel.x = (pos.x - prevPos.x) / dt;
+    vel.y = (pos.y - prevPos.y) / dt;
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.Flower = Flower;
+globalThis.StemSegment = StemSegment;
+globalThis.Petal = Petal;
+globalThis.Leaf = Leaf;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Flower, StemSegment, Petal, Leaf };
+}
+
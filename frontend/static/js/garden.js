@@ -0,0 +1,126 @@
+// garden.js
+// Garden Page Driver
+//
+// Runs many flowers side by side (GardenSimulation) and paints them with
+// depth, parallax and level of detail (buildGardenScene). WebGL by default,
+// ?renderer= picks another backend, ?hour= the time of day, ?debug=1 shows
+// the overlay. Drag sideways to walk along the rows.
+
+const GARDEN_PAGE_CONFIG = {
+  STEP_SIZE: 1 / 120, // Physics step (s)
+  MAX_SUBSTEPS: 8, // Per frame, beyond that the backlog is dropped
+  PLANTS_PER_FRAME: 4, // Plants grown (fast-forwarded) per frame while the garden fills in
+  REFRESH_INTERVAL: 60 * 1000, // Re-pin plants to their real age (ms)
+  BACKEND: "webgl",
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  if (!window.GARDEN_DATA) return;
+  if (!window.GardenSimulation || !window.FlowerRenderer) {
+      if (!window.GardenSimulation) console.error("Module 'GardenSimulation' is missing.");
+      if (!window.FlowerRenderer) console.error("Module 'FlowerRenderer' is missing.");
+      return;
+  }
+
+  const canvas = document.getElementById("garden-canvas");
+  if (!canvas) {
+      console.error("Canvas not found");
+      return;
+  }
+
+  // --- 1. System Initialization ---
+
+  // A. The Clock (Server Time)
+  const clock = new LifecycleClock(window.GARDEN_DATA.serverNow);
+  const params = new URLSearchParams(window.location.search);
+
+  const fixedHour = params.has("hour") ? Number(params.get("hour")) : null;
+  const getLighting = createLightingSource(() => clock.now(), fixedHour);
+
+  // B. The Simulation: every plant shares one wind and one sky
+  const garden = new GardenSimulation({
+      flowers: window.GARDEN_DATA.flowers.map((f) => ({ ...f, plantedAt: new Date(f.plantedAt).getTime() })),
+      now: clock.now(),
+      solver: params.get("solver") || DEFAULT_SOLVER,
+      stepSize: GARDEN_PAGE_CONFIG.STEP_SIZE
+  });
+  const palettes = new Map(garden.plants.map((plant) => [plant, getPalette(plant.variation)]));
+
+  // C. The View
+  const renderer = new FlowerRenderer(canvas, {
+      backend: params.get("renderer") || GARDEN_PAGE_CONFIG.BACKEND
+  });
+  const element = renderer.element;
+
+  // D. Camera: drag to walk along the rows; near plants slide past faster
+  const reach = Math.max(0, ...garden.plants.map((plant) => Math.abs(plant.x)));
+  let cameraX = 0;
+  let dragX = null;
+
+  element.addEventListener("pointerdown", (event) => {
+    dragX = event.clientX;
+    element.setPointerCapture(event.pointerId);
+    element.classList.add("is-grabbing");
+  });
+  element.addEventListener("pointermove", (event) => {
+    if (dragX === null) return;
+    cameraX = Math.min(Math.max(cameraX - (event.clientX - dragX), -reach), reach);
+    dragX = event.clientX;
+  });
+  const endDrag = () => {
+    dragX = null;
+    element.classList.remove("is-grabbing");
+  };
+  element.addEventListener("pointerup", endDrag);
+  element.addEventListener("pointercancel", endDrag);
+
+
+  // --- 2. Simulation Loop ---
+
+  let lastTime = 0;
+  const timestep = new FixedTimestep(GARDEN_PAGE_CONFIG.STEP_SIZE, GARDEN_PAGE_CONFIG.MAX_SUBSTEPS);
+  const step = () => garden.step();
+  const debug = params.has("debug");
+
+  function loop(timestamp) {
+    if (!lastTime) lastTime = timestamp;
+    const frameDt = (timestamp - lastTime) / 1000;
+    lastTime = timestamp;
+
+    // A. Grow the next few plants, then update physics in fixed substeps
+    garden.plantPending(GARDEN_PAGE_CONFIG.PLANTS_PER_FRAME);
+    const alpha = timestep.advance(frameDt, step);
+
+    // B. Render Frame
+    const lighting = getLighting();
+    garden.darkness = lighting.darkness;
+    const plants = [];
+    for (const plant of garden.plants) {
+      if (!plant.flower) continue;
+      plants.push({
+        flower: plant.flower.getRenderState(alpha),
+        palette: palettes.get(plant),
+        x: plant.x,
+        depth: plant.depth
+      });
+    }
+    renderer.draw(buildGardenScene(plants, garden.time, {
+      width: renderer.width,
+      height: renderer.height,
+      cameraX,
+      weather: garden.weather.current,
+      lighting,
+      debug
+    }));
+
+    requestAnimationFrame(loop);
+  }
+
+  requestAnimationFrame(loop);
+
+
+  // --- 3. Lifecycle ---
+  // Plants age on the server clock; a minute is fine-grained enough for growth.
+
+  setInterval(() => garden.setNow(clock.now()), GARDEN_PAGE_CONFIG.REFRESH_INTERVAL);
+});
@@ -0,0 +1,182 @@
+// garden_system.js
+// Headless Garden Simulation
+//
+// Many flowers side by side under one sky. Each plant grows from its own
+// seed, variation and planting moment, but they all sway in ONE WindField
+// (and one WeatherSystem), sampled at their real position in the row, so a
+// gust visibly travels from plant to plant.
+//
+// Like simulation.js, nothing here touches the DOM (see garden.js for the page).
+
+// Node: load the core modules into the global scope, in page order
+if (typeof module !== "undefined" && module.exports) {
+    require("./lifecycle.js");
+    require("./vector.js");
+    require("./random.js");
+    require("./species.js");
+    require("./morphology.js");
+    require("./timestep.js");
+    require("./wind.js");
+    require("./weather.js");
+    require("./care.js");
+    require("./flower_system.js");
+    require("./simulation.js");
+}
+
+const GARDEN_CONFIG = {
+    ROW_SIZE: 16, // Plants per row before a new row opens behind
+    MAX_ROWS: 10, // Beyond that the rows get longer instead
+    SPACING: 70, // px between neighbouring roots
+    JITTER: 0.3, // Random offset, in SPACING, so rows don't look planted by a machine
+    FRONT_MARGIN: 300, // px gust fronts travel beyond the outermost plants
+    GARDEN_SEED: 1, // Wind and weather of the shared sky
+};
+
+/**
+ * Places plants in rows, front row first, in the order given.
+ * @param {Object[]} flowers - Each with a `seed`
+ * @returns {{x: number, depth: number}[]} World x of the root, depth 0 (front) .. 1 (back)
+ */
+function layoutGarden(flowers) {
+    const rows = Math.min(Math.ceil(flowers.length / GARDEN_CONFIG.ROW_SIZE), GARDEN_CONFIG.MAX_ROWS);
+    const rowSize = Math.ceil(flowers.length / Math.max(rows, 1));
+
+    return flowers.map((flower, i) => {
+        const row = Math.floor(i / rowSize);
+        const column = i - row * rowSize;
+        const inRow = Math.min(rowSize, flowers.length - row * rowSize);
+
+        // Every other row is offset by half a gap: back plants peek between front ones
+        const random = new SeededRandom(hashSeed(flower.seed, SEED_SALT.GARDEN_LAYOUT));
+        const jitter = random.range(-0.5, 0.5) * GARDEN_CONFIG.JITTER;
+        const x = (column - (inRow - 1) / 2 + (row % 2) * 0.5 + jitter) * GARDEN_CONFIG.SPACING;
+
+        return { x, depth: GARDEN_CONFIG.MAX_ROWS > 1 ? row / (GARDEN_CONFIG.MAX_ROWS - 1) : 0 };
+    });
+}
+
+class GardenSimulation {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.flowers - {id, seed, variation, species, plantedAt (epoch ms),
+     *   care: [{kind, performedAt}]}, front row first
+     * @param {number} options.now - Epoch ms (server time) the garden is opened at
+     * @param {number} [options.seed] - Seed of the shared wind and weather
+     * @param {string} [options.solver] - Key of INTEGRATORS
+     * @param {number} [options.stepSize] - Fixed physics step in seconds
+     */
+    constructor(options) {
+        this.stepSize = options.stepSize || SIMULATION_DEFAULTS.stepSize;
+        this.solver = options.solver;
+        const seed = options.seed || GARDEN_CONFIG.GARDEN_SEED;
+
+        // Simulation time 0 is the oldest planting moment, as for a single flower
+        const flowers = options.flowers;
+        this.originMs = Math.min(options.now, ...flowers.map((f) => f.plantedAt));
+        this.time = (options.now - this.originMs) / 1000;
+
+        this.wind = new WindField(seed);
+        this.gravity = new Vector2(0, SIMULATION_DEFAULTS.gravity);
+        this.darkness = 0;
+        this.stepEnvironment = null; // See updateStepEnvironment()
+
+        const layout = layoutGarden(flowers);
+        this.plants = flowers.map((f, i) => ({
+            id: f.id,
+            seed: f.seed,
+            variation: f.variation,
+            species: f.species,
+            plantedAt: f.plantedAt,
+            // Ages on the plant's own clock, as on its page (see care.js)
+            care: getCareAges(f.care || [], f.plantedAt),
+            x: layout[i].x,
+            depth: layout[i].depth,
+            flower: null, // Grown by plantPending()
+        }));
+        this.pending = this.plants.slice();
+
+        const reach = Math.max(0, ...layout.map((p) => Math.abs(p.x)));
+        this.weather = new WeatherSystem(seed, this.originMs, { frontSpan: reach + GARDEN_CONFIG.FRONT_MARGIN });
+        this.weather.update(this.time, this.wind);
+    }
+
+    getEnvironment() {
+        return {
+            gravity: this.gravity,
+            wind: this.wind,
+            time: this.time,
+            rain: this.weather.current.rain,
+            darkness: this.darkness,
+        };
+    }
+
+    // Shared by every plant on every step; only its clock and weather change
+    updateStepEnvironment() {
+        const env = this.stepEnvironment || (this.stepEnvironment = this.getEnvironment());
+        env.time = this.time;
+        env.rain = this.weather.current.rain;
+        env.darkness = this.darkness;
+        return env;
+    }
+
+    get nowMs() {
+        return this.originMs + this.time * 1000;
+    }
+
+    /**
+     * Grows waiting plants to their real age. Fast-forwarding is the
+     * expensive part of a plant's life, so the page spreads it over frames.
+     * @param {number} [limit] - Plants to grow in this call
+     * @returns {number} Plants still waiting
+     */
+    plantPending(limit = Infinity) {
+        for (let i = 0; i < limit && this.pending.length; i++) {
+            const plant = this.pending.shift();
+            const ageSeconds = Math.max(0, (this.nowMs - plant.plantedAt) / 1000);
+            const targetAge = getStructuralAge(ageSeconds);
+
+            plant.flower = new Flower(plant.x, 0, plant.seed, {
+                solver: this.solver,
+                species: plant.species,
+                health: createStructuralHealth(plant.care),
+            });
+            plant.flower.fastForward(targetAge, this.getEnvironment(), this.stepSize);
+            plant.flower.setTargetAge(targetAge);
+        }
+        return this.pending.length;
+    }
+
+    /**
+     * Re-pins every plant to its real age (e.g. after a lifecycle refresh).
+     * @param {number} nowMs - Epoch ms (server time)
+     */
+    setNow(nowMs) {
+        for (const plant of this.plants) {
+            if (!plant.flower) continue;
+            plant.flower.setTargetAge(getStructuralAge(Math.max(0, (nowMs - plant.plantedAt) / 1000)));
+        }
+    }
+
+    /**
+     * Advances every grown plant by whole fixed steps, in the shared wind.
+     * @param {number} count - Number of steps
+     */
+    step(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.time += this.stepSize;
+            this.weather.update(this.time, this.wind);
+            const env = this.updateStepEnvironment();
+            for (const plant of this.plants) {
+                if (plant.flower) plant.flower.update(this.stepSize, env);
+            }
+        }
+    }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.GardenSimulation = GardenSimulation;
+globalThis.GARDEN_CONFIG = GARDEN_CONFIG;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { GardenSimulation, GARDEN_CONFIG, layoutGarden };
+}
@@ -0,0 +1,994 @@
+// geometry.js
+// Scene Geometry Stage (Visuals Only)
+//
+// Turns a flower snapshot and its surroundings into a flat list of drawing
+// primitives. It knows shapes and colors but no drawing API: the render
+// backends (render_canvas.js, render_svg.js, render_webgl.js) paint the list.
+//
+// A scene is an array of primitives, painted in order:
+//   { kind: "path", path, fill?, stroke?, lineWidth?, transform?, opacity?, clip? }
+//   { kind: "text", text, x, y, font, fill }
+// - path: PathBuilder commands, see below.
+// - fill / stroke: a CSS color string or a gradient
+//     { type: "linear", x0, y0, x1, y1, stops: [[offset, color], ...] }
+//     { type: "radial", x0, y0, r0, x1, y1, r1, stops }
+// - transform: [a, b, c, d, e, f] as in setTransform(); applies to the path
+//   and its gradient alike.
+// - clip: { x, y, width, height } in scene pixels.
+
+const VISUAL_CONFIG = {
+    GROUND_Y_OFFSET: 50,
+    MAX_RAINDROPS: 160, // At rain = 1
+    RAIN_SPEED: 600, // px/s
+    SKY_MARGIN: 40, // px between the sun at its highest and the top edge
+    SUN_RADIUS: 12,
+    MOON_RADIUS: 9,
+    STAR_COUNT: 40,
+};
+
+// Garden perspective (see buildGardenScene)
+const GARDEN_VIEW = {
+    HORIZON: 0.55, // Ground line of the back row, as a share of the height
+    FAR_SCALE: 0.4, // Size of the back row relative to the front
+    LOD_SCALES: [0.8, 0.55], // Below these scales plants drop to level of detail 1, then 2
+    CULL_MARGIN: 400, // px (world) a plant may reach sideways, e.g. lying down
+};
+
+// Developer inspector overlay (see inspectorLayer)
+const INSPECTOR_VIEW = {
+    FORCE_SCALE: 0.2, // px of arrow per unit of force
+    WIND_SCALE: 0.4, // px of arrow per unit of wind force
+    MAX_ARROW: 60, // px; longer arrows are clipped to this
+    ARROW_HEAD: 4, // px
+    COLORS: {
+        gravity: "#3b6fd4", // Weight and rain
+        wind: "#1fa89a",
+        spring: "#d43b8f", // Pull towards the parent node
+        bend: "#e08a1e", // Angular spring towards the rest direction
+        windGrid: "rgba(70, 110, 150, 0.45)",
+        label: "#555",
+    },
+};
+
+// --- 1. Paths ---
+
+/**
+ * Records path commands with the CanvasRenderingContext2D path API, so
+ * helpers like drawSpline() build geometry without a canvas.
+ * Commands: ["M", x, y], ["L", x, y], ["Q", cpx, cpy, x, y],
+ * ["C", cp1x, cp1y, cp2x, cp2y, x, y], ["A", x, y, r, start, end, ccw], ["Z"]
+ */
+class PathBuilder {
+    constructor() {
+        this.commands = [];
+    }
+
+    moveTo(x, y) {
+        this.commands.push(["M", x, y]);
+        return this;
+    }
+
+    // As on a canvas, a line without a current point just starts the path
+    lineTo(x, y) {
+        this.commands.push([this.commands.length ? "L" : "M", x, y]);
+        return this;
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        this.commands.push(["Q", cpx, cpy, x, y]);
+        return this;
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        this.commands.push(["C", cp1x, cp1y, cp2x, cp2y, x, y]);
+        return this;
+    }
+
+    arc(x, y, r, startAngle, endAngle, counterclockwise = false) {
+        this.commands.push(["A", x, y, r, startAngle, endAngle, counterclockwise]);
+        return this;
+    }
+
+    rect(x, y, w, h) {
+        return this.moveTo(x, y).lineTo(x + w, y).lineTo(x + w, y + h).lineTo(x, y + h).closePath();
+    }
+
+    closePath() {
+        this.commands.push(["Z"]);
+        return this;
+    }
+}
+
+function multiplyTransform(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5],
+    ];
+}
+
+// --- 2. PURE HELPER FUNCTIONS ---
+
+// Cheap deterministic hash in [0, 1) for particle placement
+function particleHash(i, salt) {
+    const x = Math.sin(i * 12.9898 + salt * 78.233) * 43758.5453;
+    return x - Math.floor(x);
+}
+
+// Each node carries itself and everything growing above it, branches included
+function computeLoadMap(segments) {
+    const loadMap = new Map();
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const load = (loadMap.get(i) || 0) + segments[i].mass;
+        loadMap.set(i, load);
+        if (i > 0) {
+            const parent = segments[i].parentIndex;
+            loadMap.set(parent, (loadMap.get(parent) || 0) + load);
+        }
+    }
+    return loadMap;
+}
+
+// The segment indices each stem ribbon runs through, main stem first:
+// the main stem from the root, every branch from the node it grows out of
+function computeStemChains(segments) {
+    const chains = new Map();
+    segments.forEach((seg, i) => {
+        const axis = seg.axis || 0;
+        if (!chains.has(axis)) chains.set(axis, axis === 0 ? [] : [seg.parentIndex]);
+        chains.get(axis).push(i);
+    });
+    return [...chains.values()];
+}
+
+// stemWidth: the species' render.stemWidth (see species.js)
+function sampleThickness(load, age, stemWidth) {
+    const maturityFactor = Math.min(age * 0.5, 5.0) + 2.0;
+    return maturityFactor * Math.sqrt(load) * stemWidth;
+}
+
+// Edges of one stem ribbon, a left and right point per node of the chain.
+// Pass `out` ({leftPoints, rightPoints}) to reuse its vectors from frame to
+// frame: its arrays only grow, and out.count says how many points are this
+// chain's.
+function computeStemGeometry(segments, loadMap, structuralAge, stemWidth, chain = segments.map((_, i) => i), out = { leftPoints: [], rightPoints: [] }) {
+    const last = chain.length - 1;
+
+    for (let k = 0; k <= last; k++) {
+        const p = segments[chain[k]].pos;
+        const prev = segments[chain[Math.max(k - 1, 0)]].pos;
+        const next = segments[chain[Math.min(k + 1, last)]].pos;
+
+        // Tangent: towards the next node at the base, from the previous one at
+        // the tip, both summed in between
+        let tx = k === 0 ? next.x - p.x : (k === last ? p.x - prev.x : (p.x - prev.x) + (next.x - p.x));
+        let ty = k === 0 ? next.y - p.y : (k === last ? p.y - prev.y : (p.y - prev.y) + (next.y - p.y));
+        const length = Math.sqrt(tx * tx + ty * ty);
+        if (length > 0) {
+            tx *= 1 / length;
+            ty *= 1 / length;
+        }
+
+        // A branch starts out as thick as itself, not as the node it grows from
+        const branchBase = k === 0 && chain.length > 1 && (segments[chain[0]].axis || 0) !== (segments[chain[1]].axis || 0);
+        const load = loadMap.get(branchBase ? chain[1] : chain[k]) || 0.1;
+        const radius = sampleThickness(load, structuralAge, stemWidth);
+
+        // Offset along the normal (-ty, tx)
+        setPoint(out.leftPoints, k, p.x - ty * radius, p.y + tx * radius);
+        setPoint(out.rightPoints, k, p.x + ty * radius, p.y - tx * radius);
+    }
+
+    out.count = chain.length;
+    return out;
+}
+
+// Writes points[k], reusing the vector already there
+function setPoint(points, k, x, y) {
+    if (k < points.length) points[k].set(x, y);
+    else points.push(new Vector2(x, y));
+}
+
+// petalShape: the species' petals.shape {width, bulge, budWidth} (see species.js)
+function generatePetalBezier(petal, anchorPos, petalShape) {
+    const axis = petal.tipPos.clone().sub(anchorPos);
+    const len = axis.mag();
+    const axisNorm = axis.clone().normalize();
+    const perp = new Vector2(-axisNorm.y, axisNorm.x);
+
+    const { width: widthRatio, bulge, budWidth } = petalShape;
+    const width = len * widthRatio * (budWidth + petal.openness * (1 - budWidth));
+
+    const midPoint = anchorPos.clone().add(axis.clone().mult(bulge));
+    const cpLeft = midPoint.clone().add(perp.clone().mult(width));
+    const cpRight = midPoint.clone().sub(perp.clone().mult(width));
+
+    return { cpLeft, cpRight };
+}
+
+// Works on a canvas context or a PathBuilder alike. Traces the first
+// `count` points, last to first when `reverse` is set.
+function drawSpline(ctx, points, count = points.length, reverse = false) {
+    if (count < 2) return;
+
+    const first = tracePoint(points, count, reverse, 0);
+    ctx.lineTo(first.x, first.y);
+
+    const tension = 0.25;
+
+    for (let i = 0; i < count - 1; i++) {
+        const p0 = tracePoint(points, count, reverse, Math.max(0, i - 1));
+        const p1 = tracePoint(points, count, reverse, i);
+        const p2 = tracePoint(points, count, reverse, i + 1);
+        const p3 = tracePoint(points, count, reverse, Math.min(count - 1, i + 2));
+
+        const cp1x = p1.x + (p2.x - p0.x) * tension;
+        const cp1y = p1.y + (p2.y - p0.y) * tension;
+
+        const cp2x = p2.x - (p3.x - p1.x) * tension;
+        const cp2y = p2.y - (p3.y - p1.y) * tension;
+
+        ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, p2.x, p2.y);
+    }
+}
+
+// Straight-line counterpart of drawSpline, for the farthest level of detail
+function drawPolyline(ctx, points, count = points.length, reverse = false) {
+    for (let i = 0; i < count; i++) {
+        const p = tracePoint(points, count, reverse, i);
+        ctx.lineTo(p.x, p.y);
+    }
+}
+
+function tracePoint(points, count, reverse, i) {
+    return points[reverse ? count - 1 - i : i];
+}
+
+// --- 3. Scene Layers ---
+// Each returns primitives for one layer. `view` carries the frame size and
+// surroundings (see buildFlowerScene).
+
+function skyLayer(view, time) {
+    const { width, height, lighting, gloom } = view;
+    const [topH, topS, topL] = lighting.sky.top;
+    const [horH, horS, horL] = lighting.sky.horizon;
+
+    // Vertical sky gradient from the time-of-day keyframes (dawn/day/dusk/night)
+    const primitives = [{
+        kind: "path",
+        path: new PathBuilder().rect(0, 0, width, height).commands,
+        fill: {
+            type: "linear", x0: 0, y0: 0, x1: 0, y1: height,
+            stops: [
+                [0, `hsl(${topH}, ${topS * (1 - gloom * 0.6)}%, ${topL * (1 - gloom * 0.2)}%)`], // Sky top
+                [1, `hsl(${horH}, ${horS * (1 - gloom * 0.6)}%, ${horL * (1 - gloom * 0.12)}%)`], // Horizon
+            ],
+        },
+    }];
+
+    // Sky bodies never show through the ground
+    const horizonY = view.horizonY;
+    const clip = { x: 0, y: 0, width, height: horizonY };
+    const clearSky = 1 - gloom * 0.8;
+
+    const skyPosition = (body) => ({
+        x: width / 2 + body.x * width * 0.42,
+        y: horizonY - body.elevation * (horizonY - VISUAL_CONFIG.SKY_MARGIN),
+    });
+
+    // Stars
+    const visibility = lighting.darkness * clearSky;
+    if (visibility > 0.05) {
+        for (let i = 0; i < VISUAL_CONFIG.STAR_COUNT; i++) {
+            const twinkle = 0.7 + 0.3 * Math.sin(time * 2 + i);
+            const alpha = visibility * twinkle * (0.3 + particleHash(i, 7) * 0.5);
+            primitives.push({
+                kind: "path",
+                path: new PathBuilder().rect(particleHash(i, 5) * width, particleHash(i, 6) * horizonY * 0.7, 1.5, 1.5).commands,
+                fill: `rgba(255, 255, 255, ${alpha})`,
+                clip,
+            });
+        }
+    }
+
+    // Moon, with a crescent cut by the sky color
+    const moon = lighting.moon;
+    if (moon.elevation >= -0.1) {
+        const { x, y } = skyPosition(moon);
+        const r = VISUAL_CONFIG.MOON_RADIUS;
+        const [h, sat, l] = lighting.sky.top;
+        primitives.push(
+            {
+                kind: "path",
+                path: new PathBuilder().arc(x, y, r, 0, Math.PI * 2).commands,
+                fill: `hsla(50, 30%, 92%, ${(0.3 + 0.6 * lighting.darkness) * clearSky})`,
+                clip,
+            },
+            {
+                kind: "path",
+                path: new PathBuilder().arc(x + r * 0.45, y - r * 0.2, r * 0.85, 0, Math.PI * 2).commands,
+                fill: `hsl(${h}, ${sat}%, ${l}%)`,
+                clip,
+            }
+        );
+    }
+
+    // Sun: deep orange on the horizon, pale yellow overhead
+    const sun = lighting.sun;
+    if (sun.elevation >= -0.1) {
+        const { x, y } = skyPosition(sun);
+        const hue = 20 + 30 * Math.min(Math.max(sun.elevation / 0.4, 0), 1);
+        const glow = VISUAL_CONFIG.SUN_RADIUS * 4;
+        primitives.push(
+            {
+                kind: "path",
+                path: new PathBuilder().rect(x - glow, y - glow, glow * 2, glow * 2).commands,
+                fill: {
+                    type: "radial", x0: x, y0: y, r0: 0, x1: x, y1: y, r1: glow,
+                    stops: [[0, `hsla(${hue}, 100%, 75%, ${0.45 * clearSky})`], [1, `hsla(${hue}, 100%, 75%, 0)`]],
+                },
+                clip,
+            },
+            {
+                kind: "path",
+                path: new PathBuilder().arc(x, y, VISUAL_CONFIG.SUN_RADIUS, 0, Math.PI * 2).commands,
+                fill: `hsla(${hue}, 100%, 82%, ${0.4 + 0.6 * clearSky})`,
+                clip,
+            }
+        );
+    }
+
+    return primitives;
+}
+
+function groundLayer(view) {
+    const { width, origin } = view;
+    return [
+        // Minimal grounding cue: a subtle darker plane below the stem origin
+        {
+            kind: "path",
+            path: new PathBuilder().rect(-width / 2, 0, width, VISUAL_CONFIG.GROUND_Y_OFFSET).commands,
+            fill: "rgba(100, 100, 100, 0.05)",
+            transform: origin,
+        },
+        // Horizon line hint
+        {
+            kind: "path",
+            path: new PathBuilder().moveTo(-width / 2, 0).lineTo(width / 2, 0).commands,
+            stroke: "rgba(0,0,0,0.05)",
+            lineWidth: 1,
+            transform: origin,
+        },
+    ];
+}
+
+function shadowLayer(flower, view) {
+    // Shadow grows with the flower's structural age (size proxy)
+    // It stays grounded at (0,0) because the root is fixed.
+    // A plant lying on the ground no longer casts a standing shadow.
+    const size = 20 + Math.min(flower.structuralAge * 10, 60);
+
+    // Direct sunlight casts a long shadow away from the sun; at night or under
+    // clouds only a soft contact shadow remains.
+    const { dirX, length, strength } = view.lighting.shadow;
+    const sunlight = strength * (1.0 - view.gloom * 0.7);
+    const reach = size * length * sunlight;
+
+    const opacity = Math.min(0.1 + flower.structuralAge * 0.02, 0.25) * (1.0 - flower.laydown) * (0.4 + 0.6 * sunlight);
+    if (opacity <= 0) return [];
+
+    // Stretch along the light, flatten to oval
+    const root = flower.segments[0].pos;
+    const transform = multiplyTransform(view.origin, [1 + reach / (2 * size), 0, 0, 0.3, root.x + dirX * reach * 0.5, root.y]);
+    return [{
+        kind: "path",
+        path: new PathBuilder().arc(0, 0, size, 0, Math.PI * 2).commands,
+        fill: {
+            type: "radial", x0: 0, y0: 0, r0: size * 0.1, x1: 0, y1: 0, r1: size,
+            stops: [[0, `rgba(0, 0, 0, ${opacity})`], [1, "rgba(0, 0, 0, 0.0)"]],
+        },
+        transform,
+    }];
+}
+
+// Ribbon edges reused by every stem drawn (see computeStemGeometry)
+const STEM_RIBBON = { leftPoints: [], rightPoints: [], count: 0 };
+
+function stemLayer(flower, view) {
+    const segments = flower.segments;
+    if (segments.length < 2) return [];
+
+    // A. DATA ANALYSIS
+    const loadMap = computeLoadMap(segments);
+    const lod = view.lod || 0;
+    const trace = lod < 2 ? drawSpline : drawPolyline;
+
+    // B. GEOMETRY GENERATION
+    // One ribbon per axis; the main stem is drawn last, over the branch bases
+    const ribbon = STEM_RIBBON;
+    const ribbons = computeStemChains(segments).reverse().map((chain) => {
+        const { leftPoints, rightPoints } = computeStemGeometry(segments, loadMap, flower.structuralAge, flower.species.render.stemWidth, chain, ribbon);
+        let count = ribbon.count;
+
+        // Level of detail: distant stems keep every other node (and the tip),
+        // compacted in place; the farthest are traced with straight lines
+        // instead of splines.
+        if (lod > 0) {
+            let kept = 0;
+            for (let k = 0; k < count; k++) {
+                if (k % 2 !== 0 && k !== count - 1) continue;
+                leftPoints[kept].copy(leftPoints[k]);
+                rightPoints[kept].copy(rightPoints[k]);
+                kept++;
+            }
+            count = kept;
+        }
+
+        const path = new PathBuilder();
+        // Left side (up)
+        trace(path, leftPoints, count);
+        // Cap (Left tip to Right tip)
+        const tipR = rightPoints[count - 1];
+        path.lineTo(tipR.x, tipR.y);
+        // Right side (down), traced backwards
+        trace(path, rightPoints, count, true);
+        path.closePath();
+        return path.commands;
+    });
+
+    // C. PAINT
+    // Stem tint withers from the palette's healthy to withered stops with decay,
+    // dimmed at night and dulled by neglect
+    const stemColors = resolveStemColors(view.palette, flower.decay, view.lighting.darkness, 1 - (flower.health ?? 1));
+
+    if (lod === 2) {
+        return [{ kind: "path", path: ribbons.flat(), fill: stemColors[1], transform: view.origin, opacity: view.fade }];
+    }
+
+    // The gradient runs across the stem, centered on its root
+    const rootX = segments[0].pos.x;
+    return ribbons.map((path) => ({
+        kind: "path",
+        path,
+        fill: {
+            type: "linear", x0: rootX - 15, y0: 0, x1: rootX + 15, y1: 0,
+            stops: [[0.0, stemColors[0]], [0.4, stemColors[1]], [1.0, stemColors[2]]],
+        },
+        // Subtle outline
+        stroke: "rgba(0,50,0,0.1)",
+        lineWidth: 1,
+        transform: view.origin,
+        opacity: view.fade,
+    }));
+}
+
+function leafLayer(flower, view) {
+    const segments = flower.segments;
+    const lod = view.lod || 0;
+    // Distant plants read as stems and blooms only
+    if (lod === 2 || !flower.leaves.length) return [];
+
+    const neglect = 1 - (flower.health ?? 1);
+    const stemColors = resolveStemColors(view.palette, flower.decay, view.lighting.darkness, neglect);
+    // Wilting and neglect let the leaves hang
+    const droop = Math.min(1, flower.decay * 0.8 + neglect * 0.5);
+
+    const primitives = [];
+    for (const leaf of flower.leaves) {
+        if (leaf.length < 1) continue;
+        const base = segments[leaf.anchorIndex].pos;
+        const stemDir = base.clone().sub(segments[segments[leaf.anchorIndex].parentIndex].pos).normalize();
+
+        // Out from the stem at the leaf's angle, pulled down as it droops
+        const cos = Math.cos(leaf.angle);
+        const sin = Math.sin(leaf.angle);
+        const dir = new Vector2(stemDir.x * cos - stemDir.y * sin, stemDir.x * sin + stemDir.y * cos);
+        dir.add(new Vector2(0, droop * 1.2)).normalize();
+        const tip = base.clone().add(dir.clone().mult(leaf.length));
+
+        // Blade: two quadratic edges meeting at the tip, widest near the base
+        const perp = new Vector2(-dir.y, dir.x).mult(leaf.length * flower.species.render.leafWidth);
+        const mid = base.clone().add(dir.clone().mult(leaf.length * 0.4));
+        const cpLeft = mid.clone().add(perp);
+        const cpRight = mid.clone().sub(perp);
+        const vein = base.clone().add(dir.clone().mult(leaf.length * 0.7));
+        const path = new PathBuilder()
+            .moveTo(base.x, base.y)
+            .quadraticCurveTo(cpLeft.x, cpLeft.y, tip.x, tip.y)
+            .quadraticCurveTo(cpRight.x, cpRight.y, base.x, base.y)
+            .commands;
+
+        if (lod === 1) {
+            primitives.push({ kind: "path", path, fill: stemColors[1], transform: view.origin, opacity: view.fade });
+            continue;
+        }
+
+        primitives.push(
+            {
+                kind: "path",
+                path,
+                fill: {
+                    type: "linear", x0: base.x, y0: base.y, x1: tip.x, y1: tip.y,
+                    stops: [[0, stemColors[2]], [1, stemColors[1]]],
+                },
+                transform: view.origin,
+                opacity: view.fade,
+            },
+            // Midrib
+            {
+                kind: "path",
+                path: new PathBuilder().moveTo(base.x, base.y).lineTo(vein.x, vein.y).commands,
+                stroke: "rgba(0,50,0,0.15)",
+                lineWidth: 1,
+                transform: view.origin,
+                opacity: view.fade,
+            },
+        );
+    }
+    return primitives;
+}
+
+function petalPrimitives(petal, anchorPos, petalShape, colors, view) {
+    // A. GEOMETRY GENERATION
+    const shape = generatePetalBezier(petal, anchorPos, petalShape);
+
+    // B. PARAMETRIC VARIATION
+    const hueVar = ((petal.angleOffset * 137.5) % 1) * colors.hueSpread;
+    const sat = colors.saturation + petal.openness * 10;
+    const lit = colors.lightness + (petal.angleOffset % 1) * 10;
+
+    const colorMain = `hsl(${colors.hue + hueVar}, ${sat}%, ${lit}%)`;
+    const colorTip = `hsl(${colors.hue + hueVar + colors.hueSpread * 0.5}, ${sat}%, ${lit + colors.tipLift}%)`;
+
+    // Level of detail 1: flat color, no ridge
+    if (view.lod) {
+        return [{
+            kind: "path",
+            path: new PathBuilder()
+                .moveTo(anchorPos.x, anchorPos.y)
+                .quadraticCurveTo(shape.cpLeft.x, shape.cpLeft.y, petal.tipPos.x, petal.tipPos.y)
+                .quadraticCurveTo(shape.cpRight.x, shape.cpRight.y, anchorPos.x, anchorPos.y)
+                .commands,
+            fill: colorMain,
+            transform: view.origin,
+            opacity: view.fade,
+        }];
+    }
+
+    return [
+        {
+            kind: "path",
+            path: new PathBuilder()
+                .moveTo(anchorPos.x, anchorPos.y)
+                // Left curve
+                .quadraticCurveTo(shape.cpLeft.x, shape.cpLeft.y, petal.tipPos.x, petal.tipPos.y)
+                // Right curve
+                .quadraticCurveTo(shape.cpRight.x, shape.cpRight.y, anchorPos.x, anchorPos.y)
+                .commands,
+            fill: {
+                type: "linear", x0: anchorPos.x, y0: anchorPos.y, x1: petal.tipPos.x, y1: petal.tipPos.y,
+                stops: [[0, colorMain], [1, colorTip]],
+            },
+            transform: view.origin,
+            opacity: view.fade,
+        },
+        // Tension Ridge
+        {
+            kind: "path",
+            path: new PathBuilder().moveTo(anchorPos.x, anchorPos.y).lineTo(petal.tipPos.x, petal.tipPos.y).commands,
+            stroke: "rgba(0,0,0,0.1)",
+            lineWidth: 1,
+            transform: view.origin,
+            opacity: view.fade,
+        },
+    ];
+}
+
+function petalLayer(flower, view) {
+    const segments = flower.segments;
+    const petalShape = flower.species.petals.shape;
+
+    // Palette keyframe for the current stage (pale bud, vivid bloom, faded old),
+    // dimmed at night and dulled by neglect
+    const colors = resolvePetalColors(view.palette, flower.bloomFactor, flower.decay, view.lighting.darkness, 1 - (flower.health ?? 1));
+
+    // Level of detail 2: every petal as a straight-edged kite, all in one path
+    if (view.lod === 2) {
+        const path = new PathBuilder();
+        const kite = (petal, anchorPos) => {
+            const shape = generatePetalBezier(petal, anchorPos, petalShape);
+            path.moveTo(anchorPos.x, anchorPos.y)
+                .lineTo(shape.cpLeft.x, shape.cpLeft.y)
+                .lineTo(petal.tipPos.x, petal.tipPos.y)
+                .lineTo(shape.cpRight.x, shape.cpRight.y)
+                .closePath();
+        };
+        for (const petal of flower.fallenPetals) kite(petal, petal.basePos);
+        for (const petal of flower.petals) kite(petal, segments[petal.anchorIndex].pos);
+        if (!path.commands.length) return [];
+
+        return [{
+            kind: "path",
+            path: path.commands,
+            fill: `hsl(${colors.hue}, ${colors.saturation}%, ${colors.lightness}%)`,
+            transform: view.origin,
+            opacity: view.fade,
+        }];
+    }
+
+    const primitives = [];
+    // Shed petals lie behind the ones still attached
+    for (const petal of flower.fallenPetals) {
+        primitives.push(...petalPrimitives(petal, petal.basePos, petalShape, colors, view));
+    }
+    for (const petal of flower.petals) {
+        primitives.push(...petalPrimitives(petal, segments[petal.anchorIndex].pos, petalShape, colors, view));
+    }
+    return primitives;
+}
+
+function rainLayer(view, time) {
+    const { width, height, weather } = view;
+
+    // Stateless particles: each drop's column and phase come from its index,
+    // so the rain needs no bookkeeping between frames.
+    const count = Math.round(VISUAL_CONFIG.MAX_RAINDROPS * weather.rain);
+    const slant = weather.baseSpeed * 0.01; // Wind pushes the streaks sideways
+    const fall = height + 40;
+
+    const path = new PathBuilder();
+    for (let i = 0; i < count; i++) {
+        const speed = VISUAL_CONFIG.RAIN_SPEED * (0.8 + particleHash(i, 1) * 0.4);
+        const length = 8 + particleHash(i, 2) * 8;
+        const y = ((particleHash(i, 3) * fall + time * speed) % fall) - 20;
+        const x = ((particleHash(i, 4) * width + y * slant) % width + width) % width;
+
+        path.moveTo(x, y);
+        path.lineTo(x + length * slant, y + length);
+    }
+
+    return [{
+        kind: "path",
+        path: path.commands,
+        stroke: `rgba(110, 130, 160, ${0.25 + weather.rain * 0.2})`,
+        lineWidth: 1,
+    }];
+}
+
+function debugLayer(flower) {
+    const text = (value, y) => ({ kind: "text", text: value, x: 10, y, font: "12px monospace", fill: "#888" });
+    return [
+        text(`Segments: ${flower.segments.length}`, 20),
+        text(`Petals: ${flower.petals.length}`, 35),
+        text(`Bloom: ${(flower.bloomFactor * 100).toFixed(0)}%`, 50),
+        text(`Leaves: ${flower.leaves.length}`, 65),
+    ];
+}
+
+// Appends an arrow from `from` along `vector`, at most INSPECTOR_VIEW.MAX_ARROW long
+function arrowPath(path, from, vector, scale) {
+    const length = Math.hypot(vector.x, vector.y) * scale;
+    if (length < 0.5) return;
+    const k = Math.min(length, INSPECTOR_VIEW.MAX_ARROW) / length * scale;
+    const tip = { x: from.x + vector.x * k, y: from.y + vector.y * k };
+    const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+    const head = INSPECTOR_VIEW.ARROW_HEAD;
+
+    path.moveTo(from.x, from.y).lineTo(tip.x, tip.y);
+    path.moveTo(tip.x - head * Math.cos(angle - 0.5), tip.y - head * Math.sin(angle - 0.5));
+    path.lineTo(tip.x, tip.y);
+    path.lineTo(tip.x - head * Math.cos(angle + 0.5), tip.y - head * Math.sin(angle + 0.5));
+}
+
+/**
+ * Inspector overlay: the wind field as a vector grid, the forces on every
+ * stem segment (one color per kind, see INSPECTOR_VIEW.COLORS) and each
+ * node's load and stem radius.
+ * @param {Object} flower - Render state, with `forces` while they are recorded
+ * @param {Object} view - Frame with view.inspector {windGrid: [{x, y, force}]} in flower space
+ */
+function inspectorLayer(flower, view) {
+    const { COLORS, FORCE_SCALE, WIND_SCALE } = INSPECTOR_VIEW;
+    const stroke = (path, color) => ({ kind: "path", path: path.commands, stroke: color, lineWidth: 1, transform: view.origin });
+    const primitives = [];
+
+    // A. Wind field
+    const grid = view.inspector.windGrid || [];
+    if (grid.length) {
+        const path = new PathBuilder();
+        for (const sample of grid) arrowPath(path, sample, sample.force, WIND_SCALE);
+        primitives.push(stroke(path, COLORS.windGrid));
+    }
+
+    // B. Forces of the last physics step, one path per kind
+    const segments = flower.segments;
+    if (flower.forces) {
+        for (const kind of ["gravity", "wind", "spring", "bend"]) {
+            const path = new PathBuilder();
+            flower.forces.forEach((forces, i) => {
+                if (forces && segments[i]) arrowPath(path, segments[i].pos, forces[kind], FORCE_SCALE);
+            });
+            primitives.push(stroke(path, COLORS[kind]));
+        }
+    }
+
+    // C. Load and radius per node (text is placed in scene pixels)
+    const loadMap = computeLoadMap(segments);
+    const [, , , , ox, oy] = view.origin;
+    segments.forEach((seg, i) => {
+        const load = loadMap.get(i) || 0;
+        const radius = sampleThickness(load, flower.structuralAge, flower.species.render.stemWidth);
+        primitives.push({
+            kind: "text",
+            text: `${i}: m ${load.toFixed(1)} r ${radius.toFixed(1)}`,
+            x: ox + seg.pos.x + radius + 6,
+            y: oy + seg.pos.y + 3,
+            font: "10px monospace",
+            fill: COLORS.label,
+        });
+    });
+    return primitives;
+}
+
+/**
+ * The whole frame for one flower, as primitives in paint order.
+ * @param {Object} flower - Render state (Flower.getRenderState)
+ * @param {number} time - Global simulation time (for ambient effects)
+ * @param {Object} view
+ * @param {number} view.width - Scene size in CSS pixels
+ * @param {number} view.height
+ * @param {Object} view.palette - Entry from PALETTES
+ * @param {Object} [view.weather] - Current weather (WeatherSystem.current)
+ * @param {Object} [view.lighting] - Time-of-day lighting (computeLighting); noon if omitted
+ * @param {boolean} [view.background] - Sky, ground and rain; off leaves a transparent backdrop
+ * @param {boolean} [view.debug] - Stats overlay
+ * @param {Object} [view.inspector] - Developer overlay: forces, wind grid, loads (see inspectorLayer)
+ * @returns {Object[]} Primitives
+ */
+function buildFlowerScene(flower, time, view) {
+    const weather = view.weather || null;
+    const { background = true, debug = false } = view;
+    const frame = {
+        ...view,
+        weather,
+        lighting: view.lighting || computeLighting(12),
+        // Rain clouds grey the sky out and soften the sun
+        gloom: weather ? weather.rain : 0,
+        horizonY: view.height - VISUAL_CONFIG.GROUND_Y_OFFSET,
+        // Flower space: origin on the ground, centered
+        origin: [1, 0, 0, 1, view.width / 2, view.height - VISUAL_CONFIG.GROUND_Y_OFFSET],
+        // A fallen flower fades into the soil during SOIL_MERGE_TIME
+        fade: 1.0 - flower.soilMerge,
+    };
+
+    return [
+        // 1. Environmental Context (Background)
+        ...(background ? skyLayer(frame, time) : []),
+        // 2. Ground Plane
+        ...(background ? groundLayer(frame) : []),
+        // 3. Organism Shadows
+        ...shadowLayer(flower, frame),
+        // 4. Structural Rendering (leaves tuck in behind the stem)
+        ...leafLayer(flower, frame),
+        ...stemLayer(flower, frame),
+        ...petalLayer(flower, frame),
+        // 5. Rain falls in front of everything
+        ...(background && weather && weather.rain > 0 ? rainLayer(frame, time) : []),
+        ...(view.inspector ? inspectorLayer(flower, frame) : []),
+        ...(debug ? debugLayer(flower) : []),
+    ];
+}
+
+// --- 4. Garden Scenes ---
+// Plants stand in rows going back towards the horizon. Farther rows are
+// smaller and higher up, so panning the camera moves them less (parallax),
+// and they are drawn with less detail.
+
+function gardenGroundLayer(view) {
+    const { width, height, horizonY } = view;
+    return [
+        {
+            kind: "path",
+            path: new PathBuilder().rect(0, horizonY, width, height - horizonY).commands,
+            fill: {
+                type: "linear", x0: 0, y0: horizonY, x1: 0, y1: height,
+                stops: [[0, "rgba(100, 100, 100, 0.03)"], [1, "rgba(100, 100, 100, 0.08)"]],
+            },
+        },
+        {
+            kind: "path",
+            path: new PathBuilder().moveTo(0, horizonY).lineTo(width, horizonY).commands,
+            stroke: "rgba(0,0,0,0.05)",
+            lineWidth: 1,
+        },
+    ];
+}
+
+/**
+ * Where a garden plant lands on screen.
+ * @param {{x: number, depth: number}} plant - World x of the root, depth 0 (front) .. 1 (back)
+ * @param {Object} view - width, height and cameraX (world x at the screen center)
+ * @returns {{scale: number, transform: number[], lod: number, visible: boolean}}
+ */
+function projectGardenPlant(plant, view) {
+    const scale = 1 - plant.depth * (1 - GARDEN_VIEW.FAR_SCALE);
+    const frontY = view.height - VISUAL_CONFIG.GROUND_Y_OFFSET;
+    const groundY = frontY - plant.depth * (frontY - view.height * GARDEN_VIEW.HORIZON);
+
+    const screenX = view.width / 2 + (plant.x - (view.cameraX || 0)) * scale;
+    const margin = GARDEN_VIEW.CULL_MARGIN * scale;
+    const [lod1, lod2] = GARDEN_VIEW.LOD_SCALES;
+
+    return {
+        scale,
+        // World -> screen: plants keep their world x, so one transform fits the whole row
+        transform: [scale, 0, 0, scale, view.width / 2 - (view.cameraX || 0) * scale, groundY],
+        lod: scale >= lod1 ? 0 : (scale >= lod2 ? 1 : 2),
+        visible: screenX > -margin && screenX < view.width + margin,
+    };
+}
+
+/**
+ * A whole garden as primitives, back rows first.
+ * @param {Object[]} plants - {flower (render state, world coordinates), palette, x, depth}
+ * @param {number} time - Global simulation time (for ambient effects)
+ * @param {Object} view - As for buildFlowerScene (minus palette), plus cameraX
+ * @returns {Object[]} Primitives
+ */
+function buildGardenScene(plants, time, view) {
+    const weather = view.weather || null;
+    const { background = true, debug = false } = view;
+    const frame = {
+        ...view,
+        weather,
+        lighting: view.lighting || computeLighting(12),
+        gloom: weather ? weather.rain : 0,
+        horizonY: view.height * GARDEN_VIEW.HORIZON,
+    };
+
+    const primitives = background ? [...skyLayer(frame, time), ...gardenGroundLayer(frame)] : [];
+
+    // Depth sort: the painter's algorithm needs the back rows first
+    const sorted = plants.slice().sort((a, b) => b.depth - a.depth);
+    let drawn = 0;
+    for (const plant of sorted) {
+        const projection = projectGardenPlant(plant, frame);
+        if (!projection.visible) continue;
+        drawn++;
+
+        const plantFrame = {
+            ...frame,
+            palette: plant.palette,
+            origin: projection.transform,
+            fade: 1.0 - plant.flower.soilMerge,
+            lod: projection.lod,
+        };
+        if (projection.lod < 2) primitives.push(...shadowLayer(plant.flower, plantFrame));
+        primitives.push(
+            ...leafLayer(plant.flower, plantFrame),
+            ...stemLayer(plant.flower, plantFrame),
+            ...petalLayer(plant.flower, plantFrame),
+        );
+    }
+
+    if (background && weather && weather.rain > 0) primitives.push(...rainLayer(frame, time));
+    if (debug) {
+        primitives.push({ kind: "text", text: `Flowers: ${drawn} / ${plants.length}`, x: 10, y: 20, font: "12px monospace", fill: "#888" });
+    }
+    return primitives;
+}
+
+// --- 5. HIT TESTING ---
+// Uses the exact geometry the renderer draws, so what you grab is what you see.
+
+/**
+ * Finds the part of the flower under a world-space point.
+ * @param {Flower} flower
+ * @param {Vector2} point - World-space point (see FlowerRenderer.toWorld)
+ * @param {number} tolerance - Extra reach in pixels, generous for fingers
+ * @returns {{type: "petal"|"segment", index: number}|null}
+ */
+function hitTestFlower(flower, point, tolerance = 12) {
+    const segments = flower.segments;
+
+    // Petals are drawn on top of the stem, so they win
+    for (let i = flower.petals.length - 1; i >= 0; i--) {
+        const petal = flower.petals[i];
+        const anchorPos = segments[petal.anchorIndex].pos;
+        const outline = samplePetalOutline(petal, anchorPos, flower.species.petals.shape);
+        const tipDist = Math.hypot(point.x - petal.tipPos.x, point.y - petal.tipPos.y);
+        if (tipDist <= tolerance || pointInPolygon(point, outline)) {
+            return { type: "petal", index: i };
+        }
+    }
+
+    if (segments.length < 2) return null;
+
+    const loadMap = computeLoadMap(segments);
+    let best = null;
+    for (const chain of computeStemChains(segments)) {
+        const ribbon = computeStemGeometry(segments, loadMap, flower.structuralAge, flower.species.render.stemWidth, chain);
+        for (let k = 1; k < chain.length; k++) {
+            const i = chain[k];
+            const left = ribbon.leftPoints[k];
+            const right = ribbon.rightPoints[k];
+            const radius = Math.hypot(left.x - right.x, left.y - right.y) / 2;
+
+            // Grabbing the span between a node and its parent moves the node
+            const dist = distanceToSegment(point, segments[segments[i].parentIndex].pos, segments[i].pos);
+            if (dist <= radius + tolerance && (!best || dist < best.dist)) {
+                best = { index: i, dist };
+            }
+        }
+    }
+
+    return best ? { type: "segment", index: best.index } : null;
+}
+
+function samplePetalOutline(petal, anchorPos, petalShape, samples = 8) {
+    const shape = generatePetalBezier(petal, anchorPos, petalShape);
+    const points = [];
+    const quad = (p0, p1, p2, t) => {
+        const u = 1 - t;
+        return new Vector2(
+            u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x,
+            u * u * p0.y + 2 * u * t * p1.y + t * t * p2.y,
+        );
+    };
+    for (let i = 0; i < samples; i++) points.push(quad(anchorPos, shape.cpLeft, petal.tipPos, i / samples));
+    for (let i = 0; i < samples; i++) points.push(quad(petal.tipPos, shape.cpRight, anchorPos, i / samples));
+    return points;
+}
+
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function distanceToSegment(point, a, b) {
+    const abx = b.x - a.x;
+    const aby = b.y - a.y;
+    const lengthSq = abx * abx + aby * aby;
+    const t = lengthSq > 0
+        ? Math.min(Math.max(((point.x - a.x) * abx + (point.y - a.y) * aby) / lengthSq, 0), 1)
+        : 0;
+    return Math.hypot(point.x - (a.x + abx * t), point.y - (a.y + aby * t));
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.VISUAL_CONFIG = VISUAL_CONFIG;
+globalThis.INSPECTOR_VIEW = INSPECTOR_VIEW;
+globalThis.PathBuilder = PathBuilder;
+globalThis.buildFlowerScene = buildFlowerScene;
+globalThis.buildGardenScene = buildGardenScene;
+globalThis.hitTestFlower = hitTestFlower;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        VISUAL_CONFIG,
+        GARDEN_VIEW,
+        INSPECTOR_VIEW,
+        PathBuilder,
+        multiplyTransform,
+        buildFlowerScene,
+        buildGardenScene,
+        projectGardenPlant,
+        hitTestFlower,
+        computeLoadMap,
+        computeStemGeometry,
+        computeStemChains,
+        generatePetalBezier,
+        drawSpline,
+    };
+}
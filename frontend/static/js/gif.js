@@ -0,0 +1,224 @@
+// gif.js
+// Minimal animated GIF89a encoder (for export.js)
+//
+// Frames are quantized to a fixed 6x7x6 color cube with ordered (Bayer)
+// dithering, which keeps soft sky and petal gradients from banding without
+// any per-frame palette analysis. Fully transparent pixels map to a reserved
+// index, so exports without a background stay transparent.
+// Pure data in, bytes out: no DOM, runs in Node too.
+
+const GIF_LEVELS = { r: 6, g: 7, b: 6 }; // 252 colors
+const GIF_TRANSPARENT = 252; // Palette index reserved for transparency
+
+// 4x4 Bayer matrix, as thresholds in [0, 1)
+const BAYER_4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map((v) => (v + 0.5) / 16);
+
+// --- PURE HELPER FUNCTIONS ---
+
+function buildCubePalette() {
+    const palette = new Uint8Array(256 * 3);
+    let i = 0;
+    for (let r = 0; r < GIF_LEVELS.r; r++) {
+        for (let g = 0; g < GIF_LEVELS.g; g++) {
+            for (let b = 0; b < GIF_LEVELS.b; b++) {
+                palette[i++] = Math.round((r * 255) / (GIF_LEVELS.r - 1));
+                palette[i++] = Math.round((g * 255) / (GIF_LEVELS.g - 1));
+                palette[i++] = Math.round((b * 255) / (GIF_LEVELS.b - 1));
+            }
+        }
+    }
+    return palette;
+}
+
+function quantizeChannel(value, levels, threshold) {
+    return Math.min(Math.floor((value * (levels - 1)) / 255 + threshold), levels - 1);
+}
+
+/**
+ * Maps RGBA pixels to palette indices.
+ * @param {Uint8ClampedArray} rgba - width * height * 4 bytes
+ * @returns {Uint8Array} One palette index per pixel
+ */
+function quantizeFrame(rgba, width, height) {
+    const indices = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const o = p * 4;
+            if (rgba[o + 3] < 128) {
+                indices[p] = GIF_TRANSPARENT;
+                continue;
+            }
+            const t = BAYER_4[(y & 3) * 4 + (x & 3)];
+            const r = quantizeChannel(rgba[o], GIF_LEVELS.r, t);
+            const g = quantizeChannel(rgba[o + 1], GIF_LEVELS.g, t);
+            const b = quantizeChannel(rgba[o + 2], GIF_LEVELS.b, t);
+            indices[p] = (r * GIF_LEVELS.g + g) * GIF_LEVELS.b + b;
+        }
+    }
+    return indices;
+}
+
+/**
+ * GIF-flavoured LZW: variable-width codes, LSB first, reset at 4096 codes.
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize - Bits per palette index (8 here)
+ * @returns {number[]} Compressed bytes (not yet split into sub-blocks)
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const known = dictionary.get(key);
+        if (known !== undefined) {
+            prefix = known;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode < 4096) {
+            dictionary.set(key, nextCode++);
+            // The decoder widens one code later than the encoder adds it
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            emit(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = k;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) out.push(bitBuffer & 0xff);
+    return out;
+}
+
+/**
+ * Writes a looping GIF one frame at a time, so a long export can yield to
+ * the page between frames (see FlowerExporter.toGIF).
+ */
+class GifWriter {
+    /**
+     * @param {Object} options
+     * @param {number} options.width
+     * @param {number} options.height
+     * @param {number} options.delay - Time per frame in ms (rounded to 1/100 s)
+     */
+    constructor({ width, height, delay }) {
+        this.width = width;
+        this.height = height;
+        this.delayCs = Math.max(2, Math.round(delay / 10));
+        this.bytes = [];
+
+        // Header & logical screen, 256-entry global color table
+        this.text("GIF89a");
+        this.u16(width);
+        this.u16(height);
+        this.u8(0xf7); // Global table present, 8 bits color resolution, 2^8 entries
+        this.u8(GIF_TRANSPARENT); // Background color index
+        this.u8(0);
+        for (const v of buildCubePalette()) this.u8(v);
+
+        // Loop forever (NETSCAPE2.0 application extension)
+        this.u8(0x21); this.u8(0xff); this.u8(11);
+        this.text("NETSCAPE2.0");
+        this.u8(3); this.u8(1); this.u16(0); this.u8(0);
+    }
+
+    u8(v) {
+        this.bytes.push(v & 0xff);
+    }
+
+    u16(v) {
+        this.bytes.push(v & 0xff, (v >> 8) & 0xff);
+    }
+
+    text(s) {
+        for (const c of s) this.u8(c.charCodeAt(0));
+    }
+
+    /**
+     * @param {Uint8ClampedArray} rgba - width * height * 4 bytes (e.g. ImageData.data)
+     */
+    addFrame(rgba) {
+        // Graphic control: restore to background, transparent index
+        this.u8(0x21); this.u8(0xf9); this.u8(4);
+        this.u8((2 << 2) | 1);
+        this.u16(this.delayCs);
+        this.u8(GIF_TRANSPARENT);
+        this.u8(0);
+
+        // Image descriptor: full frame, global table
+        this.u8(0x2c);
+        this.u16(0); this.u16(0);
+        this.u16(this.width); this.u16(this.height);
+        this.u8(0);
+
+        // Image data in sub-blocks of at most 255 bytes
+        const minCodeSize = 8;
+        const data = lzwEncode(quantizeFrame(rgba, this.width, this.height), minCodeSize);
+        this.u8(minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            this.u8(block.length);
+            for (const v of block) this.u8(v);
+        }
+        this.u8(0);
+    }
+
+    /**
+     * @returns {Uint8Array} The .gif file
+     */
+    finish() {
+        this.u8(0x3b); // Trailer
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+/**
+ * Encodes RGBA frames as a looping GIF.
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {Uint8ClampedArray[]} options.frames - RGBA pixels per frame (e.g. ImageData.data)
+ * @param {number} options.delay - Time per frame in ms (rounded to 1/100 s)
+ * @returns {Uint8Array} The .gif file
+ */
+function encodeGif({ width, height, frames, delay }) {
+    const writer = new GifWriter({ width, height, delay });
+    for (const rgba of frames) writer.addFrame(rgba);
+    return writer.finish();
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.GifWriter = GifWriter;
+globalThis.encodeGif = encodeGif;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { GifWriter, encodeGif, quantizeFrame, lzwEncode, GIF_TRANSPARENT };
+}
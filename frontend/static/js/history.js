@@ -0,0 +1,88 @@
+// history.js
+// Memorial Timeline Driver
+//
+// Each flower the owner has grown is drawn once, as a still: a headless
+// FlowerSimulation is grown from the stored seed and species, along the flower's care
+// history, to peak bloom, then painted by FlowerRenderer (Canvas 2D).
+// Nothing animates on this page.
+
+// Node: the simulation core, for growSnapshot()
+if (typeof module !== "undefined" && module.exports) {
+  require("./simulation.js");
+}
+
+const HISTORY_CONFIG = {
+  // Real age (s) of peak bloom: late in the bloom stage, once the petals are
+  // fully open and before senescence begins at LIFECYCLE.OLD
+  SNAPSHOT_AGE: LIFECYCLE.BLOOM + 0.75 * (LIFECYCLE.OLD - LIFECYCLE.BLOOM),
+  SETTLE_STEPS: 240, // Physics steps after the fast-forward, so the stem comes to rest
+  SIZE: { width: 300, height: 400 }, // Scene size, as on the flower page; CSS shrinks the still
+  HOUR: 12, // Stills are lit at noon
+};
+
+/**
+ * Grows one flower to peak bloom, along its care history, and lets it settle.
+ * @param {Object} flower
+ * @param {number} flower.seed - The flower's stored seed
+ * @param {string} flower.species - Its built-in species id
+ * @param {string} flower.plantedAt - ISO timestamp
+ * @param {{kind: string, performedAt: string}[]} flower.care - Its care actions, oldest first
+ * @returns {FlowerSimulation}
+ */
+function growSnapshot(flower) {
+  const simulation = new FlowerSimulation({
+    seed: flower.seed,
+    species: flower.species,
+    ageSeconds: HISTORY_CONFIG.SNAPSHOT_AGE,
+    care: getCareAges(flower.care, flower.plantedAt)
+  });
+  simulation.step(HISTORY_CONFIG.SETTLE_STEPS);
+  return simulation;
+}
+
+/**
+ * Paints one flower in peak bloom into a canvas.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} flower - As for growSnapshot(), plus its variation (key of PALETTES)
+ */
+function drawSnapshot(canvas, flower) {
+  const simulation = growSnapshot(flower);
+
+  const renderer = new FlowerRenderer(canvas, {
+    variation: flower.variation,
+    backend: "canvas2d",
+    size: HISTORY_CONFIG.SIZE
+  });
+  renderer.render(simulation.flower.getRenderState(1), simulation.time, {
+    lighting: computeLighting(HISTORY_CONFIG.HOUR)
+  }, { debug: false });
+}
+
+if (typeof document !== "undefined") document.addEventListener("DOMContentLoaded", async () => {
+  if (!window.FlowerSimulation || !window.FlowerRenderer) {
+      if (!window.FlowerSimulation) console.error("Module 'FlowerSimulation' is missing.");
+      if (!window.FlowerRenderer) console.error("Module 'FlowerRenderer' is missing.");
+      return;
+  }
+
+  // Growing a flower to bloom takes a few milliseconds: one per frame keeps
+  // a long history from blocking the page.
+  for (const canvas of document.querySelectorAll(".history-snapshot")) {
+    await new Promise(requestAnimationFrame);
+    try {
+      drawSnapshot(canvas, {
+        seed: Number(canvas.dataset.seed),
+        variation: canvas.dataset.variation,
+        species: canvas.dataset.species,
+        plantedAt: canvas.dataset.plantedAt,
+        care: JSON.parse(canvas.dataset.care)
+      });
+    } catch (err) {
+      console.error("Snapshot failed:", err);
+    }
+  }
+});
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { HISTORY_CONFIG, growSnapshot };
+}
@@ -0,0 +1,204 @@
+// inspector.js
+// Developer Inspector (live tuning & force visualization)
+//
+// A panel for looking inside the simulation while it runs:
+// - Overlay: the forces on every stem segment, the wind field as a vector
+//   grid and each node's load and radius (drawn by geometry.js, see
+//   inspectorLayer), plus the stats overlay.
+// - Sliders tune stiffness, growth rate, damping and the wind live.
+// - Pause, single-step and slow motion drive the page's loop through a
+//   shared playback object.
+//
+// Opened with ?debug=1 or the backquote key. Tuning only touches this
+// page's simulation: it is never saved or sent anywhere.
+
+const INSPECTOR_CONFIG = {
+  TOGGLE_KEY: "`",
+  SLOW_MOTION: 0.25, // Playback speed in slow motion
+  WIND_GRID_SPACING: 40, // px between wind samples
+};
+
+// Tunable parameters: `target` is the object they live on. Wind values are
+// pinned through FlowerSimulation.setWindOverrides, since the weather
+// rewrites them every step.
+const INSPECTOR_PARAMS = [
+  { target: "flower", key: "baseStiffness", label: "Stiffness", min: 5, max: 200, step: 1 },
+  { target: "flower", key: "baseGrowthRate", label: "Growth rate", min: 0, max: 5, step: 0.1 },
+  { target: "flower", key: "stemDamping", label: "Stem damping", min: 0.8, max: 1, step: 0.005 },
+  { target: "flower", key: "petalDamping", label: "Petal damping", min: 0.8, max: 1, step: 0.005 },
+  { target: "wind", key: "baseSpeed", label: "Wind speed", min: 0, max: 80, step: 0.5 },
+  { target: "wind", key: "gustiness", label: "Gustiness", min: 0, max: 80, step: 0.5 },
+  { target: "wind", key: "spatialScale", label: "Wind scale", min: 0.0005, max: 0.03, step: 0.0005 },
+];
+
+/**
+ * Samples the wind field on a regular grid over the scene.
+ * @param {WindField} wind
+ * @param {number} time - Simulation time
+ * @param {{width: number, height: number}} view - Scene size in CSS pixels
+ * @param {number} [spacing] - px between samples
+ * @returns {{x: number, y: number, force: Vector2}[]} In flower space (origin on the ground, centered)
+ */
+function sampleWindGrid(wind, time, view, spacing = INSPECTOR_CONFIG.WIND_GRID_SPACING) {
+  const samples = [];
+  const groundY = view.height - VISUAL_CONFIG.GROUND_Y_OFFSET;
+  for (let y = spacing / 2 - groundY; y < 0; y += spacing) {
+    for (let x = spacing / 2 - view.width / 2; x < view.width / 2; x += spacing) {
+      samples.push({ x, y, force: wind.getForce(new Vector2(x, y), time) });
+    }
+  }
+  return samples;
+}
+
+class FlowerInspector {
+  /**
+   * @param {Element} panel - Container for the controls (#flower-inspector); sliders are added to it
+   * @param {FlowerSimulation} simulation - The live flower and its wind
+   * @param {Object} playback - Read by the page's loop: {paused, speed, pendingSteps}
+   * @param {Object} [options]
+   * @param {boolean} [options.open] - Start opened (e.g. ?debug=1)
+   */
+  constructor(panel, simulation, playback, options = {}) {
+    this.panel = panel;
+    this.simulation = simulation;
+    this.playback = playback;
+    this.open = false;
+    this.windOverrides = {};
+
+    // Starting values, for the reset button
+    this.defaults = Object.fromEntries(
+      INSPECTOR_PARAMS.map((param) => [param.key, this.targetOf(param)[param.key]])
+    );
+    this.inputs = INSPECTOR_PARAMS.map((param) => this.addSlider(param));
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onClick = this.onClick.bind(this);
+    document.addEventListener("keydown", this.onKeyDown);
+    panel.addEventListener("click", this.onClick);
+
+    this.setOpen(Boolean(options.open));
+  }
+
+  destroy() {
+    document.removeEventListener("keydown", this.onKeyDown);
+    this.panel.removeEventListener("click", this.onClick);
+  }
+
+  targetOf(param) {
+    return param.target === "wind" ? this.simulation.wind : this.simulation.flower;
+  }
+
+  addSlider(param) {
+    const label = document.createElement("label");
+    const name = document.createElement("span");
+    const input = document.createElement("input");
+    const output = document.createElement("output");
+
+    name.textContent = param.label;
+    Object.assign(input, { type: "range", min: param.min, max: param.max, step: param.step });
+    input.value = this.targetOf(param)[param.key];
+    output.value = input.value;
+    input.addEventListener("input", () => {
+      output.value = input.value;
+      this.setParam(param, Number(input.value));
+    });
+
+    label.append(name, input, output);
+    this.panel.append(label);
+    return { param, input, output };
+  }
+
+  setParam(param, value) {
+    if (param.target === "wind") {
+      this.windOverrides[param.key] = value;
+      this.simulation.setWindOverrides(this.windOverrides);
+    } else {
+      this.targetOf(param)[param.key] = value;
+      // Growth rate is derived from health and the base rate on every update
+      if (param.key === "baseGrowthRate") this.simulation.flower.setHealth(this.simulation.flower.health);
+    }
+  }
+
+  reset() {
+    this.windOverrides = {};
+    this.simulation.setWindOverrides(null);
+    for (const { param, input, output } of this.inputs) {
+      input.value = this.defaults[param.key];
+      output.value = input.value;
+      if (param.target === "flower") this.setParam(param, this.defaults[param.key]);
+      else this.simulation.wind[param.key] = this.defaults[param.key];
+    }
+  }
+
+  /**
+   * Shows or hides the panel and the overlay. Closing resumes normal playback.
+   * @param {boolean} open
+   */
+  setOpen(open) {
+    this.open = open;
+    this.panel.hidden = !open;
+    this.simulation.flower.recordForces = open;
+    if (!open) {
+      this.simulation.flower.forces = [];
+      Object.assign(this.playback, { paused: false, speed: 1, pendingSteps: 0 });
+      this.updateButtons();
+    }
+  }
+
+  /**
+   * Overlay for FlowerRenderer.render() (options.inspector), or null while closed.
+   * @param {{width: number, height: number}} view - Scene size
+   */
+  getOverlay(view) {
+    if (!this.open) return null;
+    return { windGrid: sampleWindGrid(this.simulation.wind, this.simulation.time, view) };
+  }
+
+  onKeyDown(event) {
+    if (event.key !== INSPECTOR_CONFIG.TOGGLE_KEY) return;
+    if (event.target.closest && event.target.closest("input, select, textarea")) return;
+    this.setOpen(!this.open);
+  }
+
+  onClick(event) {
+    const button = event.target.closest("[data-playback]");
+    if (!button) return;
+
+    const playback = this.playback;
+    switch (button.dataset.playback) {
+      case "pause":
+        playback.paused = !playback.paused;
+        break;
+      case "step":
+        // Stepping stops the clock first, then advances one physics step per click
+        if (playback.paused) playback.pendingSteps++;
+        playback.paused = true;
+        break;
+      case "slow":
+        playback.speed = playback.speed === 1 ? INSPECTOR_CONFIG.SLOW_MOTION : 1;
+        break;
+      case "reset":
+        this.reset();
+        break;
+    }
+    this.updateButtons();
+  }
+
+  updateButtons() {
+    const pause = this.panel.querySelector('[data-playback="pause"]');
+    if (pause) {
+      pause.textContent = this.playback.paused ? "Play" : "Pause";
+      pause.setAttribute("aria-pressed", String(this.playback.paused));
+    }
+    const slow = this.panel.querySelector('[data-playback="slow"]');
+    if (slow) slow.setAttribute("aria-pressed", String(this.playback.speed !== 1));
+  }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.FlowerInspector = FlowerInspector;
+globalThis.sampleWindGrid = sampleWindGrid;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { INSPECTOR_CONFIG, INSPECTOR_PARAMS, FlowerInspector, sampleWindGrid };
+}
@@ -0,0 +1,149 @@
+// interaction.js
+// Pointer Interaction (mouse, touch, pen)
+//
+// - Drag near a stem segment or petal tip: a spring pulls it towards the
+//   pointer through Flower.processPhysics(), so it bends with its real
+//   stiffness and snaps back on release.
+// - Flick: the pointer's release velocity is handed to the grabbed part.
+// - Hover: a gentle local breeze follows the pointer (WindField sources).
+//
+// This module owns NO physics and NO drawing: it translates pointer events
+// into simulation space (via the renderer) and forwards them.
+
+const INTERACTION_CONFIG = {
+  HIT_TOLERANCE: 14, // px of extra reach around stem and petals
+  VELOCITY_WINDOW: 0.1, // s of pointer history used to estimate a flick
+  MAX_FLICK_SPEED: 1500, // px/s
+  BREEZE_INTERVAL: 0.08, // s between hover breeze puffs
+  BREEZE_RADIUS: 60, // px
+  BREEZE_DURATION: 0.8, // s
+  BREEZE_STRENGTH: 0.08, // force per px/s of pointer speed
+  MAX_BREEZE_STRENGTH: 60,
+};
+
+class FlowerInteraction {
+  /**
+   * @param {Element} canvas - Drawing surface (FlowerRenderer.element: a canvas, or an svg)
+   * @param {FlowerRenderer} renderer - Provides the screen -> world transform
+   * @param {FlowerSimulation} simulation - The live flower and its wind
+   */
+  constructor(canvas, renderer, simulation) {
+    this.canvas = canvas;
+    this.renderer = renderer;
+    this.simulation = simulation;
+
+    this.activePointerId = null;
+    this.history = []; // Recent [time, Vector2] samples of the pointer
+    this.lastBreezeTime = -Infinity;
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+
+    canvas.addEventListener("pointerdown", this.onPointerDown);
+    canvas.addEventListener("pointermove", this.onPointerMove);
+    canvas.addEventListener("pointerup", this.onPointerUp);
+    canvas.addEventListener("pointercancel", this.onPointerUp);
+    canvas.addEventListener("pointerleave", this.onPointerUp);
+  }
+
+  destroy() {
+    this.canvas.removeEventListener("pointerdown", this.onPointerDown);
+    this.canvas.removeEventListener("pointermove", this.onPointerMove);
+    this.canvas.removeEventListener("pointerup", this.onPointerUp);
+    this.canvas.removeEventListener("pointercancel", this.onPointerUp);
+    this.canvas.removeEventListener("pointerleave", this.onPointerUp);
+  }
+
+  onPointerDown(event) {
+    if (this.activePointerId !== null) return;
+
+    const point = this.renderer.toWorld(event.clientX, event.clientY);
+    const hit = hitTestFlower(this.simulation.flower, point, INTERACTION_CONFIG.HIT_TOLERANCE);
+    if (!hit) return;
+
+    this.activePointerId = event.pointerId;
+    this.canvas.setPointerCapture(event.pointerId);
+    this.canvas.classList.add("is-grabbing");
+    event.preventDefault();
+
+    this.history = [];
+    this.track(point);
+    this.simulation.flower.grab(hit.type, hit.index, point);
+  }
+
+  onPointerMove(event) {
+    const point = this.renderer.toWorld(event.clientX, event.clientY);
+    this.track(point);
+
+    if (event.pointerId === this.activePointerId) {
+      this.simulation.flower.moveGrab(point);
+    } else if (this.activePointerId === null && event.pointerType === "mouse") {
+      this.blowBreeze(point);
+    }
+  }
+
+  onPointerUp(event) {
+    if (event.pointerId !== this.activePointerId) return;
+
+    this.track(this.renderer.toWorld(event.clientX, event.clientY));
+    this.simulation.flower.release(this.estimateVelocity());
+
+    this.activePointerId = null;
+    this.canvas.classList.remove("is-grabbing");
+    if (this.canvas.hasPointerCapture(event.pointerId)) {
+      this.canvas.releasePointerCapture(event.pointerId);
+    }
+  }
+
+  track(point) {
+    const now = performance.now() / 1000;
+    this.history.push([now, point]);
+    while (this.history.length > 2 && now - this.history[0][0] > INTERACTION_CONFIG.VELOCITY_WINDOW) {
+      this.history.shift();
+    }
+  }
+
+  // Pointer velocity over the recent window, in px/s
+  estimateVelocity() {
+    if (this.history.length < 2) return new Vector2(0, 0);
+
+    const [t0, p0] = this.history[0];
+    const [t1, p1] = this.history[this.history.length - 1];
+    const elapsed = t1 - t0;
+    if (elapsed <= 0) return new Vector2(0, 0);
+
+    const velocity = p1.clone().sub(p0).mult(1 / elapsed);
+    const speed = velocity.mag();
+    if (speed > INTERACTION_CONFIG.MAX_FLICK_SPEED) {
+      velocity.mult(INTERACTION_CONFIG.MAX_FLICK_SPEED / speed);
+    }
+    return velocity;
+  }
+
+  // A hovering mouse stirs the air along its direction of travel
+  blowBreeze(point) {
+    const time = this.simulation.time;
+    if (time - this.lastBreezeTime < INTERACTION_CONFIG.BREEZE_INTERVAL) return;
+
+    const velocity = this.estimateVelocity();
+    const speed = velocity.mag();
+    if (speed < 1) return;
+
+    this.lastBreezeTime = time;
+    velocity.normalize();
+    this.simulation.wind.addSource({
+      x: point.x,
+      y: point.y,
+      dirX: velocity.x,
+      dirY: velocity.y,
+      strength: Math.min(speed * INTERACTION_CONFIG.BREEZE_STRENGTH, INTERACTION_CONFIG.MAX_BREEZE_STRENGTH),
+      radius: INTERACTION_CONFIG.BREEZE_RADIUS,
+      startTime: time,
+      duration: INTERACTION_CONFIG.BREEZE_DURATION,
+    });
+  }
+}
+
+// Expose to global scope
+window.FlowerInteraction = FlowerInteraction;
@@ -12,9 +12,121 @@ const LIFECYCLE = {
 
 const SOIL_MERGE_TIME = 2 * 24 * 60 * 60; // 2 days
 
-function getFlowerAgeSeconds(plantedAt) {
+// Structural age (simulation units, see Flower.structuralAge) the plant should
+// have reached at the start of each real-world stage. Between stages the
+// target is interpolated linearly, so growth stays continuous.
+const STRUCTURAL_AGE = {
+  SEED: 0,
+  SPROUT: 1.0, // first segment pushes out of the soil
+  GROWING: 4.0, // a short shoot
+  BLOOM: 12.0, // full height, bud opening
+  OLD: 20.0, // fully open
+  FALLEN: 30.0,
+  MERGED: 40.0, // FALLEN + SOIL_MERGE_TIME
+};
+
+const STRUCTURAL_KEYFRAMES = [
+  [LIFECYCLE.SEED, STRUCTURAL_AGE.SEED],
+  [LIFECYCLE.SPROUT, STRUCTURAL_AGE.SPROUT],
+  [LIFECYCLE.GROWING, STRUCTURAL_AGE.GROWING],
+  [LIFECYCLE.BLOOM, STRUCTURAL_AGE.BLOOM],
+  [LIFECYCLE.OLD, STRUCTURAL_AGE.OLD],
+  [LIFECYCLE.FALLEN, STRUCTURAL_AGE.FALLEN],
+  [LIFECYCLE.FALLEN + SOIL_MERGE_TIME, STRUCTURAL_AGE.MERGED],
+];
+
+// --- SERVER-ANCHORED CLOCK ---
+// The visitor's system clock may be wrong, or changed on purpose to fake a
+// bloom or an early replant. Ages are measured against server time instead:
+// each sync pairs a server timestamp with the local monotonic clock, and time
+// elapsed since then comes from the monotonic clock, which changing the
+// system clock cannot touch.
+
+const CLOCK_MAX_SAMPLES = 20;
+const CLOCK_MIN_DRIFT_SPAN = 10 * 60 * 1000; // 10 minutes of samples before trusting a drift estimate
+const CLOCK_MAX_DRIFT = 0.001; // 1000 ppm, anything beyond is measurement noise
+
+function monotonicNow() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+// Least-squares slope of server time against monotonic time: how many
+// server milliseconds pass per local millisecond.
+function estimateClockRate(samples) {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  if (samples.length < 2 || last[0] - first[0] < CLOCK_MIN_DRIFT_SPAN) return 1.0;
+
+  let meanLocal = 0;
+  let meanServer = 0;
+  for (const [local, server] of samples) {
+    meanLocal += local - first[0];
+    meanServer += server - first[1];
+  }
+  meanLocal /= samples.length;
+  meanServer /= samples.length;
+
+  let covariance = 0;
+  let variance = 0;
+  for (const [local, server] of samples) {
+    const dl = local - first[0] - meanLocal;
+    covariance += dl * (server - first[1] - meanServer);
+    variance += dl * dl;
+  }
+  const rate = covariance / variance;
+  return Math.min(Math.max(rate, 1 - CLOCK_MAX_DRIFT), 1 + CLOCK_MAX_DRIFT);
+}
+
+class LifecycleClock {
+  /**
+   * @param {number|string} serverNow - Server time (epoch ms or ISO string) when the page was rendered
+   * @param {number} [receivedAt] - monotonicNow() at the moment serverNow was valid
+   */
+  constructor(serverNow, receivedAt = monotonicNow()) {
+    this.samples = []; // [monotonic ms, server ms]
+    this.rate = 1.0; // Drift: server ms per local monotonic ms
+    this.anchorLocal = monotonicNow();
+    this.anchorServer = Date.now();
+    this.sync(serverNow, receivedAt);
+  }
+
+  /**
+   * Records a fresh server timestamp.
+   * @param {number|string} serverNow - Server time (epoch ms or ISO string)
+   * @param {number} receivedAt - monotonicNow() at the moment serverNow was valid
+   */
+  sync(serverNow, receivedAt = monotonicNow()) {
+    const serverMs = typeof serverNow === "number" ? serverNow : new Date(serverNow).getTime();
+    if (!Number.isFinite(serverMs)) {
+      console.error("LifecycleClock: invalid server time, keeping the previous anchor.");
+      return;
+    }
+
+    this.samples.push([receivedAt, serverMs]);
+    if (this.samples.length > CLOCK_MAX_SAMPLES) this.samples.shift();
+
+    this.rate = estimateClockRate(this.samples);
+    this.anchorLocal = receivedAt;
+    this.anchorServer = serverMs;
+  }
+
+  /** Current server time estimate, in epoch ms. */
+  now() {
+    return this.anchorServer + (monotonicNow() - this.anchorLocal) * this.rate;
+  }
+
+  /** How far the visitor's system clock is behind server time, in ms. */
+  get offset() {
+    return this.now() - Date.now();
+  }
+}
+
+/**
+ * @param {string} plantedAt - ISO timestamp from the server
+ * @param {number} now - Current time in epoch ms (prefer LifecycleClock.now())
+ */
+function getFlowerAgeSeconds(plantedAt, now = Date.now()) {
   const plantedTime = new Date(plantedAt).getTime();
-  const now = Date.now();
   return Math.floor((now - plantedTime) / 1000);
 }
 
@@ -27,31 +139,211 @@ function getLifecycleStage(age) {
   return "fallen";
 }
 
+// Maps a real-world age (seconds) to the structural age the simulation
+// should show, so a 4-day-old flower opens already in bloom.
+function getStructuralAge(age) {
+  if (age <= 0) return STRUCTURAL_AGE.SEED;
+
+  for (let i = 1; i < STRUCTURAL_KEYFRAMES.length; i++) {
+    const [t1, a1] = STRUCTURAL_KEYFRAMES[i];
+    if (age < t1) {
+      const [t0, a0] = STRUCTURAL_KEYFRAMES[i - 1];
+      return a0 + ((age - t0) / (t1 - t0)) * (a1 - a0);
+    }
+  }
+  return STRUCTURAL_AGE.MERGED;
+}
+
+// Inverse of getStructuralAge: the real-world age (seconds) at which the
+// plant reaches a structural age, e.g. to look up its care history.
+function getRealAge(structuralAge) {
+  if (structuralAge <= 0) return 0;
+
+  for (let i = 1; i < STRUCTURAL_KEYFRAMES.length; i++) {
+    const [t1, a1] = STRUCTURAL_KEYFRAMES[i];
+    if (structuralAge < a1) {
+      const [t0, a0] = STRUCTURAL_KEYFRAMES[i - 1];
+      return t0 + ((structuralAge - a0) / (a1 - a0)) * (t1 - t0);
+    }
+  }
+  return STRUCTURAL_KEYFRAMES[STRUCTURAL_KEYFRAMES.length - 1][0];
+}
+
 function canPlantAgain(age) {
   return age >= LIFECYCLE.FALLEN + SOIL_MERGE_TIME;
 }
 
-function getFlowerState(plantedAt) {
-  const age = getFlowerAgeSeconds(plantedAt);
+// Stage spans in real seconds. The fallen stage ends when replanting opens.
+const STAGE_SPANS = [
+  { stage: "seed", start: LIFECYCLE.SEED, end: LIFECYCLE.SPROUT, next: "sprout" },
+  { stage: "sprout", start: LIFECYCLE.SPROUT, end: LIFECYCLE.GROWING, next: "growing" },
+  { stage: "growing", start: LIFECYCLE.GROWING, end: LIFECYCLE.BLOOM, next: "bloom" },
+  { stage: "bloom", start: LIFECYCLE.BLOOM, end: LIFECYCLE.OLD, next: "old" },
+  { stage: "old", start: LIFECYCLE.OLD, end: LIFECYCLE.FALLEN, next: "fallen" },
+  { stage: "fallen", start: LIFECYCLE.FALLEN, end: LIFECYCLE.FALLEN + SOIL_MERGE_TIME, next: null },
+];
+
+// Wording per stage, by language. `{time}` is replaced by the countdown,
+// formatted in the same language: a locale without wording of its own gets
+// English throughout, never a sentence in two languages.
+// Override any entry through getFlowerState(..., { messages }).
+const STAGE_MESSAGES = {
+  en: {
+    seed: "sprouts in {time}",
+    sprout: "starts growing in {time}",
+    growing: "blooms in {time}",
+    bloom: "starts to fade in {time}",
+    old: "falls in {time}",
+    fallen: "you can plant again in {time}",
+    replant: "you can plant again 🌱",
+  },
+  de: {
+    seed: "keimt in {time}",
+    sprout: "beginnt in {time} zu wachsen",
+    growing: "blüht in {time}",
+    bloom: "beginnt in {time} zu verblühen",
+    old: "fällt in {time}",
+    fallen: "du kannst in {time} neu pflanzen",
+    replant: "du kannst neu pflanzen 🌱",
+  },
+  fr: {
+    seed: "germe dans {time}",
+    sprout: "commence à pousser dans {time}",
+    growing: "fleurit dans {time}",
+    bloom: "commence à faner dans {time}",
+    old: "tombe dans {time}",
+    fallen: "vous pourrez replanter dans {time}",
+    replant: "vous pouvez replanter 🌱",
+  },
+  es: {
+    seed: "brota en {time}",
+    sprout: "empieza a crecer en {time}",
+    growing: "florece en {time}",
+    bloom: "empieza a marchitarse en {time}",
+    old: "cae en {time}",
+    fallen: "podrás plantar de nuevo en {time}",
+    replant: "puedes plantar de nuevo 🌱",
+  },
+};
+
+const DEFAULT_MESSAGE_LANGUAGE = "en";
+
+/**
+ * The stage wording a locale reads, and the locale its countdown is formatted in.
+ * @param {string} [locale] - BCP 47 tag, defaults to the runtime locale
+ * @returns {{messages: Object, locale: string}}
+ */
+function getStageMessages(locale) {
+  const tag = locale || new Intl.NumberFormat().resolvedOptions().locale;
+  const language = tag.split("-")[0].toLowerCase();
+  return STAGE_MESSAGES[language]
+    ? { messages: STAGE_MESSAGES[language], locale: tag }
+    : { messages: STAGE_MESSAGES[DEFAULT_MESSAGE_LANGUAGE], locale: DEFAULT_MESSAGE_LANGUAGE };
+}
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+function getStageSpan(age) {
   const stage = getLifecycleStage(age);
-  
-  // Calculate specific details for the renderer
-  let nextStageIn = 0;
-  let message = "";
-  
-  if (stage === "fallen") {
-    const remaining = LIFECYCLE.FALLEN + SOIL_MERGE_TIME - age;
-    if (remaining > 0) {
-       const hours = Math.ceil(remaining / 3600);
-       message = `you can plant again in ${hours} hours`;
-    } else {
-       message = "you can plant again 🌱";
-    }
-  }
+  return STAGE_SPANS.find((span) => span.stage === stage);
+}
+
+// Countdown granularity: whole hours while a day or more remains, whole
+// minutes after that. The countdown rounds up, so it never reads zero early.
+function getCountdownUnit(remaining) {
+  return remaining >= DAY_SECONDS ? 3600 : 60;
+}
+
+/**
+ * Human-friendly, localized duration: the two most significant units,
+ * e.g. "1 day 4 hours", "5 hours", "12 minutes".
+ * @param {number} seconds - Remaining time
+ * @param {string} [locale] - BCP 47 tag, defaults to the runtime locale
+ */
+function formatDuration(seconds, locale) {
+  const unit = getCountdownUnit(seconds);
+  const total = Math.max(Math.ceil(seconds / unit), 1) * unit;
+
+  const parts = [
+    ["day", Math.floor(total / DAY_SECONDS)],
+    ["hour", Math.floor((total % DAY_SECONDS) / 3600)],
+    ["minute", Math.floor((total % 3600) / 60)],
+  ];
+
+  const first = parts.findIndex(([, value]) => value > 0);
+  const shown = parts.slice(first, first + 2).filter(([, value]) => value > 0);
+
+  const formatted = shown.map(([name, value]) =>
+    new Intl.NumberFormat(locale, { style: "unit", unit: name, unitDisplay: "long" }).format(value)
+  );
+  return new Intl.ListFormat(locale, { style: "narrow", type: "unit" }).format(formatted);
+}
+
+// Seconds from `age` until getFlowerState() would report something new:
+// the next stage boundary or the next tick of the countdown.
+// Returns null once nothing will change anymore.
+function getSecondsUntilChange(age) {
+  if (canPlantAgain(age)) return null;
+
+  const span = getStageSpan(age);
+  const remaining = span.end - age;
+  const unit = getCountdownUnit(remaining);
+  return Math.min(remaining % unit || unit, remaining);
+}
+
+/**
+ * @param {string} plantedAt - ISO timestamp from the server
+ * @param {LifecycleClock} [clock] - Server-anchored clock; falls back to the system clock
+ * @param {Object} [options]
+ * @param {Object} [options.messages] - Per-stage wording overrides (see STAGE_MESSAGES)
+ * @param {string} [options.locale] - Locale for the wording and the countdown
+ */
+function getFlowerState(plantedAt, clock, options = {}) {
+  const age = getFlowerAgeSeconds(plantedAt, clock ? clock.now() : Date.now());
+  const span = getStageSpan(age);
+  const wording = getStageMessages(options.locale);
+  const messages = { ...wording.messages, ...options.messages };
+
+  // Progress through the current stage and time until the next one
+  const nextStageIn = Math.max(span.end - age, 0);
+  const progress = Math.min(Math.max((age - span.start) / (span.end - span.start), 0), 1);
+  const plantAgain = canPlantAgain(age);
+
+  const message = plantAgain
+    ? messages.replant
+    : messages[span.stage].replace("{time}", formatDuration(nextStageIn, wording.locale));
 
   return {
     age,
-    stage,
+    stage: span.stage,
+    nextStage: span.next,
+    nextStageIn,
+    progress,
+    canPlantAgain: plantAgain,
     message
   };
 }
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+const lifecycleExports = {
+  LIFECYCLE,
+  SOIL_MERGE_TIME,
+  STRUCTURAL_AGE,
+  STAGE_MESSAGES,
+  LifecycleClock,
+  getStageMessages,
+  monotonicNow,
+  getFlowerAgeSeconds,
+  getLifecycleStage,
+  getStructuralAge,
+  getRealAge,
+  canPlantAgain,
+  formatDuration,
+  getSecondsUntilChange,
+  getFlowerState,
+};
+Object.assign(globalThis, lifecycleExports);
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = lifecycleExports;
+}
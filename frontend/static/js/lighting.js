@@ -0,0 +1,139 @@
+// lighting.js
+// Day/Night Lighting Model
+//
+// Turns the visitor's local time of day into everything the scene needs to
+// look lit: sky gradient, sun and moon placement, shadow direction/length
+// and how dark it is (which tints the plant and half-closes the petals).
+//
+// A simple 6:00 sunrise / 18:00 sunset day: no latitude or season.
+// Pure functions only, so the model runs headless in Node too.
+
+// Node: clamp01() and smoothstep() come from vector.js, mixHue() from palette.js
+if (typeof module !== "undefined" && module.exports) {
+    require("./vector.js");
+    require("./palette.js");
+}
+
+// Sky gradient keyframes, [hue, saturation %, lightness %]
+const SKY_KEYS = {
+    night: { top: [225, 35, 14], horizon: [230, 30, 24] },
+    dawn: { top: [215, 40, 72], horizon: [25, 80, 80] },
+    day: { top: [210, 30, 90], horizon: [220, 20, 95] },
+    dusk: { top: [250, 30, 55], horizon: [15, 75, 70] },
+};
+
+const LIGHTING_CONFIG = {
+    SUNRISE: 6, // h
+    SUNSET: 18, // h
+    TWILIGHT: 0.25, // Sun elevation band (either side of the horizon) that reads as dawn/dusk
+    MAX_SHADOW: 3.0, // Shadow length, in flower sizes, when the sun is low
+};
+
+// --- PURE HELPER FUNCTIONS ---
+
+function mixHsl(a, b, t) {
+    return [
+        mixHue(a[0], b[0], t),
+        a[1] + (b[1] - a[1]) * t,
+        a[2] + (b[2] - a[2]) * t,
+    ];
+}
+
+function mixSky(a, b, t) {
+    return { top: mixHsl(a.top, b.top, t), horizon: mixHsl(a.horizon, b.horizon, t) };
+}
+
+/**
+ * Local time of day as fractional hours.
+ * @param {Date} date
+ * @returns {number} 0 <= hour < 24
+ */
+function getLocalHour(date) {
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+/**
+ * Lighting for a local time of day.
+ * @param {number} hour - Local fractional hour (see getLocalHour)
+ * @returns {Object} phase, darkness, sky, sun, moon and shadow
+ */
+function computeLighting(hour) {
+    const dayLength = LIGHTING_CONFIG.SUNSET - LIGHTING_CONFIG.SUNRISE;
+    const noon = LIGHTING_CONFIG.SUNRISE + dayLength / 2;
+
+    // Elevation: +1 at noon, 0 at sunrise/sunset, -1 at midnight
+    const elevation = Math.cos(((hour - noon) / 24) * Math.PI * 2);
+
+    // Horizontal position across the sky, -1 (east, left) .. +1 (west, right)
+    const sunX = Math.sin(((hour - noon) / dayLength) * Math.PI);
+    const moonX = Math.sin(((hour - noon - 12) / dayLength) * Math.PI);
+
+    // 0 in daylight, 1 in full night
+    const darkness = 1 - smoothstep(clamp01((elevation + 0.2) / 0.4));
+
+    // Sky: night <-> day, warmed by dawn/dusk colors around the horizon
+    const twilight = 1 - clamp01(Math.abs(elevation) / LIGHTING_CONFIG.TWILIGHT);
+    const morning = hour < noon;
+    const sky = mixSky(
+        mixSky(SKY_KEYS.night, SKY_KEYS.day, 1 - darkness),
+        morning ? SKY_KEYS.dawn : SKY_KEYS.dusk,
+        twilight * 0.8
+    );
+
+    let phase = "day";
+    if (elevation < -LIGHTING_CONFIG.TWILIGHT * 0.8) {
+        phase = "night";
+    } else if (elevation < LIGHTING_CONFIG.TWILIGHT) {
+        phase = morning ? "dawn" : "dusk";
+    }
+
+    // Shadows fall away from the sun and stretch as it sinks
+    const altitude = Math.max(elevation, 0) * Math.PI / 2;
+    const shadowStrength = smoothstep(clamp01(elevation / 0.15));
+    const shadowLength = altitude > 0
+        ? Math.min(Math.cos(altitude) / Math.sin(altitude), LIGHTING_CONFIG.MAX_SHADOW)
+        : LIGHTING_CONFIG.MAX_SHADOW;
+
+    return {
+        hour,
+        phase,
+        darkness,
+        sky,
+        sun: { x: sunX, elevation },
+        moon: { x: moonX, elevation: -elevation },
+        shadow: { dirX: -sunX, length: shadowLength, strength: shadowStrength },
+    };
+}
+
+/**
+ * The lighting for a clock, for pages that draw every frame. It is worked
+ * out again once a minute: the sky barely moves in between, and each
+ * recompute builds a Date and a new lighting object.
+ * @param {function(): number} now - Epoch ms, e.g. LifecycleClock.now
+ * @param {number|null} [fixedHour] - Previews this hour instead (?hour=)
+ * @returns {function(): Object} computeLighting() for the current minute
+ */
+function createLightingSource(now, fixedHour = null) {
+    let minute = NaN;
+    let lighting = null;
+    return () => {
+        if (fixedHour !== null) {
+            return lighting || (lighting = computeLighting(fixedHour));
+        }
+        const ms = now();
+        if (Math.floor(ms / 60000) !== minute) {
+            minute = Math.floor(ms / 60000);
+            lighting = computeLighting(getLocalHour(new Date(ms)));
+        }
+        return lighting;
+    };
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.computeLighting = computeLighting;
+globalThis.getLocalHour = getLocalHour;
+globalThis.createLightingSource = createLightingSource;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { computeLighting, getLocalHour, createLightingSource, SKY_KEYS, LIGHTING_CONFIG };
+}
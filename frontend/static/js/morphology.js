@@ -0,0 +1,201 @@
+// morphology.js
+// Growth Grammar (Procedural Morphology)
+//
+// A small stochastic L-system decides the shape of the plant before it
+// grows: which nodes put out a side branch, where leaves sit and how many
+// flower heads it carries. The grammar is expanded once, from the seed, into
+// a blueprint; Flower then grows the blueprint one step at a time.
+//
+// Symbols (modules carry their parameters):
+//   A(n)   apex of the main stem, n internodes still to grow
+//   B(n)   apex of a side branch
+//   I      internode: one stem segment, laid down at growth step `step`
+//   L      leaf on the node the last internode ended in
+//   [ ]    a side axis starts at the current node, turned by `angle`
+//   K      flower head at the tip of the axis
+//
+// Each rewriting pass is one growth step: every apex lays down one
+// internode, so side branches grow alongside the main stem.
+
+// Node: species.js provides the default plant's shape
+if (typeof module !== "undefined" && module.exports) {
+    require("./species.js");
+}
+
+/**
+ * Grammar parameters of a species (see SPECIES_SCHEMA for their meaning).
+ * @param {Object} species - Complete definition, see resolveSpecies()
+ */
+function getMorphologyConfig(species) {
+    const { stem, branches, leaves, petals } = species;
+    return {
+        MAIN_INTERNODES: stem.internodes, // Segments of the main stem (one more node with the root)
+        BRANCH_CHANCE: branches.chance, // Per eligible main internode
+        BRANCH_ZONE: branches.zone, // Main internodes (1 = at the root) that may put out a branch
+        MAX_BRANCHES: branches.max,
+        BRANCH_INTERNODES: branches.internodes,
+        BRANCH_ANGLE: branches.angle, // rad from the parent stem
+        BRANCH_THICKNESS: branches.thickness, // Mass (and so width) of branch segments relative to the main stem
+        BRANCH_SEGMENT_SCALE: branches.segmentScale, // Length of branch segments relative to the main stem
+        LEAF_ZONE: leaves.zone, // Main internodes that may carry a leaf
+        LEAF_CHANCE: leaves.chance,
+        BRANCH_LEAF_CHANCE: branches.leafChance,
+        LEAF_LENGTH: leaves.length, // px
+        LEAF_ANGLE: leaves.angle, // rad between a leaf and its stem
+        HEAD_PETALS: petals.count,
+        BRANCH_HEAD_PETALS: branches.headPetals,
+        BRANCH_HEAD_SCALE: branches.headScale, // Petal length of side heads
+    };
+}
+
+// The default species' grammar
+const MORPHOLOGY_CONFIG = getMorphologyConfig(SPECIES[DEFAULT_SPECIES]);
+
+// --- 1. Rewriting ---
+
+function rewriteModule(module, pass, state) {
+    const { config, random } = state;
+    const inRange = (value, [min, max]) => value >= min && value <= max;
+
+    if (module.symbol === "A") {
+        if (module.n === 0) return [{ symbol: "K", petals: config.HEAD_PETALS, scale: 1.0 }];
+
+        const internode = config.MAIN_INTERNODES - module.n + 1;
+        const out = [{ symbol: "I", step: pass }];
+        if (inRange(internode, config.LEAF_ZONE) && random.next() < config.LEAF_CHANCE) {
+            out.push({ symbol: "L", length: random.range(...config.LEAF_LENGTH) });
+        }
+        if (inRange(internode, config.BRANCH_ZONE) && state.branches < config.MAX_BRANCHES &&
+            random.next() < config.BRANCH_CHANCE) {
+            // Branches alternate sides, the first one picked by the seed
+            state.side = state.side ? -state.side : (random.next() < 0.5 ? -1 : 1);
+            state.branches++;
+            const length = config.BRANCH_INTERNODES[0] +
+                random.int(config.BRANCH_INTERNODES[1] - config.BRANCH_INTERNODES[0] + 1);
+            out.push(
+                { symbol: "[", angle: state.side * random.range(...config.BRANCH_ANGLE) },
+                { symbol: "B", n: length },
+                { symbol: "]" },
+            );
+        }
+        out.push({ symbol: "A", n: module.n - 1 });
+        return out;
+    }
+
+    if (module.symbol === "B") {
+        if (module.n === 0) {
+            return [{ symbol: "K", petals: config.BRANCH_HEAD_PETALS, scale: config.BRANCH_HEAD_SCALE }];
+        }
+        const out = [{ symbol: "I", step: pass }];
+        if (random.next() < config.BRANCH_LEAF_CHANCE) {
+            out.push({ symbol: "L", length: random.range(...config.LEAF_LENGTH) * config.BRANCH_SEGMENT_SCALE });
+        }
+        out.push({ symbol: "B", n: module.n - 1 });
+        return out;
+    }
+
+    return [module];
+}
+
+/**
+ * Rewrites the axiom until no apex is left.
+ * @param {SeededRandom} random
+ * @param {Object} [config] - See MORPHOLOGY_CONFIG
+ * @returns {Object[]} The final word, as modules
+ */
+function expandGrammar(random, config = MORPHOLOGY_CONFIG) {
+    const state = { config, random, branches: 0, side: 0 };
+    const isApex = (module) => module.symbol === "A" || module.symbol === "B";
+
+    let word = [{ symbol: "A", n: config.MAIN_INTERNODES }];
+    for (let pass = 0; word.some(isApex); pass++) {
+        word = word.flatMap((module) => rewriteModule(module, pass, state));
+    }
+    return word;
+}
+
+// --- 2. Interpretation ---
+
+/**
+ * Reads a word like a turtle and lays out the blueprint: one node per
+ * internode, in spawn order, so node i becomes stem segment i + 1
+ * (segment 0 is the root).
+ * @param {Object[]} word - From expandGrammar()
+ * @returns {{nodes: Object[], heads: Object[]}}
+ *   nodes: {parentIndex, step, axis, depth, angle, leaf: {side, length}|null}
+ *   heads: {anchorIndex, petals, scale}, main head first
+ */
+function interpretWord(word) {
+    const nodes = [];
+    const heads = [];
+    const stack = [];
+    let axes = 1;
+    let state = { node: -1, axis: 0, depth: 0, angle: 0, leafSide: 1 };
+
+    for (const module of word) {
+        switch (module.symbol) {
+            case "I":
+                nodes.push({
+                    parent: state.node, step: module.step, axis: state.axis,
+                    depth: state.depth + 1, angle: state.angle, leaf: null, order: nodes.length,
+                });
+                state.node = nodes.length - 1;
+                state.depth++;
+                state.angle = 0;
+                break;
+            case "L":
+                // Leaves alternate sides along each axis
+                nodes[state.node].leaf = { side: state.leafSide, length: module.length };
+                state.leafSide = -state.leafSide;
+                break;
+            case "[":
+                stack.push({ ...state });
+                state = { ...state, axis: axes++, angle: module.angle, leafSide: Math.sign(module.angle) || 1 };
+                break;
+            case "]":
+                state = stack.pop();
+                break;
+            case "K":
+                heads.push({ node: state.node, axis: state.axis, petals: module.petals, scale: module.scale });
+                break;
+        }
+    }
+
+    // Spawn order: by growth step, then as written. Parents always come first.
+    const sorted = nodes.slice().sort((a, b) => a.step - b.step || a.order - b.order);
+    const segmentIndex = new Map(sorted.map((node, i) => [node, i + 1]));
+    const indexOf = (i) => (i < 0 ? 0 : segmentIndex.get(nodes[i]));
+
+    return {
+        nodes: sorted.map((node) => ({
+            parentIndex: indexOf(node.parent),
+            step: node.step,
+            axis: node.axis,
+            depth: node.depth,
+            angle: node.angle,
+            leaf: node.leaf,
+        })),
+        heads: heads
+            .sort((a, b) => a.axis - b.axis)
+            .map((head) => ({ anchorIndex: indexOf(head.node), petals: head.petals, scale: head.scale })),
+    };
+}
+
+/**
+ * The plant's shape, decided by its seed.
+ * @param {number} [seed] - Server-side flower seed
+ * @param {Object} [config] - See MORPHOLOGY_CONFIG
+ */
+function createBlueprint(seed, config = MORPHOLOGY_CONFIG) {
+    const random = new SeededRandom(seed === undefined ? undefined : hashSeed(seed, SEED_SALT.MORPHOLOGY));
+    return interpretWord(expandGrammar(random, config));
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.MORPHOLOGY_CONFIG = MORPHOLOGY_CONFIG;
+globalThis.getMorphologyConfig = getMorphologyConfig;
+globalThis.createBlueprint = createBlueprint;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { MORPHOLOGY_CONFIG, getMorphologyConfig, createBlueprint, expandGrammar, interpretWord };
+}
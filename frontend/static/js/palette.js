@@ -0,0 +1,146 @@
+// palette.js
+// Color palettes per flower variation (Visuals Only)
+//
+// Each variation from the backend's VARIATION_CHOICES maps to an entry here.
+// A palette describes petal colors at three lifecycle keyframes (bud, bloom,
+// old) plus healthy and withered stem tints. The renderer blends between the
+// keyframes using the flower's bloomFactor and decay, so adding a variation
+// only needs a new entry in PALETTES.
+
+const PALETTES = {
+  // Fallback for unknown variations (the original pink)
+  default: {
+    petal: {
+      bud: { hue: 335, hueSpread: 20, saturation: 45, lightness: 62, tipLift: 8 },
+      bloom: { hue: 340, hueSpread: 20, saturation: 75, lightness: 55, tipLift: 10 },
+      old: { hue: 20, hueSpread: 10, saturation: 22, lightness: 42, tipLift: 6 },
+    },
+    stem: {
+      healthy: [[109, 30, 37], [119, 40, 58], [115, 28, 31]],
+      withered: [[40, 20, 42], [42, 30, 60], [38, 18, 36]],
+    },
+  },
+
+  red: {
+    petal: {
+      bud: { hue: 355, hueSpread: 8, saturation: 40, lightness: 60, tipLift: 8 },
+      bloom: { hue: 356, hueSpread: 14, saturation: 82, lightness: 48, tipLift: 12 },
+      old: { hue: 15, hueSpread: 8, saturation: 28, lightness: 36, tipLift: 6 },
+    },
+    stem: {
+      healthy: [[109, 30, 37], [119, 40, 58], [115, 28, 31]],
+      withered: [[35, 22, 38], [38, 30, 55], [32, 20, 32]],
+    },
+  },
+
+  purple: {
+    petal: {
+      bud: { hue: 275, hueSpread: 10, saturation: 30, lightness: 65, tipLift: 8 },
+      bloom: { hue: 280, hueSpread: 22, saturation: 60, lightness: 52, tipLift: 12 },
+      old: { hue: 300, hueSpread: 8, saturation: 15, lightness: 40, tipLift: 5 },
+    },
+    stem: {
+      healthy: [[120, 25, 34], [128, 34, 54], [124, 24, 28]],
+      withered: [[45, 15, 40], [48, 22, 56], [42, 14, 34]],
+    },
+  },
+
+  green: {
+    petal: {
+      bud: { hue: 95, hueSpread: 6, saturation: 35, lightness: 60, tipLift: 6 },
+      bloom: { hue: 80, hueSpread: 16, saturation: 62, lightness: 55, tipLift: 14 },
+      old: { hue: 50, hueSpread: 8, saturation: 30, lightness: 42, tipLift: 6 },
+    },
+    stem: {
+      healthy: [[130, 32, 32], [140, 38, 50], [135, 30, 27]],
+      withered: [[42, 20, 40], [45, 28, 56], [40, 18, 34]],
+    },
+  },
+};
+
+function getPalette(variation) {
+  return PALETTES[variation] || PALETTES.default;
+}
+
+// --- PURE HELPER FUNCTIONS ---
+
+function mixNumber(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Hue is circular: blend along the shortest arc (e.g. 350 -> 20 passes 0)
+function mixHue(a, b, t) {
+  const delta = ((b - a + 540) % 360) - 180;
+  return (a + delta * t + 360) % 360;
+}
+
+function mixPetalKey(a, b, t) {
+  return {
+    hue: mixHue(a.hue, b.hue, t),
+    hueSpread: mixNumber(a.hueSpread, b.hueSpread, t),
+    saturation: mixNumber(a.saturation, b.saturation, t),
+    lightness: mixNumber(a.lightness, b.lightness, t),
+    tipLift: mixNumber(a.tipLift, b.tipLift, t),
+  };
+}
+
+// Night: colors lose light and saturation and drift towards moonlit blue
+const NIGHT_TINT = { hue: 230, hueShift: 0.15, saturation: 0.4, lightness: 0.5 };
+
+// Neglect (see care.js): a thirsty plant looks dull and a little pale
+const NEGLECT_TINT = { saturation: 0.55, lightness: 0.12 };
+
+/**
+ * Resolves the petal colors for the flower's current stage.
+ * bud -> bloom follows bloomFactor, then bloom -> old follows decay.
+ * @param {Object} palette - Entry from PALETTES
+ * @param {number} bloomFactor - 0..1
+ * @param {number} decay - 0..1
+ * @param {number} [darkness] - 0 (day) .. 1 (night)
+ * @param {number} [neglect] - 0 (thriving) .. 1 (neglected), i.e. 1 - health
+ */
+function resolvePetalColors(palette, bloomFactor, decay, darkness = 0, neglect = 0) {
+  const { bud, bloom, old } = palette.petal;
+  const colors = mixPetalKey(mixPetalKey(bud, bloom, bloomFactor), old, decay);
+  if (neglect > 0) {
+    colors.saturation *= 1 - NEGLECT_TINT.saturation * neglect;
+    colors.lightness += (100 - colors.lightness) * NEGLECT_TINT.lightness * neglect;
+  }
+  if (darkness > 0) {
+    colors.hue = mixHue(colors.hue, NIGHT_TINT.hue, NIGHT_TINT.hueShift * darkness);
+    colors.saturation *= 1 - NIGHT_TINT.saturation * darkness;
+    colors.lightness *= 1 - NIGHT_TINT.lightness * darkness;
+    colors.tipLift *= 1 - NIGHT_TINT.lightness * darkness;
+  }
+  return colors;
+}
+
+/**
+ * Resolves the stem gradient stops as CSS colors.
+ * @param {Object} palette - Entry from PALETTES
+ * @param {number} decay - 0..1
+ * @param {number} [darkness] - 0 (day) .. 1 (night)
+ * @param {number} [neglect] - 0 (thriving) .. 1 (neglected), i.e. 1 - health
+ * @returns {string[]} One color per gradient stop
+ */
+function resolveStemColors(palette, decay, darkness = 0, neglect = 0) {
+  const { healthy, withered } = palette.stem;
+  return healthy.map(([h, s, l], i) => {
+    const [wh, ws, wl] = withered[i];
+    const hue = mixHue(mixHue(h, wh, decay), NIGHT_TINT.hue, NIGHT_TINT.hueShift * darkness);
+    const sat = mixNumber(s, ws, decay) * (1 - NIGHT_TINT.saturation * darkness) * (1 - NEGLECT_TINT.saturation * neglect);
+    const lit = mixNumber(l, wl, decay) * (1 - NIGHT_TINT.lightness * darkness);
+    return `hsl(${hue}, ${sat}%, ${lit}%)`;
+  });
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.PALETTES = PALETTES;
+globalThis.getPalette = getPalette;
+globalThis.resolvePetalColors = resolvePetalColors;
+globalThis.resolveStemColors = resolveStemColors;
+globalThis.mixHue = mixHue;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { PALETTES, getPalette, resolvePetalColors, resolveStemColors, mixHue };
+}
@@ -0,0 +1,67 @@
+// random.js
+// Seedable pseudo-random number generator for deterministic visuals.
+//
+// Every stochastic choice in the simulation (noise permutation, wind offset,
+// petal lengths) draws from a SeededRandom so the same flower seed always
+// produces the same plant on every device and every reload.
+
+// Salts for each consumer of the flower seed
+const SEED_SALT = {
+    WIND: 1,
+    FLOWER: 2,
+    WEATHER: 3,
+    GUST_FRONT: 4,
+    GARDEN_LAYOUT: 5,
+    MORPHOLOGY: 6,
+};
+
+// Mixes a seed with a salt so independent systems (wind, flower, ...) get
+// decorrelated streams from a single server-side seed.
+function hashSeed(seed, salt) {
+    let h = (seed >>> 0) ^ Math.imul(salt >>> 0, 0x9e3779b1);
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+class SeededRandom {
+    /**
+     * @param {number} [seed] - 32-bit integer seed. Omit for a non-deterministic stream.
+     */
+    constructor(seed) {
+        if (seed === undefined || seed === null) {
+            seed = Math.floor(Math.random() * 0x100000000);
+        }
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Mulberry32: small, fast and good enough for visuals.
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.SeededRandom = SeededRandom;
+globalThis.hashSeed = hashSeed;
+globalThis.SEED_SALT = SEED_SALT;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { SeededRandom, hashSeed, SEED_SALT };
+}
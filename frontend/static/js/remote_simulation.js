@@ -0,0 +1,325 @@
+// remote_simulation.js
+// Worker mode: the page's side of simulation_worker.js
+//
+// In worker mode the Flower, its WindField and the FlowerRenderer all live
+// in a Web Worker, drawing on an OffscreenCanvas transferred from
+// #flower-canvas. The page keeps light stand-ins with the parts of the
+// FlowerSimulation / FlowerRenderer API that pointer input, the UI and the
+// exports use:
+// - RemoteSimulation forwards grabs, breezes, age and care to the worker and
+//   keeps the latest pose it sends back, compact, once per frame.
+// - RemoteRenderer sizes the worker's canvas and maps pointer positions.
+//
+// The frame format below is shared with the worker (it loads this file too).
+
+const WORKER_CONFIG = {
+  SCRIPT: "/static/js/simulation_worker.js",
+  SNAPSHOT_INTERVAL: 2000, // ms between the worker's toJSON() pushes, kept for saving
+};
+
+// --- 1. Frame Format ---
+// The pose of the plant as drawn, in flat Float64Arrays (transferred, not
+// copied): enough to hit-test the pointer without a copy of the simulation.
+const FRAME_LAYOUT = {
+  SEGMENT: ["x", "y", "mass", "parentIndex", "axis"],
+  PETAL: ["anchorIndex", "x", "y", "openness", "currentLength", "angleOffset"],
+};
+
+/**
+ * @param {Object} flower - Flower.getRenderState()
+ * @param {number} time - Simulation time
+ * @returns {{time: number, structuralAge: number, tipIndex: number, segments: Float64Array, petals: Float64Array}}
+ */
+function encodeFlowerFrame(flower, time) {
+  const segmentStride = FRAME_LAYOUT.SEGMENT.length;
+  const segments = new Float64Array(flower.segments.length * segmentStride);
+  for (let i = 0, o = 0; i < flower.segments.length; i++, o += segmentStride) {
+    const seg = flower.segments[i];
+    segments[o] = seg.pos.x;
+    segments[o + 1] = seg.pos.y;
+    segments[o + 2] = seg.mass;
+    segments[o + 3] = seg.parentIndex;
+    segments[o + 4] = seg.axis;
+  }
+
+  const petalStride = FRAME_LAYOUT.PETAL.length;
+  const petals = new Float64Array(flower.petals.length * petalStride);
+  for (let i = 0, o = 0; i < flower.petals.length; i++, o += petalStride) {
+    const petal = flower.petals[i];
+    petals[o] = petal.anchorIndex;
+    petals[o + 1] = petal.tipPos.x;
+    petals[o + 2] = petal.tipPos.y;
+    petals[o + 3] = petal.openness;
+    petals[o + 4] = petal.currentLength;
+    petals[o + 5] = petal.angleOffset;
+  }
+
+  return { time, structuralAge: flower.structuralAge, tipIndex: flower.tipIndex, segments, petals };
+}
+
+/**
+ * A flower view for hitTestFlower (geometry.js) from an encoded frame.
+ * @param {Object} frame - From encodeFlowerFrame()
+ * @param {Object} species - The plant's resolved species
+ */
+function decodeFlowerFrame(frame, species) {
+  const segmentStride = FRAME_LAYOUT.SEGMENT.length;
+  const segments = [];
+  for (let i = 0; i < frame.segments.length; i += segmentStride) {
+    const [x, y, mass, parentIndex, axis] = frame.segments.subarray(i, i + segmentStride);
+    segments.push({ pos: new Vector2(x, y), mass, parentIndex, axis });
+  }
+
+  const petalStride = FRAME_LAYOUT.PETAL.length;
+  const petals = [];
+  for (let i = 0; i < frame.petals.length; i += petalStride) {
+    const [anchorIndex, x, y, openness, currentLength, angleOffset] = frame.petals.subarray(i, i + petalStride);
+    petals.push({ anchorIndex, tipPos: new Vector2(x, y), openness, currentLength, angleOffset });
+  }
+
+  return { structuralAge: frame.structuralAge, tipIndex: frame.tipIndex, species, segments, petals };
+}
+
+// --- 2. Page-side Stand-ins ---
+
+// OffscreenCanvas drawing from a worker; the SVG backend draws into the DOM and can't move
+function supportsSimulationWorker(canvas, backend) {
+  return typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof canvas.transferControlToOffscreen === "function" &&
+    backend !== "svg";
+}
+
+// The worker's flower as pointer input sees it: the last frame's pose for
+// hit-testing, with grabs sent on to the worker
+class RemoteFlower {
+  constructor(post) {
+    this.post = post;
+    this.species = null;
+    this.frame = null;
+    this.view = null; // Decoded frame, on first use
+  }
+
+  setFrame(frame) {
+    this.frame = frame;
+    this.view = null;
+  }
+
+  getView() {
+    if (!this.view) {
+      this.view = this.frame
+        ? decodeFlowerFrame(this.frame, this.species)
+        : { structuralAge: 0, tipIndex: 0, species: this.species, segments: [], petals: [] };
+    }
+    return this.view;
+  }
+
+  get structuralAge() { return this.getView().structuralAge; }
+  get segments() { return this.getView().segments; }
+  get petals() { return this.getView().petals; }
+
+  grab(type, index, target) {
+    this.post({ type: "grab", part: type, index, target: { x: target.x, y: target.y } });
+  }
+
+  moveGrab(target) {
+    this.post({ type: "moveGrab", target: { x: target.x, y: target.y } });
+  }
+
+  release(velocity) {
+    this.post({ type: "release", velocity: velocity ? { x: velocity.x, y: velocity.y } : null });
+  }
+}
+
+class RemoteSimulation {
+  /**
+   * @param {Worker} worker - Running simulation_worker.js
+   * @param {Object} options - FlowerSimulation options the worker was started with
+   */
+  constructor(worker, options) {
+    this.worker = worker;
+    this.options = options;
+    this.seed = options.seed;
+    this.time = options.time || 0;
+
+    this.post = this.post.bind(this);
+    this.flower = new RemoteFlower(this.post);
+    // Breezes from a hovering pointer (see FlowerInteraction.blowBreeze)
+    this.wind = { addSource: (source) => this.post({ type: "addSource", source }) };
+
+    this.snapshot = null; // Latest toJSON() pushed by the worker
+    this.requests = new Map(); // Pending snapshot requests by id: {resolve, reject}
+    this.nextRequestId = 1;
+
+    this.onMessage = this.onMessage.bind(this);
+    this.onError = this.onError.bind(this);
+    worker.addEventListener("message", this.onMessage);
+    worker.addEventListener("error", this.onError);
+  }
+
+  post(message) {
+    this.worker.postMessage(message);
+  }
+
+  onMessage(event) {
+    const message = event.data;
+    switch (message.type) {
+      case "ready":
+        this.flower.species = message.species;
+        break;
+      case "frame":
+        this.time = message.time;
+        this.flower.setFrame(message);
+        break;
+      case "snapshot": {
+        this.snapshot = message.state;
+        const request = this.requests.get(message.id);
+        if (request) {
+          this.requests.delete(message.id);
+          request.resolve(message.state);
+        }
+        break;
+      }
+    }
+  }
+
+  // A failed worker never answers: fail what is waiting on it instead
+  onError(event) {
+    const error = new Error(`Flower worker failed: ${event.message}`);
+    for (const request of this.requests.values()) request.reject(error);
+    this.requests.clear();
+  }
+
+  setAgeSeconds(ageSeconds) {
+    this.post({ type: "ageSeconds", ageSeconds });
+  }
+
+  setCare(care) {
+    this.options = { ...this.options, care };
+    this.post({ type: "care", care });
+  }
+
+  /**
+   * @param {Object} lighting - computeLighting() for the visitor's time of day
+   */
+  setLighting(lighting) {
+    this.post({ type: "lighting", lighting });
+  }
+
+  /**
+   * The latest snapshot the worker pushed (at most SNAPSHOT_INTERVAL old),
+   * or null before the first one. Synchronous, so it can be saved while the
+   * page is being closed.
+   */
+  toJSON() {
+    return this.snapshot;
+  }
+
+  /**
+   * A local FlowerSimulation in the worker's current state, e.g. to render
+   * an export from. Rejects if the worker fails first.
+   * @returns {Promise<FlowerSimulation>}
+   */
+  fetchSimulation() {
+    const id = this.nextRequestId++;
+    const state = new Promise((resolve, reject) => this.requests.set(id, { resolve, reject }));
+    this.post({ type: "snapshot", id });
+    return state.then((json) => FlowerSimulation.fromJSON(json, {
+      ...this.options,
+      ageSeconds: json.ageSeconds === null ? undefined : json.ageSeconds,
+      time: json.time,
+    }));
+  }
+}
+
+// The page's view of the worker's canvas: its size, and pointer positions
+// in simulation space
+class RemoteRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Already transferred to the worker
+   * @param {Worker} worker
+   */
+  constructor(canvas, worker) {
+    this.element = canvas;
+    this.worker = worker;
+    this.width = 0;
+    this.height = 0;
+
+    this.resize = this.resize.bind(this);
+    window.addEventListener("resize", this.resize);
+  }
+
+  // {width, height, scale} of the canvas' container, as FlowerRenderer.resize measures it
+  measure() {
+    const rect = this.element.parentElement.getBoundingClientRect();
+    this.width = rect.width;
+    this.height = rect.height;
+    return { width: rect.width, height: rect.height, scale: window.devicePixelRatio || 1 };
+  }
+
+  resize() {
+    this.worker.postMessage({ type: "resize", size: this.measure() });
+  }
+
+  toWorld(clientX, clientY) {
+    return FlowerRenderer.prototype.toWorld.call(this, clientX, clientY);
+  }
+}
+
+/**
+ * Moves the flower into a worker drawing on the canvas. The canvas is
+ * handed over for good: check supportsSimulationWorker() first.
+ * @param {HTMLCanvasElement} canvas - #flower-canvas
+ * @param {Object} options
+ * @param {Object} options.simulation - FlowerSimulation options
+ * @param {Object|null} [options.snapshot] - Saved toJSON() to resume from
+ * @param {string} options.variation - Key of PALETTES
+ * @param {string} [options.backend] - Key of RENDER_BACKENDS
+ * @param {Object} options.lighting - Initial computeLighting()
+ * @param {number} [options.maxSubsteps] - FixedTimestep cap per frame
+ * @returns {{simulation: RemoteSimulation, renderer: RemoteRenderer}}
+ */
+function startSimulationWorker(canvas, options) {
+  const worker = new Worker(WORKER_CONFIG.SCRIPT);
+  const offscreen = canvas.transferControlToOffscreen();
+  const renderer = new RemoteRenderer(canvas, worker);
+  const simulation = new RemoteSimulation(worker, options.simulation);
+
+  worker.addEventListener("error", (event) => console.error("Flower worker failed:", event.message));
+  worker.postMessage({
+    type: "init",
+    canvas: offscreen,
+    size: renderer.measure(),
+    simulation: options.simulation,
+    snapshot: options.snapshot || null,
+    variation: options.variation,
+    backend: options.backend,
+    lighting: options.lighting,
+    maxSubsteps: options.maxSubsteps,
+    snapshotInterval: WORKER_CONFIG.SNAPSHOT_INTERVAL,
+    speciesDefinitions: SPECIES,
+  }, [offscreen]);
+
+  return { simulation, renderer };
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.encodeFlowerFrame = encodeFlowerFrame;
+globalThis.decodeFlowerFrame = decodeFlowerFrame;
+globalThis.supportsSimulationWorker = supportsSimulationWorker;
+globalThis.startSimulationWorker = startSimulationWorker;
+globalThis.RemoteSimulation = RemoteSimulation;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WORKER_CONFIG,
+    FRAME_LAYOUT,
+    encodeFlowerFrame,
+    decodeFlowerFrame,
+    supportsSimulationWorker,
+    startSimulationWorker,
+    RemoteFlower,
+    RemoteSimulation,
+    RemoteRenderer,
+  };
+}
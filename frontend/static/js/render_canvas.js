@@ -0,0 +1,103 @@
+// render_canvas.js
+// Canvas 2D Render Backend
+//
+// Paints scene primitives (see geometry.js) with CanvasRenderingContext2D.
+// The default backend: available everywhere, exact curves, text included.
+
+// Replays PathBuilder commands on a 2D context
+function tracePath(ctx, commands) {
+  ctx.beginPath();
+  for (const [op, ...args] of commands) {
+    switch (op) {
+      case "M": ctx.moveTo(...args); break;
+      case "L": ctx.lineTo(...args); break;
+      case "Q": ctx.quadraticCurveTo(...args); break;
+      case "C": ctx.bezierCurveTo(...args); break;
+      case "A": ctx.arc(...args); break;
+      case "Z": ctx.closePath(); break;
+    }
+  }
+}
+
+function canvasPaint(ctx, style) {
+  if (typeof style === "string") return style;
+
+  const grad = style.type === "linear"
+    ? ctx.createLinearGradient(style.x0, style.y0, style.x1, style.y1)
+    : ctx.createRadialGradient(style.x0, style.y0, style.r0, style.x1, style.y1, style.r1);
+  for (const [offset, color] of style.stops) {
+    grad.addColorStop(offset, color);
+  }
+  return grad;
+}
+
+class Canvas2DBackend {
+  /**
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   */
+  constructor(canvas) {
+    this.element = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.scale = 1;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  /**
+   * @param {number} width - Scene size in CSS pixels
+   * @param {number} height
+   * @param {number} scale - Backing store pixels per CSS pixel
+   */
+  resize(width, height, scale) {
+    this.width = width;
+    this.height = height;
+    this.scale = scale;
+    this.element.width = Math.round(width * scale);
+    this.element.height = Math.round(height * scale);
+  }
+
+  draw(primitives) {
+    const ctx = this.ctx;
+    ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    for (const primitive of primitives) {
+      ctx.save();
+
+      if (primitive.clip) {
+        const { x, y, width, height } = primitive.clip;
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+      }
+      if (primitive.transform) ctx.transform(...primitive.transform);
+      if (primitive.opacity !== undefined) ctx.globalAlpha = primitive.opacity;
+
+      if (primitive.kind === "text") {
+        ctx.font = primitive.font;
+        ctx.fillStyle = canvasPaint(ctx, primitive.fill);
+        ctx.fillText(primitive.text, primitive.x, primitive.y);
+      } else {
+        tracePath(ctx, primitive.path);
+        if (primitive.fill) {
+          ctx.fillStyle = canvasPaint(ctx, primitive.fill);
+          ctx.fill();
+        }
+        if (primitive.stroke) {
+          ctx.strokeStyle = canvasPaint(ctx, primitive.stroke);
+          ctx.lineWidth = primitive.lineWidth || 1;
+          ctx.stroke();
+        }
+      }
+
+      ctx.restore();
+    }
+  }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.Canvas2DBackend = Canvas2DBackend;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { Canvas2DBackend };
+}
@@ -0,0 +1,215 @@
+// render_svg.js
+// SVG Render Backend
+//
+// Paints scene primitives (see geometry.js) as SVG: live, as a DOM <svg>
+// that takes the canvas' place on the page, or as markup for the SVG export.
+// Paths keep their curves (quadratic, cubic, arcs) instead of being rasterized.
+
+// --- 1. Scene to SVG nodes (pure) ---
+
+function formatNumber(v) {
+  const s = Number.isInteger(v) ? String(v) : v.toFixed(2).replace(/\.?0+$/, "");
+  return s === "-0" ? "0" : s;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+}
+
+/**
+ * Converts PathBuilder commands to SVG path data.
+ * @param {Array[]} commands
+ * @returns {string}
+ */
+function pathData(commands) {
+  const parts = [];
+  const point = (x, y) => `${formatNumber(x)} ${formatNumber(y)}`;
+
+  for (const [op, ...args] of commands) {
+    if (op !== "A") {
+      parts.push(op + args.map(formatNumber).join(" "));
+      continue;
+    }
+
+    // Canvas arcs join the current point to their start with a line
+    const [x, y, r, startAngle, endAngle, counterclockwise] = args;
+    const at = (a) => point(x + Math.cos(a) * r, y + Math.sin(a) * r);
+    parts.push(`${parts.length ? "L" : "M"}${at(startAngle)}`);
+
+    let sweep = endAngle - startAngle;
+    if (!counterclockwise && sweep < 0) sweep = (sweep % (Math.PI * 2)) + Math.PI * 2;
+    if (counterclockwise && sweep > 0) sweep = (sweep % (Math.PI * 2)) - Math.PI * 2;
+    sweep = Math.max(-Math.PI * 2, Math.min(Math.PI * 2, sweep));
+
+    // SVG arcs cannot span a full circle: split into half turns at most
+    const pieces = Math.max(1, Math.ceil(Math.abs(sweep) / Math.PI));
+    for (let i = 1; i <= pieces; i++) {
+      const direction = sweep > 0 ? 1 : 0;
+      parts.push(`A${formatNumber(r)} ${formatNumber(r)} 0 0 ${direction} ${at(startAngle + (sweep * i) / pieces)}`);
+    }
+  }
+  return parts.join("");
+}
+
+/**
+ * Lays scene primitives out as SVG elements.
+ * @param {Object[]} primitives - From buildFlowerScene
+ * @param {string} [idPrefix] - Keeps gradient/clip ids unique within a page
+ * @returns {{defs: Object[], body: Object[]}} Nodes as {tag, attrs, text?, children?}
+ */
+function svgNodes(primitives, idPrefix = "") {
+  const defs = [];
+  const body = [];
+  const clips = new Map(); // "x y w h" -> id
+  let nextId = 0;
+
+  // Gradients are defined in the user space of the shape that uses them
+  const paint = (style) => {
+    if (typeof style === "string") return style;
+
+    const id = `${idPrefix}g${nextId++}`;
+    const attrs = style.type === "linear"
+      ? { x1: style.x0, y1: style.y0, x2: style.x1, y2: style.y1 }
+      : { fx: style.x0, fy: style.y0, fr: style.r0, cx: style.x1, cy: style.y1, r: style.r1 };
+    defs.push({
+      tag: style.type === "linear" ? "linearGradient" : "radialGradient",
+      attrs: { id, gradientUnits: "userSpaceOnUse", ...attrs },
+      children: style.stops.map(([offset, color]) => ({ tag: "stop", attrs: { offset, "stop-color": color } })),
+    });
+    return `url(#${id})`;
+  };
+
+  const clipPath = ({ x, y, width, height }) => {
+    const key = `${x} ${y} ${width} ${height}`;
+    if (!clips.has(key)) {
+      const id = `${idPrefix}c${nextId++}`;
+      clips.set(key, id);
+      defs.push({ tag: "clipPath", attrs: { id }, children: [{ tag: "rect", attrs: { x, y, width, height } }] });
+    }
+    return `url(#${clips.get(key)})`;
+  };
+
+  for (const primitive of primitives) {
+    if (primitive.kind === "text") {
+      body.push({
+        tag: "text",
+        attrs: { x: primitive.x, y: primitive.y, style: `font: ${primitive.font}`, fill: paint(primitive.fill) },
+        text: primitive.text,
+      });
+      continue;
+    }
+
+    const attrs = { d: pathData(primitive.path) };
+    attrs.fill = primitive.fill ? paint(primitive.fill) : "none";
+    if (primitive.stroke) {
+      attrs.stroke = paint(primitive.stroke);
+      attrs["stroke-width"] = primitive.lineWidth || 1;
+    }
+    if (primitive.transform) attrs.transform = `matrix(${primitive.transform.map(formatNumber).join(" ")})`;
+    if (primitive.opacity !== undefined && primitive.opacity < 1) attrs.opacity = primitive.opacity;
+    if (primitive.clip) attrs["clip-path"] = clipPath(primitive.clip);
+    body.push({ tag: "path", attrs });
+  }
+
+  return { defs, body };
+}
+
+function nodeMarkup({ tag, attrs, text, children }) {
+  const attributes = Object.entries(attrs)
+    .map(([k, v]) => ` ${k}="${typeof v === "number" ? formatNumber(v) : escapeXml(v)}"`)
+    .join("");
+  const content = text !== undefined ? escapeXml(text) : (children || []).map(nodeMarkup).join("");
+  return content ? `<${tag}${attributes}>${content}</${tag}>` : `<${tag}${attributes}/>`;
+}
+
+/**
+ * A standalone SVG document of a scene.
+ * @param {Object[]} primitives - From buildFlowerScene
+ * @param {number} width - Scene size in CSS pixels
+ * @param {number} height
+ * @returns {string}
+ */
+function svgMarkup(primitives, width, height) {
+  const { defs, body } = svgNodes(primitives);
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<defs>${defs.map(nodeMarkup).join("")}</defs>${body.map(nodeMarkup).join("")}</svg>`
+  );
+}
+
+// --- 2. Live DOM backend (browser) ---
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+let svgBackendCount = 0;
+
+// Updates `parent`'s children in place, reusing elements of the same tag
+function syncSvgChildren(parent, nodes) {
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    let el = parent.childNodes[i];
+    if (!el || el.tagName !== node.tag) {
+      const created = document.createElementNS(SVG_NS, node.tag);
+      if (el) parent.replaceChild(created, el);
+      else parent.appendChild(created);
+      el = created;
+    }
+
+    for (const name of Array.from(el.getAttributeNames())) {
+      if (!(name in node.attrs)) el.removeAttribute(name);
+    }
+    for (const [name, value] of Object.entries(node.attrs)) {
+      const text = typeof value === "number" ? formatNumber(value) : value;
+      if (el.getAttribute(name) !== text) el.setAttribute(name, text);
+    }
+
+    if (node.text !== undefined) {
+      if (el.textContent !== node.text) el.textContent = node.text;
+    } else {
+      syncSvgChildren(el, node.children || []);
+    }
+  }
+  while (parent.childNodes.length > nodes.length) {
+    parent.removeChild(parent.lastChild);
+  }
+}
+
+class SvgBackend {
+  /**
+   * Replaces the canvas with an <svg> element (same id and classes), so the
+   * page's styles and listeners keep working on `element`.
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this.element = document.createElementNS(SVG_NS, "svg");
+    if (canvas.id) this.element.id = canvas.id;
+    if (canvas.className) this.element.setAttribute("class", canvas.className);
+    if (canvas.parentElement) canvas.parentElement.replaceChild(this.element, canvas);
+
+    this.defs = document.createElementNS(SVG_NS, "defs");
+    this.body = document.createElementNS(SVG_NS, "g");
+    this.element.append(this.defs, this.body);
+
+    this.idPrefix = `svg${svgBackendCount++}-`;
+  }
+
+  resize(width, height) {
+    // Vector output: the device pixel ratio needs no backing store
+    this.element.setAttribute("width", width);
+    this.element.setAttribute("height", height);
+    this.element.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  }
+
+  draw(primitives) {
+    const { defs, body } = svgNodes(primitives, this.idPrefix);
+    syncSvgChildren(this.defs, defs);
+    syncSvgChildren(this.body, body);
+  }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.SvgBackend = SvgBackend;
+globalThis.svgMarkup = svgMarkup;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SvgBackend, svgMarkup, svgNodes, pathData };
+}
@@ -0,0 +1,426 @@
+// render_webgl.js
+// WebGL Render Backend
+//
+// Paints scene primitives (see geometry.js) on the GPU, for scenes with many
+// flowers. Curves are flattened to polylines on the CPU; every path is then
+// filled with the stencil-then-cover technique (a triangle fan per subpath
+// marks the nonzero winding in the stencil buffer, a bounding quad paints
+// it), so concave ribbons and overlapping petals fill exactly like Canvas 2D.
+// Gradients (up to 4 stops) are evaluated in the fragment shader.
+//
+// Text primitives (the debug overlay) are not drawn.
+
+const WEBGL_CONFIG = {
+  MAX_STOPS: 4,
+  CURVE_TOLERANCE: 4, // px of control polygon per flattened segment
+  MIN_CURVE_STEPS: 4,
+  MAX_CURVE_STEPS: 32,
+  ARC_STEP: Math.PI / 32, // rad per flattened arc segment
+};
+
+const WEBGL_VERTEX_SHADER = `
+attribute vec2 aPosition;
+uniform mat3 uTransform;
+uniform vec2 uResolution;
+varying vec2 vLocal;
+
+void main() {
+  vLocal = aPosition;
+  vec2 scene = (uTransform * vec3(aPosition, 1.0)).xy;
+  vec2 clip = scene / uResolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const WEBGL_FRAGMENT_SHADER = `
+precision mediump float;
+uniform int uPaint; // 0 solid, 1 linear, 2 radial
+uniform vec4 uColors[${WEBGL_CONFIG.MAX_STOPS}]; // Premultiplied
+uniform float uOffsets[${WEBGL_CONFIG.MAX_STOPS}];
+uniform int uStopCount;
+uniform vec4 uGeometry; // linear: x0 y0 x1 y1, radial: cx cy r0 r1
+uniform float uOpacity;
+varying vec2 vLocal;
+
+void main() {
+  vec4 color = uColors[0];
+  if (uPaint != 0) {
+    float t;
+    if (uPaint == 1) {
+      vec2 axis = uGeometry.zw - uGeometry.xy;
+      t = dot(vLocal - uGeometry.xy, axis) / max(dot(axis, axis), 1e-6);
+    } else {
+      t = (distance(vLocal, uGeometry.xy) - uGeometry.z) / max(uGeometry.w - uGeometry.z, 1e-6);
+    }
+    for (int i = 1; i < ${WEBGL_CONFIG.MAX_STOPS}; i++) {
+      if (i < uStopCount && t > uOffsets[i - 1]) {
+        float span = max(uOffsets[i] - uOffsets[i - 1], 1e-6);
+        color = mix(uColors[i - 1], uColors[i], clamp((t - uOffsets[i - 1]) / span, 0.0, 1.0));
+      }
+    }
+  }
+  gl_FragColor = color * uOpacity;
+}
+`;
+
+// --- 1. PURE HELPER FUNCTIONS ---
+
+function hslToRgb(h, s, l) {
+  const hue = ((h % 360) + 360) % 360 / 360;
+  const channel = (t) => {
+    const k = (t + 1) % 1;
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    if (k < 1 / 6) return p + (q - p) * 6 * k;
+    if (k < 1 / 2) return q;
+    if (k < 2 / 3) return p + (q - p) * (2 / 3 - k) * 6;
+    return p;
+  };
+  return [channel(hue + 1 / 3), channel(hue), channel(hue - 1 / 3)];
+}
+
+const cssColorCache = new Map();
+
+/**
+ * Parses the CSS colors the scene uses: #rgb, #rrggbb, rgb(a) and hsl(a).
+ * @param {string} color
+ * @returns {number[]} [r, g, b, a], each 0..1 (transparent black if unknown)
+ */
+function parseCssColor(color) {
+  const cached = cssColorCache.get(color);
+  if (cached) return cached;
+
+  let rgba = [0, 0, 0, 0];
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  const fn = /^(rgba?|hsla?)\(([^)]*)\)$/i.exec(color.trim());
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    rgba = [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16) / 255).concat(1);
+  } else if (fn) {
+    const args = fn[2].split(",").map((v) => parseFloat(v));
+    const alpha = args.length > 3 ? Math.min(Math.max(args[3], 0), 1) : 1;
+    rgba = fn[1].toLowerCase().startsWith("rgb")
+      ? [args[0] / 255, args[1] / 255, args[2] / 255, alpha]
+      : [...hslToRgb(args[0], Math.min(args[1], 100) / 100, Math.min(args[2], 100) / 100), alpha];
+  } else {
+    console.error(`Unsupported color '${color}'.`);
+  }
+
+  if (cssColorCache.size > 4096) cssColorCache.clear();
+  cssColorCache.set(color, rgba);
+  return rgba;
+}
+
+/**
+ * Flattens PathBuilder commands into polylines.
+ * @param {Array[]} commands
+ * @returns {{points: number[], closed: boolean}[]} Subpaths as flat [x0, y0, x1, y1, ...]
+ */
+function flattenPath(commands) {
+  const subpaths = [];
+  let current = null;
+  let x = null;
+  let y = null;
+
+  const start = (px, py) => {
+    current = { points: [px, py], closed: false };
+    subpaths.push(current);
+    x = px;
+    y = py;
+  };
+  const line = (px, py) => {
+    // A line without a current point just starts the path; after a close it
+    // starts a new subpath from where the last one began
+    if (!current) {
+      if (x === null) return start(px, py);
+      start(x, y);
+    }
+    current.points.push(px, py);
+    x = px;
+    y = py;
+  };
+  const steps = (...coords) => {
+    let length = 0;
+    for (let i = 2; i < coords.length; i += 2) {
+      length += Math.hypot(coords[i] - coords[i - 2], coords[i + 1] - coords[i - 1]);
+    }
+    return Math.min(Math.max(Math.ceil(length / WEBGL_CONFIG.CURVE_TOLERANCE), WEBGL_CONFIG.MIN_CURVE_STEPS), WEBGL_CONFIG.MAX_CURVE_STEPS);
+  };
+
+  for (const [op, ...args] of commands) {
+    switch (op) {
+      case "M":
+        start(args[0], args[1]);
+        break;
+      case "L":
+        line(args[0], args[1]);
+        break;
+      case "Q": {
+        const [cx, cy, ex, ey] = args;
+        const x0 = x;
+        const y0 = y;
+        const n = steps(x0, y0, cx, cy, ex, ey);
+        for (let i = 1; i <= n; i++) {
+          const t = i / n;
+          const u = 1 - t;
+          line(u * u * x0 + 2 * u * t * cx + t * t * ex, u * u * y0 + 2 * u * t * cy + t * t * ey);
+        }
+        break;
+      }
+      case "C": {
+        const [c1x, c1y, c2x, c2y, ex, ey] = args;
+        const x0 = x;
+        const y0 = y;
+        const n = steps(x0, y0, c1x, c1y, c2x, c2y, ex, ey);
+        for (let i = 1; i <= n; i++) {
+          const t = i / n;
+          const u = 1 - t;
+          line(
+            u * u * u * x0 + 3 * u * u * t * c1x + 3 * u * t * t * c2x + t * t * t * ex,
+            u * u * u * y0 + 3 * u * u * t * c1y + 3 * u * t * t * c2y + t * t * t * ey,
+          );
+        }
+        break;
+      }
+      case "A": {
+        const [cx, cy, r, startAngle, endAngle, counterclockwise] = args;
+        let sweep = endAngle - startAngle;
+        if (!counterclockwise && sweep < 0) sweep = (sweep % (Math.PI * 2)) + Math.PI * 2;
+        if (counterclockwise && sweep > 0) sweep = (sweep % (Math.PI * 2)) - Math.PI * 2;
+        sweep = Math.max(-Math.PI * 2, Math.min(Math.PI * 2, sweep));
+
+        const n = Math.max(1, Math.ceil(Math.abs(sweep) / WEBGL_CONFIG.ARC_STEP));
+        for (let i = 0; i <= n; i++) {
+          const a = startAngle + (sweep * i) / n;
+          line(cx + Math.cos(a) * r, cy + Math.sin(a) * r);
+        }
+        break;
+      }
+      case "Z":
+        if (current) {
+          current.closed = true;
+          const [sx, sy] = current.points;
+          current = null;
+          x = sx;
+          y = sy;
+        }
+        break;
+    }
+  }
+  return subpaths;
+}
+
+// Triangle fans over each subpath: their winding adds up to the nonzero fill
+function fillTriangles(subpaths, out) {
+  for (const { points } of subpaths) {
+    for (let i = 2; i + 3 < points.length; i += 2) {
+      out.push(points[0], points[1], points[i], points[i + 1], points[i + 2], points[i + 3]);
+    }
+  }
+}
+
+// One quad per polyline segment, lineWidth wide
+function strokeTriangles(subpaths, lineWidth, out) {
+  const half = lineWidth / 2;
+  for (const { points, closed } of subpaths) {
+    const ring = closed ? points.concat(points[0], points[1]) : points;
+    for (let i = 0; i + 3 < ring.length; i += 2) {
+      const [ax, ay, bx, by] = [ring[i], ring[i + 1], ring[i + 2], ring[i + 3]];
+      const length = Math.hypot(bx - ax, by - ay);
+      if (length === 0) continue;
+      const nx = (-(by - ay) / length) * half;
+      const ny = ((bx - ax) / length) * half;
+      out.push(
+        ax + nx, ay + ny, bx + nx, by + ny, bx - nx, by - ny,
+        ax + nx, ay + ny, bx - nx, by - ny, ax - nx, ay - ny,
+      );
+    }
+  }
+}
+
+function coverQuad(vertices, from, out) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = from; i < vertices.length; i += 2) {
+    minX = Math.min(minX, vertices[i]);
+    maxX = Math.max(maxX, vertices[i]);
+    minY = Math.min(minY, vertices[i + 1]);
+    maxY = Math.max(maxY, vertices[i + 1]);
+  }
+  out.push(minX, minY, maxX, minY, maxX, maxY, minX, minY, maxX, maxY, minX, maxY);
+}
+
+// --- 2. WebGLBackend Class (browser) ---
+
+class WebGLBackend {
+  /**
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @throws {Error} When the browser offers no WebGL context
+   */
+  constructor(canvas) {
+    this.element = canvas;
+    const gl = canvas.getContext("webgl", { stencil: true, premultipliedAlpha: true, antialias: true });
+    if (!gl) throw new Error("WebGL is not available");
+    this.gl = gl;
+
+    this.program = this.createProgram(WEBGL_VERTEX_SHADER, WEBGL_FRAGMENT_SHADER);
+    this.uniforms = {};
+    for (const name of ["uTransform", "uResolution", "uPaint", "uColors", "uOffsets", "uStopCount", "uGeometry", "uOpacity"]) {
+      this.uniforms[name] = gl.getUniformLocation(this.program, name);
+    }
+    this.buffer = gl.createBuffer();
+    const position = gl.getAttribLocation(this.program, "aPosition");
+
+    gl.useProgram(this.program);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.enable(gl.STENCIL_TEST);
+
+    this.scale = 1;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Shader compilation failed: ${gl.getShaderInfoLog(shader)}`);
+      }
+      return shader;
+    };
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Shader linking failed: ${gl.getProgramInfoLog(program)}`);
+    }
+    return program;
+  }
+
+  /**
+   * @param {number} width - Scene size in CSS pixels
+   * @param {number} height
+   * @param {number} scale - Backing store pixels per CSS pixel
+   */
+  resize(width, height, scale) {
+    this.width = width;
+    this.height = height;
+    this.scale = scale;
+    this.element.width = Math.round(width * scale);
+    this.element.height = Math.round(height * scale);
+    this.gl.viewport(0, 0, this.element.width, this.element.height);
+  }
+
+  setPaint(style, opacity) {
+    const gl = this.gl;
+    const stops = typeof style === "string" ? [[0, style]] : style.stops.slice(0, WEBGL_CONFIG.MAX_STOPS);
+    const colors = new Float32Array(WEBGL_CONFIG.MAX_STOPS * 4);
+    const offsets = new Float32Array(WEBGL_CONFIG.MAX_STOPS);
+    stops.forEach(([offset, color], i) => {
+      const [r, g, b, a] = parseCssColor(color);
+      colors.set([r * a, g * a, b * a, a], i * 4);
+      offsets[i] = offset;
+    });
+
+    let paint = 0;
+    if (style.type === "linear") {
+      paint = 1;
+      gl.uniform4f(this.uniforms.uGeometry, style.x0, style.y0, style.x1, style.y1);
+    } else if (style.type === "radial") {
+      // Concentric circles only, the only kind the scene draws
+      paint = 2;
+      gl.uniform4f(this.uniforms.uGeometry, style.x1, style.y1, style.r0, style.r1);
+    }
+    gl.uniform1i(this.uniforms.uPaint, paint);
+    gl.uniform4fv(this.uniforms.uColors, colors);
+    gl.uniform1fv(this.uniforms.uOffsets, offsets);
+    gl.uniform1i(this.uniforms.uStopCount, stops.length);
+    gl.uniform1f(this.uniforms.uOpacity, opacity);
+  }
+
+  draw(primitives) {
+    const gl = this.gl;
+
+    // A. TESSELLATION: every draw call of the frame shares one vertex buffer
+    const vertices = [];
+    const calls = [];
+    const addCall = (primitive, paint, winding, triangles) => {
+      const first = vertices.length;
+      triangles(vertices);
+      const marked = vertices.length;
+      if (marked === first) return;
+      coverQuad(vertices, first, vertices);
+      calls.push({ primitive, paint, first: first / 2, marks: (marked - first) / 2, covers: 6, winding });
+    };
+
+    for (const primitive of primitives) {
+      if (primitive.kind !== "path") continue;
+      const subpaths = flattenPath(primitive.path);
+      if (primitive.fill) {
+        addCall(primitive, primitive.fill, true, (out) => fillTriangles(subpaths, out));
+      }
+      if (primitive.stroke) {
+        addCall(primitive, primitive.stroke, false, (out) => strokeTriangles(subpaths, primitive.lineWidth || 1, out));
+      }
+    }
+
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STREAM_DRAW);
+
+    // B. PAINT
+    gl.disable(gl.SCISSOR_TEST);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clearStencil(0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+    gl.uniform2f(this.uniforms.uResolution, this.width, this.height);
+
+    for (const { primitive, paint, first, marks, covers, winding } of calls) {
+      const [a, b, c, d, e, f] = primitive.transform || [1, 0, 0, 1, 0, 0];
+      gl.uniformMatrix3fv(this.uniforms.uTransform, false, [a, b, 0, c, d, 0, e, f, 1]);
+
+      if (primitive.clip) {
+        const { x, y, width, height } = primitive.clip;
+        gl.enable(gl.SCISSOR_TEST);
+        gl.scissor(
+          Math.round(x * this.scale),
+          Math.round(this.element.height - (y + height) * this.scale),
+          Math.round(width * this.scale),
+          Math.round(height * this.scale),
+        );
+      } else {
+        gl.disable(gl.SCISSOR_TEST);
+      }
+
+      // Stencil: fills count the winding, stroke quads just mark coverage
+      gl.colorMask(false, false, false, false);
+      gl.stencilFunc(gl.ALWAYS, 0, 0xff);
+      gl.stencilOpSeparate(gl.FRONT, gl.KEEP, gl.KEEP, gl.INCR_WRAP);
+      gl.stencilOpSeparate(gl.BACK, gl.KEEP, gl.KEEP, winding ? gl.DECR_WRAP : gl.INCR_WRAP);
+      gl.drawArrays(gl.TRIANGLES, first, marks);
+
+      // Cover: paint where the stencil is set and reset it for the next path
+      gl.colorMask(true, true, true, true);
+      gl.stencilFunc(gl.NOTEQUAL, 0, 0xff);
+      gl.stencilOp(gl.ZERO, gl.ZERO, gl.ZERO);
+      this.setPaint(paint, primitive.opacity === undefined ? 1 : primitive.opacity);
+      gl.drawArrays(gl.TRIANGLES, first + marks, covers);
+    }
+  }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.WebGLBackend = WebGLBackend;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { WebGLBackend, parseCssColor, flattenPath, fillTriangles, strokeTriangles };
+}
@@ -0,0 +1,293 @@
+// simulation.js
+// Headless Simulation Core
+//
+// Bundles a Flower with its environment (wind, gravity, clock) behind a small
+// stepping API. Nothing here touches the DOM, so the same code drives the
+// page (see flower.js), deterministic tests and server-side previews in Node:
+//
+//   const { FlowerSimulation } = require("./frontend/static/js/simulation.js");
+//   const sim = new FlowerSimulation({ seed: 42, ageSeconds: 4 * 24 * 3600 });
+//   sim.step(600);
+//   sim.getState();
+//
+// toJSON() snapshots the plant and its wind as plain, versioned JSON: safe
+// to keep in localStorage or next to the server's Flower record, and
+// resumed with FlowerSimulation.fromJSON() exactly where it left off.
+
+// Node: load the core modules into the global scope, in page order
+if (typeof module !== "undefined" && module.exports) {
+    require("./lifecycle.js");
+    require("./vector.js");
+    require("./random.js");
+    require("./species.js");
+    require("./morphology.js");
+    require("./timestep.js");
+    require("./wind.js");
+    require("./weather.js");
+    require("./care.js");
+    require("./flower_system.js");
+}
+
+const SIMULATION_DEFAULTS = {
+    stepSize: 1 / 120, // Physics step (s)
+    gravity: 200.0,
+};
+
+// Bumped whenever the shape of FlowerSimulation.toJSON() changes
+const SIMULATION_STATE_VERSION = 1;
+
+class FlowerSimulation {
+    /**
+     * @param {Object} options
+     * @param {number} options.seed - Flower seed (server-side `seed`)
+     * @param {number} [options.ageSeconds] - Real-world age; the plant is fast-forwarded to match it
+     * @param {number} [options.structuralAge] - Explicit structural age, overrides ageSeconds
+     * @param {string} [options.solver] - Key of INTEGRATORS
+     * @param {number} [options.stepSize] - Fixed physics step in seconds
+     * @param {number} [options.time] - Wind clock start; defaults to ageSeconds
+     * @param {number} [options.plantedAt] - Epoch ms of the planting moment (simulation time 0).
+     *   Enables the weather, which follows the real date.
+     * @param {number} [options.darkness] - 0 (day) .. 1 (night), see lighting.js
+     * @param {Object[]} [options.care] - Care history {kind, age (s since planting)}, see care.js.
+     *   Without it the plant is always thriving.
+     * @param {string|Object} [options.species] - Built-in species id or a JSON definition, see species.js
+     * @param {Object} [options.state] - Snapshot from toJSON() to resume instead of growing from
+     *   the seed; it is caught up to ageSeconds from where it was saved.
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.seed = options.seed;
+        this.stepSize = options.stepSize || SIMULATION_DEFAULTS.stepSize;
+        this.ageSeconds = options.ageSeconds === undefined ? null : options.ageSeconds;
+
+        const state = options.state || null;
+        if (state) {
+            if (state.version !== SIMULATION_STATE_VERSION) {
+                throw new Error(`Unsupported simulation state version: ${state.version}`);
+            }
+            if (state.seed !== (this.seed ?? null)) {
+                throw new Error(`Snapshot of seed ${state.seed} does not match seed ${this.seed}`);
+            }
+            const species = options.species && resolveSpecies(options.species);
+            if (species && state.flower.species.id !== species.id) {
+                throw new Error(`Snapshot of a ${state.flower.species.id} does not match species ${species.id}`);
+            }
+        }
+
+        // Wind time is anchored to the planting moment, so every viewer
+        // samples the same gusts at the same instant.
+        this.time = options.time !== undefined ? options.time : (state ? state.time : (this.ageSeconds || 0));
+
+        const flowerOptions = {
+            solver: options.solver,
+            species: options.species,
+            health: options.care && createStructuralHealth(options.care)
+        };
+        this.flower = state ? Flower.fromJSON(state.flower, flowerOptions) : new Flower(0, 0, this.seed, flowerOptions);
+        this.wind = state ? WindField.fromJSON(state.wind) : new WindField(this.seed);
+        this.gravity = new Vector2(0, SIMULATION_DEFAULTS.gravity);
+
+        // How dark it is where the flower is viewed: closes the petals a little at night.
+        // Updated by the page as the visitor's local time moves on.
+        this.darkness = options.darkness || 0;
+        this.stepEnvironment = null; // See updateStepEnvironment()
+
+        this.weather = options.plantedAt === undefined ? null : new WeatherSystem(this.seed, options.plantedAt);
+        if (this.weather) this.weather.update(this.time, this.wind);
+
+        // Wind parameters pinned by the inspector, applied over the weather's
+        this.windOverrides = null;
+
+        let targetAge = null;
+        if (options.structuralAge !== undefined) {
+            targetAge = options.structuralAge;
+        } else if (this.ageSeconds !== null) {
+            targetAge = getStructuralAge(this.ageSeconds);
+        }
+
+        if (targetAge !== null) {
+            this.flower.fastForward(targetAge, this.getEnvironment(), this.stepSize);
+            this.flower.setTargetAge(targetAge);
+        }
+    }
+
+    /**
+     * Resumes a simulation from toJSON().
+     * @param {Object} json - Snapshot, as saved
+     * @param {Object} [options] - As for the constructor; seed defaults to the snapshot's.
+     *   Pass the current ageSeconds and time to catch up with the time spent away.
+     * @returns {FlowerSimulation}
+     */
+    static fromJSON(json, options = {}) {
+        return new FlowerSimulation({
+            seed: json.seed,
+            ageSeconds: json.ageSeconds === null ? undefined : json.ageSeconds,
+            ...options,
+            state: json,
+        });
+    }
+
+    /**
+     * Resumes a saved snapshot when it still fits, otherwise grows the plant
+     * afresh from the seed (another seed, an old format).
+     * @param {Object|null} json - Snapshot, as saved; null when there is none
+     * @param {Object} options - As for the constructor, see fromJSON()
+     * @returns {FlowerSimulation}
+     */
+    static resume(json, options) {
+        if (json) {
+            try {
+                return FlowerSimulation.fromJSON(json, options);
+            } catch (err) {
+                console.warn("Discarding the saved flower state:", err.message);
+            }
+        }
+        return new FlowerSimulation(options);
+    }
+
+    /**
+     * Plain, versioned snapshot of the plant and its wind. The weather is not
+     * stored: it follows from the seed and the date.
+     */
+    toJSON() {
+        return {
+            version: SIMULATION_STATE_VERSION,
+            seed: this.seed ?? null,
+            time: this.time,
+            ageSeconds: this.ageSeconds,
+            flower: this.flower.toJSON(),
+            wind: this.wind.toJSON(),
+        };
+    }
+
+    /**
+     * A fresh simulation of the same flower at the same moment (e.g. to
+     * render an export without disturbing this one). Motion is re-simulated,
+     * not copied.
+     */
+    clone() {
+        return new FlowerSimulation({
+            ...this.options,
+            ageSeconds: this.ageSeconds === null ? undefined : this.ageSeconds,
+            time: this.time,
+            darkness: this.darkness,
+            state: undefined,
+        });
+    }
+
+    getEnvironment() {
+        return {
+            gravity: this.gravity,
+            wind: this.wind,
+            time: this.time,
+            rain: this.weather ? this.weather.current.rain : 0,
+            darkness: this.darkness,
+        };
+    }
+
+    // The environment step() runs in: one object, brought up to date in place
+    updateStepEnvironment() {
+        const env = this.stepEnvironment || (this.stepEnvironment = this.getEnvironment());
+        env.time = this.time;
+        env.rain = this.weather ? this.weather.current.rain : 0;
+        env.darkness = this.darkness;
+        return env;
+    }
+
+    /**
+     * Pins the plant to a new real-world age (e.g. after a lifecycle refresh).
+     * @param {number} ageSeconds
+     */
+    setAgeSeconds(ageSeconds) {
+        this.ageSeconds = ageSeconds;
+        this.flower.setTargetAge(getStructuralAge(ageSeconds));
+    }
+
+    /**
+     * Replaces the care history (e.g. after an action). Health only changes
+     * from the action's moment on, so the plant carries on without a jump.
+     * @param {Object[]} care - {kind, age (s since planting)}
+     */
+    setCare(care) {
+        this.options = { ...this.options, care };
+        this.flower.healthAt = createStructuralHealth(care);
+    }
+
+    /**
+     * Pins wind parameters (e.g. from the inspector's sliders); the weather
+     * sets them afresh every step, so they are re-applied after it.
+     * @param {Object|null} overrides - WindField properties, such as baseSpeed,
+     *   gustiness and spatialScale. null hands the wind back to the weather.
+     */
+    setWindOverrides(overrides) {
+        this.windOverrides = overrides && Object.keys(overrides).length > 0 ? { ...overrides } : null;
+        if (this.windOverrides) Object.assign(this.wind, this.windOverrides);
+    }
+
+    /**
+     * Advances the simulation by whole fixed steps.
+     * @param {number} count - Number of steps
+     */
+    step(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.time += this.stepSize;
+            if (this.weather) this.weather.update(this.time, this.wind);
+            if (this.windOverrides) Object.assign(this.wind, this.windOverrides);
+            this.flower.update(this.stepSize, this.updateStepEnvironment());
+        }
+    }
+
+    /**
+     * Plain, JSON-safe view of the current state (for tests and previews).
+     */
+    getState() {
+        const flower = this.flower;
+        const point = (v) => ({ x: v.x, y: v.y });
+
+        return {
+            time: this.time,
+            stage: this.ageSeconds === null ? null : getLifecycleStage(this.ageSeconds),
+            structuralAge: flower.structuralAge,
+            bloomFactor: flower.bloomFactor,
+            decay: flower.decay,
+            laydown: flower.laydown,
+            soilMerge: flower.soilMerge,
+            weather: this.weather && { state: this.weather.current.state, rain: this.weather.current.rain },
+            segments: flower.segments.map((seg) => ({
+                pos: point(seg.pos),
+                vel: point(seg.vel),
+                restLength: seg.currentRestLength,
+            })),
+            petals: flower.petals.map((petal) => ({
+                anchorIndex: petal.anchorIndex,
+                tipPos: point(petal.tipPos),
+                openness: petal.openness,
+                length: petal.currentLength,
+            })),
+            leaves: flower.leaves.map((leaf) => ({
+                anchorIndex: leaf.anchorIndex,
+                length: leaf.currentLength,
+            })),
+            fallenPetals: flower.fallenPetals.map((petal) => ({
+                basePos: point(petal.basePos),
+                tipPos: point(petal.tipPos),
+                resting: petal.resting,
+            })),
+        };
+    }
+}
+
+// The Flower samples health along its structural age; care is recorded in real time
+function createStructuralHealth(care) {
+    const healthAt = createHealthProfile(care);
+    return (structuralAge) => healthAt(getRealAge(structuralAge));
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.FlowerSimulation = FlowerSimulation;
+globalThis.SIMULATION_DEFAULTS = SIMULATION_DEFAULTS;
+globalThis.createStructuralHealth = createStructuralHealth;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { FlowerSimulation, SIMULATION_DEFAULTS, createStructuralHealth };
+}
@@ -0,0 +1,186 @@
+// simulation_worker.js
+// Worker mode: Simulation & Rendering off the Main Thread
+//
+// Runs the page's loop (see flower.js) inside a Web Worker: the
+// FlowerSimulation steps on a fixed timestep and a FlowerRenderer draws it
+// on the OffscreenCanvas transferred from #flower-canvas. Each frame the
+// pose is sent back compact (encodeFlowerFrame, remote_simulation.js) for
+// pointer hit-testing, and every few seconds a toJSON() snapshot for saving.
+//
+// Messages from the page (RemoteSimulation / RemoteRenderer):
+//   init        {canvas, size, simulation, snapshot, variation, backend, lighting, maxSubsteps, snapshotInterval,
+//                speciesDefinitions}
+//   resize      {size}
+//   lighting    {lighting}
+//   ageSeconds  {ageSeconds}
+//   care        {care}
+//   grab        {part, index, target}, moveGrab {target}, release {velocity}
+//   addSource   {source}             A breeze, see WindField.addSource
+//   snapshot    {id}                 Answered with a snapshot message of the same id
+// Messages to the page: ready {species, seed}, frame, snapshot {id, state}.
+
+// Worker: load the simulation and renderer modules, in page order, once the
+// init message has brought the built-in species (the page's SPECIES, see species.js)
+function loadWorkerModules(speciesDefinitions) {
+  globalThis.SPECIES_DEFINITIONS = speciesDefinitions;
+  importScripts(
+    "lifecycle.js",
+    "vector.js",
+    "random.js",
+    "species.js",
+    "morphology.js",
+    "timestep.js",
+    "wind.js",
+    "weather.js",
+    "lighting.js",
+    "care.js",
+    "flower_system.js",
+    "simulation.js",
+    "palette.js",
+    "geometry.js",
+    "render_canvas.js",
+    "render_svg.js",
+    "render_webgl.js",
+    "renderer.js",
+    "remote_simulation.js",
+  );
+}
+
+const point = (p) => new Vector2(p.x, p.y);
+
+class FlowerWorkerHost {
+  /**
+   * @param {Function} post - (message, transfer) => void, e.g. the worker's postMessage
+   * @param {Object} [options]
+   * @param {Function} [options.requestFrame] - Schedules the next frame, (callback(timestamp)) => void;
+   *   requestAnimationFrame where the worker has it, a 60 Hz timer otherwise
+   */
+  constructor(post, options = {}) {
+    this.post = post;
+    this.requestFrame = options.requestFrame || defaultRequestFrame;
+    this.simulation = null;
+    this.renderer = null;
+    this.lighting = null;
+
+    this.frame = this.frame.bind(this);
+  }
+
+  /**
+   * @param {Object} message - From the page, see the header
+   */
+  handle(message) {
+    if (message.type === "init") {
+      this.start(message);
+      return;
+    }
+    const simulation = this.simulation;
+    if (!simulation) return;
+
+    switch (message.type) {
+      case "resize":
+        this.renderer.setSize(message.size.width, message.size.height, message.size.scale);
+        break;
+      case "lighting":
+        this.setLighting(message.lighting);
+        break;
+      case "ageSeconds":
+        simulation.setAgeSeconds(message.ageSeconds);
+        break;
+      case "care":
+        simulation.setCare(message.care);
+        break;
+      case "grab":
+        simulation.flower.grab(message.part, message.index, point(message.target));
+        break;
+      case "moveGrab":
+        simulation.flower.moveGrab(point(message.target));
+        break;
+      case "release":
+        simulation.flower.release(message.velocity ? point(message.velocity) : undefined);
+        break;
+      case "addSource":
+        simulation.wind.addSource(message.source);
+        break;
+      case "snapshot":
+        this.postSnapshot(message.id);
+        break;
+    }
+  }
+
+  start(init) {
+    this.simulation = FlowerSimulation.resume(init.snapshot, init.simulation);
+    this.renderer = new FlowerRenderer(init.canvas, {
+      variation: init.variation,
+      backend: init.backend,
+      size: init.size,
+    });
+    this.setLighting(init.lighting);
+
+    this.timestep = new FixedTimestep(this.simulation.stepSize, init.maxSubsteps);
+    this.step = () => this.simulation.step();
+    this.snapshotInterval = init.snapshotInterval;
+    this.lastTime = null;
+    this.lastSnapshot = -Infinity;
+
+    this.post({ type: "ready", seed: this.simulation.seed, species: this.simulation.flower.species });
+    this.requestFrame(this.frame);
+  }
+
+  setLighting(lighting) {
+    this.lighting = lighting;
+    this.simulation.darkness = lighting.darkness;
+  }
+
+  postSnapshot(id = null) {
+    this.post({ type: "snapshot", id, state: this.simulation.toJSON() });
+  }
+
+  /**
+   * One turn of the loop: physics in fixed substeps, then the frame, drawn
+   * and sent to the page.
+   * @param {number} timestamp - ms, as from requestAnimationFrame
+   */
+  frame(timestamp) {
+    const simulation = this.simulation;
+    const frameDt = this.lastTime === null ? 0 : (timestamp - this.lastTime) / 1000;
+    this.lastTime = timestamp;
+    const alpha = this.timestep.advance(frameDt, this.step);
+
+    const flower = simulation.flower.getRenderState(alpha);
+    this.renderer.render(flower, simulation.time, {
+      weather: simulation.weather && simulation.weather.current,
+      lighting: this.lighting,
+    });
+
+    const frame = encodeFlowerFrame(flower, simulation.time);
+    this.post({ type: "frame", ...frame }, [frame.segments.buffer, frame.petals.buffer]);
+
+    if (timestamp - this.lastSnapshot >= this.snapshotInterval) {
+      this.lastSnapshot = timestamp;
+      this.postSnapshot();
+    }
+
+    this.requestFrame(this.frame);
+  }
+}
+
+function defaultRequestFrame(callback) {
+  if (typeof requestAnimationFrame === "function") {
+    requestAnimationFrame(callback);
+  } else {
+    setTimeout(() => callback(performance.now()), 1000 / 60);
+  }
+}
+
+// Worker: serve the page
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  const host = new FlowerWorkerHost((message, transfer) => self.postMessage(message, transfer));
+  self.addEventListener("message", (event) => {
+    if (event.data.type === "init") loadWorkerModules(event.data.speciesDefinitions);
+    host.handle(event.data);
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { FlowerWorkerHost };
+}
@@ -0,0 +1,232 @@
+// species.js
+// Species Definitions (data-driven plant traits)
+//
+// A species is plain JSON: how fast the plant grows and when it blooms, the
+// build of its stem, its branches, leaves and petals, and how it is drawn.
+// Flower reads every growth constant from its species, the growth grammar
+// (morphology.js) its shape parameters, and geometry.js its petal shape and
+// rendering traits.
+//
+// Definitions are checked against SPECIES_SCHEMA. A definition only needs the
+// fields it changes: the rest comes from the default species (the original
+// wildflower), so the built-in species list their differences only:
+//
+//   wildflower  The original plant: every constant Flower grew with before species existed
+//   tulip       Short and sturdy, one cupped head over a few long leaves at the base
+//   daisy       Branching, with small heads of many narrow petals
+//   poppy       A long, thin, swaying stem carrying four broad petals once it is full height
+
+const DEFAULT_SPECIES = "wildflower";
+
+// Rules are JSON too: {type: "number"|"integer", min, max}, {type: "range", min, max}
+// for a [low, high] pair, or {type: "string"}. Plain objects group fields.
+const SPECIES_SCHEMA = {
+    id: { type: "string" },
+    name: { type: "string" },
+    growth: {
+        spawnInterval: { type: "number", min: 0.1, max: 10 }, // Structural age between growth steps
+        maturationTime: { type: "number", min: 0.1, max: 50 }, // Age for a segment to reach full flexibility
+        bloomAge: { type: "number", min: 0, max: 30 }, // Structural age the bloom may start at
+        bloomNodes: { type: "integer", min: 2, max: 41 }, // Main stem nodes (root included) before the bloom
+        bloomRate: { type: "number", min: 0.01, max: 10 }, // Bloom opening per structural age unit
+    },
+    stem: {
+        internodes: { type: "integer", min: 1, max: 40 }, // Segments of the main stem
+        segmentLength: { type: "number", min: 5, max: 100 }, // px
+        mass: { type: "number", min: 0.1, max: 10 }, // Of the first segment
+        massFalloff: { type: "number", min: 0, max: 1 }, // Mass lost per node up the stem
+        minMass: { type: "number", min: 0.01, max: 10 },
+        flexibility: { type: "number", min: 0, max: 0.9 }, // Of the first segment
+        flexibilityGrowth: { type: "number", min: 0, max: 1 }, // Gained per node up the stem
+        maxFlexibility: { type: "number", min: 0, max: 0.9 }, // Below 1: a limp stem folds over
+    },
+    branches: {
+        chance: { type: "number", min: 0, max: 1 }, // Per eligible main internode
+        zone: { type: "range", min: 1, max: 40 }, // Main internodes (1 = at the root) that may branch
+        max: { type: "integer", min: 0, max: 8 },
+        internodes: { type: "range", min: 1, max: 20 },
+        angle: { type: "range", min: 0, max: 1.5 }, // rad from the parent stem
+        thickness: { type: "number", min: 0.1, max: 1 }, // Mass relative to the main stem
+        segmentScale: { type: "number", min: 0.1, max: 1.5 }, // Length relative to the main stem
+        headPetals: { type: "integer", min: 1, max: 40 },
+        headScale: { type: "number", min: 0.1, max: 1.5 }, // Petal length of side heads
+        leafChance: { type: "number", min: 0, max: 1 },
+    },
+    leaves: {
+        zone: { type: "range", min: 1, max: 40 }, // Main internodes that may carry a leaf
+        chance: { type: "number", min: 0, max: 1 },
+        length: { type: "range", min: 1, max: 120 }, // px
+        angle: { type: "number", min: 0, max: 1.5 }, // rad between a leaf and its stem
+    },
+    petals: {
+        count: { type: "integer", min: 1, max: 40 }, // On the main head
+        length: { type: "range", min: 5, max: 120 }, // px
+        mass: { type: "number", min: 0.01, max: 5 },
+        stiffness: { type: "number", min: 1, max: 500 }, // Of a closed bud; an open bloom keeps 10%
+        shape: { // See generatePetalBezier
+            width: { type: "number", min: 0.05, max: 1.5 }, // Half-width of an open petal, share of its length
+            bulge: { type: "number", min: 0.1, max: 0.9 }, // Where along the petal it is widest
+            budWidth: { type: "number", min: 0, max: 1 }, // Share of the width a closed bud keeps
+        },
+    },
+    render: {
+        stemWidth: { type: "number", min: 0.2, max: 5 }, // Stem thickness per unit of carried load
+        leafWidth: { type: "number", min: 0.05, max: 1 }, // Half-width of a leaf, share of its length
+    },
+};
+
+// Built-in species: one JSON file each in static/species/, named by id.
+// Node reads them from disk. Pages get the same files from the server
+// (SPECIES_DEFINITIONS, embedded by the templates; views.py validates
+// planted species against them) and hand them on to the worker.
+function loadBuiltInSpecies() {
+    if (typeof module !== "undefined" && module.exports) {
+        const fs = require("fs");
+        const path = require("path");
+        const dir = path.join(__dirname, "..", "species");
+        const files = fs.readdirSync(dir).filter((file) => file.endsWith(".json")).sort();
+        return Object.fromEntries(files.map((file) => [path.basename(file, ".json"), require(path.join(dir, file))]));
+    }
+    return globalThis.SPECIES_DEFINITIONS || {};
+}
+
+const SPECIES = loadBuiltInSpecies();
+
+class SpeciesError extends Error {
+    /**
+     * @param {string} message
+     * @param {string[]} [errors] - Every problem found, as "path: problem"
+     */
+    constructor(message, errors = []) {
+        super(errors.length ? `${message}: ${errors.join("; ")}` : message);
+        this.name = "SpeciesError";
+        this.errors = errors;
+    }
+}
+
+// --- 1. Validation ---
+
+function isGroup(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkRule(rule, value, path) {
+    const inBounds = (v) => typeof v === "number" && Number.isFinite(v) && v >= rule.min && v <= rule.max;
+    const bounds = `between ${rule.min} and ${rule.max}`;
+
+    switch (rule.type) {
+        case "string":
+            return typeof value === "string" && value.length > 0 ? null : `${path}: must be a non-empty string`;
+        case "number":
+            return inBounds(value) ? null : `${path}: must be a number ${bounds}`;
+        case "integer":
+            return inBounds(value) && Number.isInteger(value) ? null : `${path}: must be an integer ${bounds}`;
+        case "range":
+            return Array.isArray(value) && value.length === 2 && value.every(inBounds) && value[0] <= value[1]
+                ? null
+                : `${path}: must be [low, high] ${bounds}`;
+    }
+    return `${path}: unknown rule type ${rule.type}`;
+}
+
+function checkGroup(schema, value, path, errors) {
+    if (!isGroup(value)) {
+        errors.push(`${path || "species"}: must be an object`);
+        return;
+    }
+    for (const key of Object.keys(value)) {
+        if (!(key in schema)) errors.push(`${path}${key}: unknown field`);
+    }
+    for (const [key, rule] of Object.entries(schema)) {
+        if (!(key in value)) {
+            errors.push(`${path}${key}: missing`);
+        } else if (typeof rule.type === "string") {
+            const error = checkRule(rule, value[key], path + key);
+            if (error) errors.push(error);
+        } else {
+            checkGroup(rule, value[key], `${path}${key}.`, errors);
+        }
+    }
+}
+
+/**
+ * Checks a complete species definition against SPECIES_SCHEMA, and that
+ * the plant it describes can actually grow and bloom.
+ * @param {Object} species
+ * @returns {string[]} Problems found, as "path: problem"; empty if valid
+ */
+function validateSpecies(species) {
+    const errors = [];
+    checkGroup(SPECIES_SCHEMA, species, "", errors);
+    if (errors.length) return errors;
+
+    const { growth, stem, branches, leaves } = species;
+    if (growth.bloomNodes > stem.internodes + 1) {
+        errors.push(`growth.bloomNodes: the main stem only grows ${stem.internodes + 1} nodes`);
+    }
+    if (stem.minMass > stem.mass) errors.push("stem.minMass: above stem.mass");
+    if (stem.flexibility > stem.maxFlexibility) errors.push("stem.flexibility: above stem.maxFlexibility");
+    if (branches.zone[1] > stem.internodes) errors.push(`branches.zone: beyond the ${stem.internodes} main internodes`);
+    if (leaves.zone[1] > stem.internodes) errors.push(`leaves.zone: beyond the ${stem.internodes} main internodes`);
+    return errors;
+}
+
+// --- 2. Definitions ---
+
+// Fields of `overrides` replace those of `base`; groups are merged, arrays replaced
+function mergeDefinition(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = isGroup(value) && isGroup(base[key]) ? mergeDefinition(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Completes a species definition with the default species and validates it.
+ * @param {Object} definition - JSON species; only `id` and the fields that differ are required
+ * @returns {Object} A complete, validated copy
+ * @throws {SpeciesError} Listing every problem with the definition
+ */
+function createSpecies(definition) {
+    if (!isGroup(definition)) throw new SpeciesError("A species definition must be an object");
+    // Its own id is required; the name defaults to it
+    const base = { ...SPECIES[DEFAULT_SPECIES], id: undefined, name: definition.id };
+    const species = JSON.parse(JSON.stringify(mergeDefinition(base, definition)));
+    const errors = validateSpecies(species);
+    if (errors.length) throw new SpeciesError(`Invalid species "${species.id}"`, errors);
+    return species;
+}
+
+/**
+ * The species to grow: a built-in by id, or a definition of its own.
+ * @param {string|Object} [species] - Key of SPECIES, or a definition (see createSpecies).
+ *   Defaults to DEFAULT_SPECIES.
+ * @returns {Object} A complete, validated definition
+ * @throws {SpeciesError} For an unknown id or an invalid definition
+ */
+function resolveSpecies(species = DEFAULT_SPECIES) {
+    if (typeof species === "string") {
+        if (!Object.prototype.hasOwnProperty.call(SPECIES, species)) {
+            throw new SpeciesError(`Unknown species "${species}"`);
+        }
+        return createSpecies(SPECIES[species]);
+    }
+    return createSpecies(species);
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+const speciesExports = {
+    DEFAULT_SPECIES,
+    SPECIES_SCHEMA,
+    SPECIES,
+    SpeciesError,
+    validateSpecies,
+    createSpecies,
+    resolveSpecies,
+};
+Object.assign(globalThis, speciesExports);
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = speciesExports;
+}
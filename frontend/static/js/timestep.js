@@ -0,0 +1,112 @@
+// timestep.js
+// Fixed-step simulation clock & integrators
+//
+// Physics always advances in identical steps, whatever the display refresh
+// rate. Frame time is banked in an accumulator and spent in whole substeps;
+// the leftover fraction (alpha) lets the renderer interpolate between the
+// last two physics states so motion stays smooth at 30Hz or 144Hz alike.
+
+class FixedTimestep {
+    /**
+     * @param {number} stepSize - Physics step in seconds
+     * @param {number} maxSubsteps - Cap per frame, avoids the "spiral of death" on slow frames
+     */
+    constructor(stepSize = 1 / 120, maxSubsteps = 8) {
+        this.stepSize = stepSize;
+        this.maxSubsteps = maxSubsteps;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Banks frameDt and runs as many fixed steps as it covers.
+     * @param {number} frameDt - Real time since the last frame, in seconds
+     * @param {function(number): void} step - Called once per substep with stepSize
+     * @returns {number} Interpolation factor in [0, 1) between the last two states
+     */
+    advance(frameDt, step) {
+        this.accumulator += frameDt;
+
+        let substeps = 0;
+        while (this.accumulator >= this.stepSize && substeps < this.maxSubsteps) {
+            step(this.stepSize);
+            this.accumulator -= this.stepSize;
+            substeps++;
+        }
+
+        // Too far behind: drop the backlog instead of trying to catch up
+        if (substeps === this.maxSubsteps && this.accumulator >= this.stepSize) {
+            this.accumulator = 0;
+        }
+
+        return this.accumulator / this.stepSize;
+    }
+}
+
+// Damping constants are tuned per 1/60 s frame; rescale them for any step
+// so the same value gives the same decay per second.
+function dampingForStep(perFrameDamping, dt) {
+    return Math.pow(perFrameDamping, dt * 60);
+}
+
+// --- INTEGRATORS ---
+// Each advances a point mass by one step from its acceleration.
+// integrate: pos/vel are Vector2 and are updated in place.
+// integrateAt: the same for body i of struct-of-arrays storage (pos/vel are
+// Vector2Array), with the acceleration as scalars, for the physics hot loops.
+
+const INTEGRATORS = {
+    // v += a*dt, then x += v*dt. Symplectic, cheap, fine at small fixed steps.
+    "semi-implicit-euler": {
+        usesConstraints: false,
+        integrate(pos, vel, acc, damping, dt) {
+            vel.x = (vel.x + acc.x * dt) * damping;
+            vel.y = (vel.y + acc.y * dt) * damping;
+            pos.x += vel.x * dt;
+            pos.y += vel.y * dt;
+        },
+        integrateAt(pos, vel, i, ax, ay, damping, dt) {
+            vel.x[i] = (vel.x[i] + ax * dt) * damping;
+            vel.y[i] = (vel.y[i] + ay * dt) * damping;
+            pos.x[i] += vel.x[i] * dt;
+            pos.y[i] += vel.y[i] * dt;
+        },
+    },
+
+    // Position Verlet: x' = x + (x - x_prev)*damping + a*dt^2.
+    // The velocity term is carried in vel (x - x_prev) / dt so that impulses
+    // applied to vel between steps still count. Rest lengths are then enforced
+    // as position constraints and vel is re-derived from the corrected motion.
+    "verlet": {
+        usesConstraints: true,
+        integrate(pos, vel, acc, damping, dt) {
+            pos.x += vel.x * damping * dt + acc.x * dt * dt;
+            pos.y += vel.y * damping * dt + acc.y * dt * dt;
+        },
+        integrateAt(pos, vel, i, ax, ay, damping, dt) {
+            pos.x[i] += vel.x[i] * damping * dt + ax * dt * dt;
+            pos.y[i] += vel.y[i] * damping * dt + ay * dt * dt;
+        },
+    },
+};
+
+const DEFAULT_SOLVER = "semi-implicit-euler";
+
+function getIntegrator(name) {
+    const integrator = INTEGRATORS[name];
+    if (!integrator) {
+        console.error(`Unknown solver '${name}', using '${DEFAULT_SOLVER}'.`);
+        return INTEGRATORS[DEFAULT_SOLVER];
+    }
+    return integrator;
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.FixedTimestep = FixedTimestep;
+globalThis.INTEGRATORS = INTEGRATORS;
+globalThis.DEFAULT_SOLVER = DEFAULT_SOLVER;
+globalThis.getIntegrator = getIntegrator;
+globalThis.dampingForStep = dampingForStep;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { FixedTimestep, INTEGRATORS, DEFAULT_SOLVER, getIntegrator, dampingForStep };
+}
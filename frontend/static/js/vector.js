@@ -1,6 +1,10 @@
 // vector.js
 // Minimal 2D Vector class for simulation math.
 // No visuals, just pure data and operations.
+//
+// Every operation works in place and returns `this`; hot loops pass an `out`
+// vector (or a scratch one they own) instead of cloning, so a physics step
+// allocates nothing. Vector2Array keeps many vectors in struct-of-arrays form.
 
 class Vector2 {
     constructor(x, y) {
@@ -8,6 +12,18 @@ class Vector2 {
         this.y = y || 0;
     }
 
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    copy(v) {
+        this.x = v.x;
+        this.y = v.y;
+        return this;
+    }
+
     add(v) {
         this.x += v.x;
         this.y += v.y;
@@ -41,4 +57,94 @@ class Vector2 {
     clone() {
         return new Vector2(this.x, this.y);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Many 2D vectors in struct-of-arrays layout: every x in one typed array,
+ * every y in another, so hot loops walk flat memory by index. view(i) hands
+ * out a Vector2-compatible handle for everything else.
+ *
+ * Float32Array: half the memory of plain numbers. Every store rounds to
+ * single precision, far below a pixel at scene scale, and the rounding is
+ * the same on every device, so a seed still grows the same everywhere.
+ */
+class Vector2Array {
+    /**
+     * @param {number} [capacity] - Initial room; grows by doubling
+     */
+    constructor(capacity = 16) {
+        this.x = new Float32Array(capacity);
+        this.y = new Float32Array(capacity);
+        this.length = 0;
+    }
+
+    /**
+     * Appends a vector.
+     * @returns {number} Its index
+     */
+    push(x, y) {
+        if (this.length === this.x.length) {
+            this.grow(this.length * 2);
+        }
+        this.x[this.length] = x;
+        this.y[this.length] = y;
+        return this.length++;
+    }
+
+    grow(capacity) {
+        const x = new Float32Array(capacity);
+        const y = new Float32Array(capacity);
+        x.set(this.x);
+        y.set(this.y);
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * A live handle on vector i: reads and writes go to the arrays, and
+     * stay valid when they grow.
+     * @param {number} index
+     * @returns {Vector2View}
+     */
+    view(index) {
+        return new Vector2View(this, index);
+    }
+}
+
+class Vector2View {
+    constructor(array, index) {
+        this.array = array;
+        this.index = index;
+    }
+
+    get x() { return this.array.x[this.index]; }
+    set x(value) { this.array.x[this.index] = value; }
+    get y() { return this.array.y[this.index]; }
+    set y(value) { this.array.y[this.index] = value; }
+}
+
+// Views share Vector2's operations (they only go through x and y); clone()
+// gives a plain, detached Vector2
+for (const name of ["set", "copy", "add", "sub", "mult", "mag", "normalize", "clone"]) {
+    Vector2View.prototype[name] = Vector2.prototype[name];
+}
+
+// Shared scalar helpers, e.g. for lighting blends, weather changes and senescence progress
+function clamp01(v) {
+    return Math.min(Math.max(v, 0), 1);
+}
+
+// Eases 0..1 into 0..1 with a flat start and end
+function smoothstep(x) {
+    return x * x * (3 - 2 * x);
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.Vector2 = Vector2;
+globalThis.Vector2Array = Vector2Array;
+globalThis.clamp01 = clamp01;
+globalThis.smoothstep = smoothstep;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Vector2, Vector2Array, Vector2View, clamp01, smoothstep };
+}
@@ -0,0 +1,284 @@
+// weather.js
+// Weather System (Environment Layer over WindField)
+//
+// The sky follows a schedule of named states (calm, breezy, gusty, rain,
+// storm) that drives the WindField's feel, sends discrete gust fronts
+// sweeping across the scene and sets the rain intensity.
+//
+// The schedule is a pure function of the flower seed and the real date
+// (UTC), so every viewer of a flower sees the same weather at the same
+// moment, whenever they opened the page.
+
+// Node: smoothstep() comes from vector.js
+if (typeof module !== "undefined" && module.exports) {
+    require("./vector.js");
+}
+
+const WEATHER_STATES = {
+    calm: { baseSpeed: 4.0, gustiness: 6.0, timeScale: 0.25, rain: 0.0, frontsPerHour: 0 },
+    breezy: { baseSpeed: 15.0, gustiness: 20.0, timeScale: 0.5, rain: 0.0, frontsPerHour: 6 },
+    gusty: { baseSpeed: 22.0, gustiness: 35.0, timeScale: 0.8, rain: 0.0, frontsPerHour: 30 },
+    rain: { baseSpeed: 10.0, gustiness: 15.0, timeScale: 0.4, rain: 0.6, frontsPerHour: 4 },
+    storm: { baseSpeed: 30.0, gustiness: 40.0, timeScale: 1.2, rain: 1.0, frontsPerHour: 60 },
+};
+
+// Markov chain: relative odds of the next period's state given the current one
+const WEATHER_TRANSITIONS = {
+    calm: { calm: 4, breezy: 4, rain: 1 },
+    breezy: { calm: 3, breezy: 4, gusty: 2, rain: 1 },
+    gusty: { breezy: 3, gusty: 2, rain: 1, storm: 1 },
+    rain: { breezy: 2, gusty: 1, rain: 2, storm: 1 },
+    storm: { gusty: 2, rain: 2, storm: 1 },
+};
+
+// Odds of the state each day starts from
+const WEATHER_FIRST_STATE = { calm: 3, breezy: 4, gusty: 2, rain: 1 };
+
+const WEATHER_CONFIG = {
+    DAY: 24 * 60 * 60, // s, a new sequence starts every UTC day
+    PERIOD: 3 * 60 * 60, // s each state lasts
+    BLEND: 20 * 60, // s to ease from one state into the next
+    FRONT_SLOT: 60, // s, at most one gust front per slot
+    FRONT_SPAN: 400, // px, fronts sweep from -SPAN to +SPAN around the root
+    FRONT_SPEED: [150, 300], // px/s
+    FRONT_WIDTH: [30, 80], // px
+    FRONT_STRENGTH: [0.5, 1.0], // x (baseSpeed + gustiness)
+};
+
+// --- PURE HELPER FUNCTIONS ---
+
+// Integral of smoothstep over [0, u]
+function smoothstepIntegral(u) {
+    return u * u * u - (u * u * u * u) / 2;
+}
+
+function pickWeighted(weights, random) {
+    const entries = Object.entries(weights);
+    let roll = random.next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+    for (const [name, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return name;
+    }
+    return entries[entries.length - 1][0];
+}
+
+function mix(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Field by field, so a reused `out` is written in place
+function mixWeather(a, b, t, out) {
+    out.baseSpeed = mix(a.baseSpeed, b.baseSpeed, t);
+    out.gustiness = mix(a.gustiness, b.gustiness, t);
+    out.timeScale = mix(a.timeScale, b.timeScale, t);
+    out.rain = mix(a.rain, b.rain, t);
+    out.frontsPerHour = mix(a.frontsPerHour, b.frontsPerHour, t);
+    return out;
+}
+
+// --- WeatherSystem Class ---
+
+class WeatherSystem {
+    /**
+     * @param {number} seed - Flower seed
+     * @param {number} originMs - Epoch ms matching simulation time 0 (the planting moment)
+     * @param {Object} [options]
+     * @param {number} [options.frontSpan] - px, half the width fronts sweep across (a garden row is wider)
+     */
+    constructor(seed, originMs, options = {}) {
+        this.scheduleSeed = hashSeed(seed, SEED_SALT.WEATHER);
+        this.frontSeed = hashSeed(seed, SEED_SALT.GUST_FRONT);
+        this.originSeconds = originMs / 1000;
+        this.frontSpan = options.frontSpan || WEATHER_CONFIG.FRONT_SPAN;
+
+        this.days = new Map(); // day index -> state names per period
+        this.frontsBySlot = new Map(); // slot -> gust front or null (a few slots at most)
+        this.activeFronts = []; // Result of getFronts(), reused on every call
+        this.frontSample = {}; // Scratch weather sample for getFront()
+
+        // Accumulated wind phase (see getPhase), cached at a period start
+        this.phaseAnchor = null; // { period, phase }
+
+        // Result of the last update(), read by the renderer and the environment
+        this.current = { state: "breezy", ...WEATHER_STATES.breezy };
+    }
+
+    /**
+     * State names of every period of a UTC day (cached, a couple of days at most).
+     * @param {number} day - Days since the epoch
+     */
+    getDay(day) {
+        let states = this.days.get(day);
+        if (states) return states;
+
+        const random = new SeededRandom(hashSeed(this.scheduleSeed, day));
+        const periods = WEATHER_CONFIG.DAY / WEATHER_CONFIG.PERIOD;
+        states = [pickWeighted(WEATHER_FIRST_STATE, random)];
+        while (states.length < periods) {
+            states.push(pickWeighted(WEATHER_TRANSITIONS[states[states.length - 1]], random));
+        }
+
+        if (this.days.size >= 4) this.days.clear();
+        this.days.set(day, states);
+        return states;
+    }
+
+    /**
+     * @param {number} period - Periods since the epoch
+     * @returns {string} Name of the weather state
+     */
+    getPeriodState(period) {
+        const periods = WEATHER_CONFIG.DAY / WEATHER_CONFIG.PERIOD;
+        const day = Math.floor(period / periods);
+        return this.getDay(day)[period - day * periods];
+    }
+
+    /**
+     * Weather at a real instant, eased in from the previous period's state.
+     * @param {number} epochSeconds
+     * @param {Object} [out] - Filled in and returned, e.g. to reuse one object every step
+     * @returns {Object} Blended WEATHER_STATES values plus `state` (the dominant name)
+     */
+    sampleAt(epochSeconds, out = {}) {
+        const period = Math.floor(epochSeconds / WEATHER_CONFIG.PERIOD);
+        const into = epochSeconds - period * WEATHER_CONFIG.PERIOD;
+        const state = this.getPeriodState(period);
+        const previous = this.getPeriodState(period - 1);
+
+        const blend = smoothstep(Math.min(into / WEATHER_CONFIG.BLEND, 1));
+        const params = mixWeather(WEATHER_STATES[previous], WEATHER_STATES[state], blend, out);
+        params.state = blend < 0.5 ? previous : state;
+        return params;
+    }
+
+    /**
+     * Integral of the wind timeScale from a period's start to `into` seconds later.
+     * Wind patterns speed up and slow down with the weather without ever
+     * jumping, and the result only depends on the schedule, not on history.
+     */
+    integratePeriod(period, into) {
+        const from = WEATHER_STATES[this.getPeriodState(period - 1)].timeScale;
+        const to = WEATHER_STATES[this.getPeriodState(period)].timeScale;
+        const blend = WEATHER_CONFIG.BLEND;
+
+        const u = Math.min(into / blend, 1);
+        let phase = blend * (from * u + (to - from) * smoothstepIntegral(u));
+        if (into > blend) {
+            phase += to * (into - blend);
+        }
+        return phase;
+    }
+
+    /**
+     * Wind noise phase at a simulation time: the integral of timeScale since
+     * the planting moment.
+     * @param {number} time - Simulation time in seconds
+     */
+    getPhase(time) {
+        const epochSeconds = this.originSeconds + time;
+        const period = Math.floor(epochSeconds / WEATHER_CONFIG.PERIOD);
+
+        // Restart from the origin when the clock moved backwards
+        let anchor = this.phaseAnchor;
+        if (!anchor || anchor.period > period) {
+            const originPeriod = Math.floor(this.originSeconds / WEATHER_CONFIG.PERIOD);
+            const originInto = this.originSeconds - originPeriod * WEATHER_CONFIG.PERIOD;
+            anchor = { period: originPeriod, phase: -this.integratePeriod(originPeriod, originInto) };
+        }
+
+        while (anchor.period < period) {
+            anchor = {
+                period: anchor.period + 1,
+                phase: anchor.phase + this.integratePeriod(anchor.period, WEATHER_CONFIG.PERIOD),
+            };
+        }
+        this.phaseAnchor = anchor;
+
+        return anchor.phase + this.integratePeriod(period, epochSeconds - period * WEATHER_CONFIG.PERIOD);
+    }
+
+    /**
+     * The gust front of a slot, if one blows in it. Cached: every step of
+     * the slot asks again.
+     * @param {number} slot - FRONT_SLOTs since the epoch
+     * @returns {Object|null} Front in WindField format (simulation time)
+     */
+    getFront(slot) {
+        let front = this.frontsBySlot.get(slot);
+        if (front !== undefined) return front;
+
+        front = this.createFront(slot);
+        if (this.frontsBySlot.size >= 4) this.frontsBySlot.clear();
+        this.frontsBySlot.set(slot, front);
+        return front;
+    }
+
+    createFront(slot) {
+        const slotStart = slot * WEATHER_CONFIG.FRONT_SLOT;
+        const { frontsPerHour, baseSpeed, gustiness } = this.sampleAt(slotStart, this.frontSample);
+        const chance = frontsPerHour * WEATHER_CONFIG.FRONT_SLOT / 3600;
+
+        const random = new SeededRandom(hashSeed(this.frontSeed, slot));
+        if (random.next() >= chance) return null;
+
+        const dirX = random.next() < 0.8 ? 1 : -1; // Mostly along the prevailing wind
+        const speed = random.range(...WEATHER_CONFIG.FRONT_SPEED);
+
+        return {
+            startTime: slotStart + random.next() * WEATHER_CONFIG.FRONT_SLOT - this.originSeconds,
+            duration: (2 * this.frontSpan) / speed,
+            startX: -dirX * this.frontSpan,
+            dirX,
+            speed,
+            width: random.range(...WEATHER_CONFIG.FRONT_WIDTH),
+            strength: (baseSpeed + gustiness) * random.range(...WEATHER_CONFIG.FRONT_STRENGTH),
+        };
+    }
+
+    /**
+     * Gust fronts crossing the scene at a simulation time.
+     * @param {number} time - Simulation time in seconds
+     * @returns {Object[]} Reused by the next call
+     */
+    getFronts(time) {
+        const slot = Math.floor((this.originSeconds + time) / WEATHER_CONFIG.FRONT_SLOT);
+        const fronts = this.activeFronts;
+        fronts.length = 0;
+
+        // A front outlives its slot by at most a few seconds
+        for (let s = slot - 1; s <= slot; s++) {
+            const front = this.getFront(s);
+            if (front && time >= front.startTime && time <= front.startTime + front.duration) {
+                fronts.push(front);
+            }
+        }
+        return fronts;
+    }
+
+    /**
+     * Applies the weather at a simulation time to the wind field.
+     * @param {number} time - Simulation time in seconds
+     * @param {WindField} wind
+     * @returns {Object} The current weather: this.current, updated in place
+     */
+    update(time, wind) {
+        const params = this.sampleAt(this.originSeconds + time, this.current);
+
+        wind.baseSpeed = params.baseSpeed;
+        wind.gustiness = params.gustiness;
+        wind.timeScale = params.timeScale;
+        // The noise phase is integrated so a changing timeScale never makes the field jump
+        wind.phaseOffset = this.getPhase(time) - time * params.timeScale;
+        wind.fronts = this.getFronts(time);
+
+        return params;
+    }
+}
+
+// Expose to global scope (browser window, worker or Node) and to CommonJS
+globalThis.WeatherSystem = WeatherSystem;
+globalThis.WEATHER_STATES = WEATHER_STATES;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { WeatherSystem, WEATHER_STATES, WEATHER_TRANSITIONS, WEATHER_CONFIG };
+}
@@ -9,82 +9,167 @@
 // A minimal 2D noise implementation (Perlin-like) for spatiotemporal coherence.
 // Based on standard permutation table approaches.
 
-const PERM = new Uint8Array(512);
 const P_MASK = 255;
 
-(function initPermutation() {
+// Builds a doubled permutation table shuffled by the given random source.
+// A seeded source yields the same noise field on every device.
+function buildPermutation(random) {
+    const perm = new Uint8Array(512);
     const p = new Uint8Array(256);
     for (let i = 0; i < 256; i++) p[i] = i;
     // Fisher-Yates shuffle
     for (let i = 255; i > 0; i--) {
-        const r = Math.floor(Math.random() * (i + 1));
+        const r = Math.floor(random.next() * (i + 1));
         [p[i], p[r]] = [p[r], p[i]];
     }
     // Double it for overflow handling
-    for (let i = 0; i < 512; i++) PERM[i] = p[i & 255];
-})();
-
-function fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
-function lerp(t, a, b) { return a + t * (b - a); }
-function grad(hash, x, y) {
-    const h = hash & 15;
-    const u = h < 8 ? x : y;
-    const v = h < 4 ? y : (h === 12 || h === 14 ? x : 0);
-    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+    for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+    return perm;
 }
 
-// 2D Noise function: noise(x, y)
-// Returns value in range [-1, 1] approximately
-function noise(x, y) {
-    let X = Math.floor(x) & P_MASK;
-    let Y = Math.floor(y) & P_MASK;
+// Default table for callers that don't own a seeded field
+const PERM = buildPermutation(new SeededRandom());
+
+// Gradient of each hash (h & 15) as coefficients of x and y: grad(h, x, y)
+// = GRAD_X[h] * x + GRAD_Y[h] * y, i.e. (h < 8 ? x : y) and
+// (h < 4 ? y : h === 12 || h === 14 ? x : 0), signed by bits 0 and 1.
+const GRAD_X = new Float64Array(16);
+const GRAD_Y = new Float64Array(16);
+for (let h = 0; h < 16; h++) {
+    const su = (h & 1) === 0 ? 1 : -1;
+    const sv = (h & 2) === 0 ? 1 : -1;
+    if (h < 8) GRAD_X[h] = su; else GRAD_Y[h] = su;
+    if (h < 4) GRAD_Y[h] = sv; else if (h === 12 || h === 14) GRAD_X[h] = sv;
+}
+
+// Coordinates in and value out of noiseAt(). A typed array rather than
+// arguments and a return value, and no helper calls inside: where V8 doesn't
+// inline a call, every double passed through it is boxed on the heap.
+const NOISE_IO = new Float64Array(3);
+
+// 2D noise of the point (io[0], io[1]), written to io[2]
+function noiseAt(perm, io) {
+    const floorX = Math.floor(io[0]);
+    const floorY = Math.floor(io[1]);
+    const X = floorX & P_MASK;
+    const Y = floorY & P_MASK;
+    
+    const x = io[0] - floorX;
+    const y = io[1] - floorY;
     
-    x -= Math.floor(x);
-    y -= Math.floor(y);
+    // Fade curves 6t^5 - 15t^4 + 10t^3
+    const u = x * x * x * (x * (x * 6 - 15) + 10);
+    const v = y * y * y * (y * (y * 6 - 15) + 10);
     
-    const u = fade(x);
-    const v = fade(y);
+    const A = perm[X] + Y;
+    const B = perm[X + 1] + Y;
     
-    const A = PERM[X] + Y;
-    const B = PERM[X + 1] + Y;
+    const hA = perm[A] & 15;
+    const hB = perm[B] & 15;
+    const hA1 = perm[A + 1] & 15;
+    const hB1 = perm[B + 1] & 15;
+    const g00 = GRAD_X[hA] * x + GRAD_Y[hA] * y;
+    const g10 = GRAD_X[hB] * (x - 1) + GRAD_Y[hB] * y;
+    const g01 = GRAD_X[hA1] * x + GRAD_Y[hA1] * (y - 1);
+    const g11 = GRAD_X[hB1] * (x - 1) + GRAD_Y[hB1] * (y - 1);
     
-    return lerp(v, 
-        lerp(u, grad(PERM[A], x, y), grad(PERM[B], x - 1, y)),
-        lerp(u, grad(PERM[A + 1], x, y - 1), grad(PERM[B + 1], x - 1, y - 1))
-    );
+    // Bilinear blend of the four corners
+    const bottom = g00 + u * (g10 - g00);
+    const top = g01 + u * (g11 - g01);
+    io[2] = bottom + v * (top - bottom);
+}
+
+// 2D Noise function: noise(x, y)
+// Returns value in range [-1, 1] approximately
+function noise(x, y, perm = PERM) {
+    NOISE_IO[0] = x;
+    NOISE_IO[1] = y;
+    noiseAt(perm, NOISE_IO);
+    return NOISE_IO[2];
 }
 
 // --- 2. WindField Class ---
 
+// Bumped whenever the shape of WindField.toJSON() changes
+const WIND_STATE_VERSION = 1;
+
 class WindField {
-    constructor() {
+    /**
+     * @param {number} [seed] - Flower seed. The same seed always yields the same gusts.
+     */
+    constructor(seed) {
+        this.seed = seed === undefined ? null : seed;
+        const random = new SeededRandom(
+            seed === undefined ? undefined : hashSeed(seed, SEED_SALT.WIND)
+        );
+        this.perm = buildPermutation(random);
+
         // Configuration for the "feel" of the wind
         this.baseSpeed = 15.0;     // Base magnitude of wind force
         this.gustiness = 20.0;     // Variability magnitude
         
         this.spatialScale = 0.005; // How quickly wind changes over distance
         this.timeScale = 0.5;      // How quickly wind patterns evolve
+        this.phaseOffset = 0.0;    // Added to time * timeScale (kept continuous by weather.js)
         
         // Offset to avoid 0,0 symmetries
-        this.offset = { x: Math.random() * 1000, y: Math.random() * 1000 };
+        this.offset = { x: random.next() * 1000, y: random.next() * 1000 };
+
+        // Temporary local breezes (e.g. a hovering pointer), layered on top of the field
+        this.sources = [];
+        this.maxSources = 16;
+
+        // Gust fronts sweeping across the scene (set by the WeatherSystem)
+        this.fronts = [];
+    }
+
+    /**
+     * Adds a short-lived local wind source on top of the noise field.
+     * @param {Object} source
+     * @param {number} source.x - World position
+     * @param {number} source.y - World position
+     * @param {number} source.dirX - Unit direction of the breeze
+     * @param {number} source.dirY - Unit direction of the breeze
+     * @param {number} source.strength - Peak force at the center
+     * @param {number} source.radius - Falloff radius in pixels
+     * @param {number} source.startTime - Simulation time it starts blowing
+     * @param {number} source.duration - Lifetime in seconds
+     */
+    addSource(source) {
+        // Drop expired sources, then keep only the most recent ones
+        this.sources = this.sources.filter((s) => source.startTime < s.startTime + s.duration);
+        this.sources.push(source);
+        if (this.sources.length > this.maxSources) {
+            this.sources.shift();
+        }
     }
 
     /**
      * Sample the wind field at a specific position and time.
      * @param {Vector2} pos - World position of the object (e.g., segment)
      * @param {number} time - Global simulation time in seconds
-     * @returns {Vector2} Force vector to apply
+     * @param {Vector2} [out] - Receives the force; pass one to sample without allocating
+     * @returns {Vector2} Force vector to apply (`out` when given)
      */
-    getForce(pos, time) {
+    getForce(pos, time, out = new Vector2()) {
+        const x = pos.x;
+        const y = pos.y;
+
         // Domain transformation
-        const nx = (pos.x + this.offset.x) * this.spatialScale;
-        const ny = (pos.y + this.offset.y) * this.spatialScale;
-        const nt = time * this.timeScale;
+        const nx = (x + this.offset.x) * this.spatialScale;
+        const ny = (y + this.offset.y) * this.spatialScale;
+        const nt = time * this.timeScale + this.phaseOffset;
 
         // Sample noise for two components to get a vector
         // We offset time/space slightly for 'y' component to decouple them
-        const noiseX = noise(nx + nt, ny); 
-        const noiseY = noise(nx, ny + nt + 100); // +100 to decorrelate
+        NOISE_IO[0] = nx + nt;
+        NOISE_IO[1] = ny;
+        noiseAt(this.perm, NOISE_IO);
+        const noiseX = NOISE_IO[2];
+        NOISE_IO[0] = nx;
+        NOISE_IO[1] = ny + nt + 100; // +100 to decorrelate
+        noiseAt(this.perm, NOISE_IO);
+        const noiseY = NOISE_IO[2];
 
         // Map noise [-1, 1] to wind vector
         // Main wind direction is usually horizontal, but we want turbulence
@@ -93,16 +178,91 @@ class WindField {
         // const flow = 1.0; 
         
         // 2. Gusts: Noise-driven variation
-        const forceX = (noiseX + 0.5) * (this.baseSpeed + this.gustiness * noiseY);
+        let forceX = (noiseX + 0.5) * (this.baseSpeed + this.gustiness * noiseY);
         // We bias X slightly positive to have a "prevailing wind" direction, 
         // but noiseX allows it to reverse or calm down.
         
         // Vertical wind (turbulence/lift) is usually weaker
-        const forceY = noiseY * (this.gustiness * 0.3);
+        let forceY = noiseY * (this.gustiness * 0.3);
+
+        // 3. Local Sources: gaussian falloff in space, eased in and out over their lifetime
+        // (Index loops: this runs for every body on every step)
+        for (let i = 0; i < this.sources.length; i++) {
+            const source = this.sources[i];
+            const age = time - source.startTime;
+            if (age < 0 || age > source.duration) continue;
+
+            const dx = x - source.x;
+            const dy = y - source.y;
+            const falloff = Math.exp(-(dx * dx + dy * dy) / (source.radius * source.radius));
+            const envelope = Math.sin(Math.PI * age / source.duration);
+            const strength = source.strength * falloff * envelope;
+
+            forceX += source.dirX * strength;
+            forceY += source.dirY * strength;
+        }
 
-        return new Vector2(forceX, forceY);
+        // 4. Gust Fronts: a band of strong wind travelling horizontally, with a little lift
+        for (let i = 0; i < this.fronts.length; i++) {
+            const front = this.fronts[i];
+            const age = time - front.startTime;
+            if (age < 0 || age > front.duration) continue;
+
+            const centerX = front.startX + front.dirX * front.speed * age;
+            const dx = (x - centerX) / front.width;
+            const strength = front.strength * Math.exp(-dx * dx);
+
+            forceX += front.dirX * strength;
+            forceY -= strength * 0.2;
+        }
+
+        return out.set(forceX, forceY);
     }
+
+    /**
+     * Plain, versioned snapshot. The noise table is not stored: it is rebuilt
+     * from the seed (an unseeded field comes back with fresh noise).
+     */
+    toJSON() {
+        return {
+            version: WIND_STATE_VERSION,
+            seed: this.seed,
+            baseSpeed: this.baseSpeed,
+            gustiness: this.gustiness,
+            spatialScale: this.spatialScale,
+            timeScale: this.timeScale,
+            phaseOffset: this.phaseOffset,
+            sources: this.sources.map((source) => ({ ...source })),
+            fronts: this.fronts.map((front) => ({ ...front })),
+        };
+    }
+
+    /**
+     * @param {Object} json - From toJSON()
+     * @returns {WindField}
+     */
+    static fromJSON(json) {
+        if (!json || json.version !== WIND_STATE_VERSION) {
+            throw new Error(`Unsupported wind state version: ${json && json.version}`);
+        }
+        const wind = new WindField(json.seed === null ? undefined : json.seed);
+        wind.baseSpeed = json.baseSpeed;
+        wind.gustiness = json.gustiness;
+        wind.spatialScale = json.spatialScale;
+        wind.timeScale = json.timeScale;
+        wind.phaseOffset = json.phaseOffset;
+        wind.sources = json.sources.map((source) => ({ ...source }));
+        wind.fronts = json.fronts.map((front) => ({ ...front }));
+        return wind;
+    }
+}
+
+// Expose to global scope (since we aren't using ES6 modules for this project setup).
+// globalThis covers the browser window, workers and Node alike.
+globalThis.WindField = WindField;
+globalThis.noise = noise;
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { WindField, noise, buildPermutation };
 }
 
-// Expose to global scope (since we aren't using ES6 modules for this project setup)
-window.WindField = WindField;
@@ -0,0 +1,88 @@
+// api.test.js
+// The flower JSON API client, against a mocked fetch.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FlowerApi, FlowerApiError } = require("../static/js/flower_api.js");
+
+const PAYLOAD = {
+  id: "8d0f8c3e-4a59-4f39-9c1e-2d1f3c9b7a10",
+  seed: 4242,
+  variation: "purple",
+  species: "tulip",
+  planted_at: "2024-06-01T12:00:00+00:00",
+  server_time: 1717416000000,
+  stage: "growing",
+  is_owner: false,
+  successor_id: null,
+  care: [{ kind: "water", performedAt: "2024-06-02T08:00:00+00:00" }],
+};
+
+function mockFetch(status, body) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, init });
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  };
+  return { fetch, requests };
+}
+
+describe("FlowerApi", () => {
+  it("loads a flower and maps it to the page's data", async () => {
+    const { fetch, requests } = mockFetch(200, PAYLOAD);
+    const flower = await new FlowerApi({ fetch }).getFlower(PAYLOAD.id);
+
+    assert.equal(requests[0].url, `/api/f/${PAYLOAD.id}/`);
+    assert.equal(requests[0].init.cache, "no-store");
+    assert.deepEqual({ ...flower, receivedAt: 0 }, {
+      id: PAYLOAD.id,
+      seed: 4242,
+      variation: "purple",
+      species: "tulip",
+      plantedAt: PAYLOAD.planted_at,
+      serverNow: PAYLOAD.server_time,
+      stage: "growing",
+      isOwner: false,
+      successorId: null,
+      care: [{ kind: "water", performedAt: "2024-06-02T08:00:00+00:00" }],
+      receivedAt: 0,
+    });
+    assert.ok(Number.isFinite(flower.receivedAt));
+  });
+
+  it("plants with a POST, of the server's default species unless one is named", async () => {
+    const { fetch, requests } = mockFetch(201, { ...PAYLOAD, is_owner: true });
+    const api = new FlowerApi({ fetch, baseUrl: "/v1" });
+    const flower = await api.plantFlower();
+    assert.equal(requests[0].url, "/v1/plant/");
+    assert.equal(requests[0].init.method, "POST");
+    assert.equal(requests[0].init.body, undefined);
+    assert.equal(flower.isOwner, true);
+
+    await api.plantFlower("tulip");
+    assert.deepEqual(JSON.parse(requests[1].init.body), { species: "tulip" });
+  });
+
+  it("records care as a JSON POST", async () => {
+    const { fetch, requests } = mockFetch(201, { ...PAYLOAD, is_owner: true });
+    await new FlowerApi({ fetch }).careFor(PAYLOAD.id, "water");
+    assert.equal(requests[0].url, `/api/f/${PAYLOAD.id}/care/`);
+    assert.equal(requests[0].init.method, "POST");
+    assert.equal(requests[0].init.headers["Content-Type"], "application/json");
+    assert.deepEqual(JSON.parse(requests[0].init.body), { kind: "water" });
+  });
+
+  it("rejects a replant before the old flower has merged into the soil", async () => {
+    const api = new FlowerApi(mockFetch(409, { error: "This flower has not merged into the soil yet", id: PAYLOAD.id }));
+    await assert.rejects(api.plantFlower(), { name: "FlowerApiError", status: 409 });
+  });
+
+  it("reports HTTP and network failures as FlowerApiError", async () => {
+    const missing = new FlowerApi(mockFetch(404, { error: "Flower not found" }));
+    await assert.rejects(missing.getFlower("nope"), { name: "FlowerApiError", status: 404, message: "Flower not found" });
+
+    const offline = new FlowerApi({ fetch: async () => { throw new TypeError("offline"); } });
+    await assert.rejects(offline.getFlower(PAYLOAD.id), (err) => err instanceof FlowerApiError && err.status === 0);
+  });
+});
@@ -0,0 +1,93 @@
+// care.test.js
+// Care history -> health -> the plant it grows.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CARE_CONFIG, getCareAges, computeHealth, getCareCooldown } = require("../static/js/care.js");
+const { FlowerSimulation } = require("../static/js/simulation.js");
+const { getRealAge, getStructuralAge } = require("../static/js/lifecycle.js");
+const { PALETTES, resolvePetalColors } = require("../static/js/palette.js");
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+// Water twice a day, every day
+const WELL_KEPT = Array.from({ length: 8 }, (_, i) => [
+  { kind: "water", age: i * DAY + 8 * HOUR },
+  { kind: "water", age: i * DAY + 20 * HOUR },
+]).flat();
+
+function grow(care, ageSeconds = 4 * DAY) {
+  const sim = new FlowerSimulation({ seed: 42, ageSeconds, care });
+  sim.step(240);
+  return sim;
+}
+
+describe("health", () => {
+  it("runs down without care and recovers with it", () => {
+    assert.equal(computeHealth([], 0), CARE_CONFIG.START_HEALTH);
+    assert.ok(Math.abs(computeHealth([], DAY) - (1 - CARE_CONFIG.DECAY_PER_DAY)) < 1e-12);
+    assert.equal(computeHealth([], 10 * DAY), 0);
+
+    const watered = [{ kind: "water", age: 2 * DAY }];
+    assert.ok(computeHealth(watered, 2 * DAY) > computeHealth([], 2 * DAY));
+    // An action only counts from its moment on, and unknown kinds not at all
+    assert.equal(computeHealth(watered, DAY), computeHealth([], DAY));
+    assert.equal(computeHealth([{ kind: "sing", age: DAY }], 2 * DAY), computeHealth([], 2 * DAY));
+    assert.ok(computeHealth(WELL_KEPT, 4 * DAY) > 0.9);
+  });
+
+  it("converts server timestamps to the plant's clock, in any order", () => {
+    const plantedAt = "2024-06-01T12:00:00+00:00";
+    const care = getCareAges([
+      { kind: "talk", performedAt: "2024-06-02T12:00:00+00:00" },
+      { kind: "water", performedAt: "2024-06-01T18:00:00+00:00" },
+    ], plantedAt);
+    assert.deepEqual(care, [{ kind: "talk", age: DAY }, { kind: "water", age: 6 * HOUR }]);
+    assert.equal(computeHealth(care, 2 * DAY), computeHealth(care.slice().reverse(), 2 * DAY));
+  });
+
+  it("holds each action back for its cooldown", () => {
+    const care = [{ kind: "water", age: DAY }];
+    assert.equal(getCareCooldown(care, "water", DAY + HOUR), CARE_CONFIG.ACTIONS.water.cooldown - HOUR);
+    assert.equal(getCareCooldown(care, "water", DAY + CARE_CONFIG.ACTIONS.water.cooldown), 0);
+    assert.equal(getCareCooldown(care, "talk", DAY + HOUR), 0);
+  });
+
+  it("maps structural age back to real age", () => {
+    for (const age of [0, HOUR, DAY, 3.5 * DAY, 8 * DAY]) {
+      assert.ok(Math.abs(getRealAge(getStructuralAge(age)) - age) < 1e-6);
+    }
+  });
+});
+
+describe("care and growth", () => {
+  it("grows the same plant from the same history", () => {
+    assert.deepEqual(grow(WELL_KEPT).getState(), grow(WELL_KEPT.slice().reverse()).getState());
+  });
+
+  it("leaves a thriving plant as designed", () => {
+    const alwaysThriving = grow(undefined).getState();
+    const wellKept = grow(WELL_KEPT).getState();
+    assert.equal(wellKept.petals.length, alwaysThriving.petals.length);
+  });
+
+  it("shows neglect as a smaller, drooping plant with fewer, duller petals", () => {
+    const neglected = grow([]);
+    const wellKept = grow(WELL_KEPT);
+    assert.ok(neglected.flower.health < 0.1 && wellKept.flower.health > 0.9);
+
+    assert.ok(neglected.flower.petals.length < wellKept.flower.petals.length);
+    const restLength = (sim) => sim.flower.segments.reduce((sum, seg) => sum + seg.targetRestLength, 0);
+    assert.ok(restLength(neglected) < restLength(wellKept));
+
+    // The tip hangs lower relative to the stem's full length
+    const lift = (sim) => -sim.flower.segments[sim.flower.tipIndex].pos.y / restLength(sim);
+    assert.ok(lift(neglected) < lift(wellKept));
+
+    const dull = resolvePetalColors(PALETTES.red, 1, 0, 0, 1 - neglected.flower.health);
+    const vivid = resolvePetalColors(PALETTES.red, 1, 0, 0, 0);
+    assert.ok(dull.saturation < vivid.saturation);
+  });
+});
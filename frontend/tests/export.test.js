@@ -0,0 +1,156 @@
+// export.test.js
+// SVG markup, GIF encoding and clip sizing used by the share/export feature.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FlowerSimulation } = require("../static/js/simulation.js");
+require("../static/js/lighting.js");
+const { getPalette } = require("../static/js/palette.js");
+const { PathBuilder, buildFlowerScene } = require("../static/js/geometry.js");
+const { svgMarkup, pathData } = require("../static/js/render_svg.js");
+const { encodeGif, quantizeFrame, lzwEncode, GIF_TRANSPARENT } = require("../static/js/gif.js");
+const { FlowerExporter } = require("../static/js/export.js");
+
+// Reference GIF LZW decoder
+function lzwDecode(bytes, minCodeSize, length) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let dictionary = [];
+  let codeSize = minCodeSize + 1;
+  let previous = null;
+  let bitPos = 0;
+
+  const reset = () => {
+    dictionary = Array.from({ length: clearCode }, (_, i) => [i]);
+    dictionary.push(null, null);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  while (out.length < length) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPos++) {
+      code |= ((bytes[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+    }
+    if (code === clearCode) { reset(); continue; }
+    if (code === endCode) break;
+
+    let entry = dictionary[code];
+    if (!entry) entry = previous.concat(previous[0]);
+    out.push(...entry);
+    if (previous) dictionary.push(previous.concat(entry[0]));
+    if (dictionary.length === 1 << codeSize && codeSize < 12) codeSize++;
+    previous = entry;
+  }
+  return out;
+}
+
+describe("svgMarkup", () => {
+  it("writes paths with their curves and transform", () => {
+    const svg = svgMarkup([
+      {
+        kind: "path",
+        path: new PathBuilder().moveTo(0, 0).quadraticCurveTo(5, -5, 10, 0).closePath().commands,
+        fill: "hsl(340, 75%, 55%)",
+        transform: [2, 0, 0, 0.5, 10, 20],
+      },
+      { kind: "path", path: new PathBuilder().rect(0, 0, 5, 5).commands, stroke: "#000", lineWidth: 2 },
+    ], 100, 50);
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="100" height="50"/);
+    assert.match(svg, /<path d="M0 0Q5 -5 10 0Z" fill="hsl\(340, 75%, 55%\)" transform="matrix\(2 0 0 0.5 10 20\)"\/>/);
+    assert.match(svg, /<path d="M0 0L5 0L5 5L0 5Z" fill="none" stroke="#000" stroke-width="2"\/>/);
+  });
+
+  it("splits full circles into SVG arcs", () => {
+    assert.equal(pathData(new PathBuilder().arc(0, 0, 4, 0, Math.PI * 2).commands), "M4 0A4 4 0 0 1 -4 0A4 4 0 0 1 4 0");
+  });
+
+  it("turns gradients and clips into defs", () => {
+    const clip = { x: 0, y: 0, width: 10, height: 5 };
+    const rect = new PathBuilder().rect(0, 0, 10, 10).commands;
+    const gradient = { type: "linear", x0: 0, y0: 0, x1: 0, y1: 10, stops: [[0, "red"], [1, "blue"]] };
+    const svg = svgMarkup([
+      { kind: "path", path: rect, fill: gradient, opacity: 0.5, clip },
+      { kind: "path", path: rect, fill: gradient, clip },
+    ], 10, 10);
+
+    assert.match(svg, /<linearGradient id="g0" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="0" y2="10">/);
+    // One clip path shared by both shapes
+    assert.equal(svg.split("<clipPath").length - 1, 1);
+    assert.match(svg, /fill="url\(#g0\)" opacity="0.5" clip-path="url\(#c1\)"/);
+  });
+
+  it("exports a real flower as vector paths, without background or debug text", () => {
+    const sim = new FlowerSimulation({ seed: 42, ageSeconds: 4 * 24 * 3600 });
+    sim.step(60);
+    const flower = sim.flower.getRenderState(1);
+
+    const render = (options) => {
+      const view = { width: 300, height: 400, palette: getPalette("red"), ...options };
+      return svgMarkup(buildFlowerScene(flower, sim.time, view), 300, 400);
+    };
+
+    const full = render({ debug: true });
+    const bare = render({ background: false, debug: false });
+    assert.match(full, new RegExp(`<text[^>]*>Segments: ${flower.segments.length}</text>`));
+    assert.doesNotMatch(bare, /<text/);
+    assert.ok(bare.length < full.length);
+
+    // Stem ribbon from drawSpline (cubic segments) and one quadratic path per petal
+    const paths = bare.match(/<path d="M[^"]*[QC][^"]*"/g) || [];
+    assert.ok(paths.length >= 1 + flower.petals.length, `only ${paths.length} curved paths`);
+  });
+});
+
+describe("encodeGif", () => {
+  const width = 7;
+  const height = 5;
+  const frame = (shift) => {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+      rgba[p * 4] = (p * 37 + shift) % 256;
+      rgba[p * 4 + 1] = (p * 11) % 256;
+      rgba[p * 4 + 2] = 200;
+      rgba[p * 4 + 3] = p % 9 === 0 ? 0 : 255;
+    }
+    return rgba;
+  };
+
+  it("writes a looping GIF89a with one image per frame", () => {
+    const gif = encodeGif({ width, height, frames: [frame(0), frame(50), frame(100)], delay: 100 });
+    const ascii = String.fromCharCode(...gif);
+
+    assert.equal(ascii.slice(0, 6), "GIF89a");
+    assert.equal(gif[6] | (gif[7] << 8), width);
+    assert.equal(gif[8] | (gif[9] << 8), height);
+    assert.ok(ascii.includes("NETSCAPE2.0"));
+    assert.equal(gif[gif.length - 1], 0x3b);
+    assert.equal(ascii.split("\x21\xf9\x04").length - 1, 3);
+  });
+
+  it("maps transparent pixels to the reserved index", () => {
+    const indices = quantizeFrame(frame(0), width, height);
+    for (let p = 0; p < indices.length; p++) {
+      assert.equal(indices[p] === GIF_TRANSPARENT, p % 9 === 0);
+    }
+  });
+
+  it("round-trips LZW, including dictionary resets", () => {
+    // Noisy data fills the 4096-code table several times
+    const random = new SeededRandom(5);
+    const indices = Uint8Array.from({ length: 50000 }, () => (random.next() < 0.5 ? random.int(256) : 7));
+    const decoded = lzwDecode(lzwEncode(indices, 8), 8, indices.length);
+    assert.deepEqual(decoded, Array.from(indices));
+  });
+});
+
+describe("FlowerExporter", () => {
+  it("renders animation frames at a bounded size, never upscaled", () => {
+    assert.equal(1920 * new FlowerExporter({ width: 1920, height: 1080 }).animationScale, 480);
+    assert.equal(new FlowerExporter({ width: 300, height: 400 }).animationScale, 1);
+  });
+});
@@ -0,0 +1,368 @@
+// flower.test.js
+// Flower invariants: growth caps, bloom timing, numerical stability and snapshots.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FlowerSimulation } = require("../static/js/simulation.js");
+
+const STEP = 1 / 120;
+
+function createFlower(seed = 42, options = {}) {
+  const flower = new Flower(0, 0, seed, options);
+  const env = { gravity: new Vector2(0, 200), wind: new WindField(seed), time: 0 };
+  return { flower, env };
+}
+
+function run(flower, env, seconds, dt = STEP) {
+  const steps = Math.round(seconds / dt);
+  for (let i = 0; i < steps; i++) {
+    env.time += dt;
+    flower.update(dt, env);
+  }
+}
+
+function assertFinite(flower) {
+  const points = [
+    ...flower.segments.flatMap((seg) => [seg.pos, seg.vel]),
+    ...flower.petals.flatMap((petal) => [petal.tipPos, petal.tipVel]),
+    ...flower.fallenPetals.flatMap((petal) => [petal.basePos, petal.tipPos]),
+  ];
+  for (const p of points) {
+    assert.ok(Number.isFinite(p.x) && Number.isFinite(p.y), `non-finite point (${p.x}, ${p.y})`);
+  }
+}
+
+describe("Flower growth", () => {
+  it("starts as a bare root", () => {
+    const { flower } = createFlower();
+    assert.equal(flower.segments.length, 1);
+    assert.equal(flower.petals.length, 0);
+  });
+
+  it("grows the stem its blueprint lays out, 12 nodes on the main axis", () => {
+    const { flower, env } = createFlower();
+    run(flower, env, 30);
+    assert.equal(flower.segments.length, flower.blueprint.nodes.length + 1);
+    assert.equal(flower.segments.filter((seg) => seg.axis === 0).length, 12);
+  });
+
+  it("spawns petals once, as soon as bloom passes 0.05", () => {
+    const { flower, env } = createFlower();
+    const headPetals = flower.heads.reduce((sum, head) => sum + head.petals, 0);
+    let spawnedAt = null;
+    for (let i = 0; i < 20 / STEP; i++) {
+      env.time += STEP;
+      flower.update(STEP, env);
+      if (spawnedAt === null) {
+        if (flower.petals.length > 0) {
+          spawnedAt = flower.bloomFactor;
+          assert.equal(flower.petals.length, 6);
+        } else {
+          assert.ok(flower.bloomFactor <= 0.05 + STEP * 0.1);
+        }
+      }
+      // Never a second ring on a head, even once petals start to shed
+      assert.ok(flower.petals.length + flower.fallenPetals.length <= headPetals);
+    }
+    assert.ok(spawnedAt > 0.05, `petals spawned at bloom ${spawnedAt}`);
+  });
+
+  it("produces the same plant for the same seed", () => {
+    const a = new FlowerSimulation({ seed: 7, structuralAge: 15 });
+    const b = new FlowerSimulation({ seed: 7, structuralAge: 15 });
+    assert.deepEqual(a.getState(), b.getState());
+  });
+
+  it("never grows past its lifecycle target age", () => {
+    const { flower, env } = createFlower();
+    flower.setTargetAge(3.0);
+    run(flower, env, 10);
+    assert.equal(flower.structuralAge, 3.0);
+  });
+
+  it("keeps a fast-forwarded stem stiff enough to hold up its bloom", () => {
+    // Top of the plant after 10 s, with the upper stem at the flexibility cap, or fully limp
+    const tipHeight = (limp) => {
+      const sim = new FlowerSimulation({ seed: 42, structuralAge: 14 });
+      const cap = sim.flower.species.stem.maxFlexibility;
+      for (const seg of sim.flower.segments) {
+        assert.ok(seg.targetFlexibility <= cap);
+        if (limp && seg.targetFlexibility === cap) seg.targetFlexibility = 1;
+      }
+      sim.step(1200);
+      return Math.max(...sim.flower.segments.map((seg) => -seg.pos.y));
+    };
+    assert.ok(tipHeight(false) > 250);
+    assert.ok(tipHeight(true) < 150, "a limp stem folds over");
+  });
+});
+
+describe("Flower senescence", () => {
+  it("sheds every petal by the time it falls", () => {
+    const sim = new FlowerSimulation({ seed: 3, structuralAge: 30 });
+    const state = sim.getState();
+    assert.equal(state.petals.length, 0);
+    assert.equal(state.fallenPetals.length, sim.flower.heads.reduce((sum, head) => sum + head.petals, 0));
+  });
+
+  it("keeps the stem above the ground", () => {
+    const sim = new FlowerSimulation({ seed: 3, structuralAge: 35 });
+    for (const seg of sim.getState().segments) {
+      assert.ok(seg.pos.y <= 0);
+    }
+  });
+});
+
+describe("Flower step guards", () => {
+  const grown = () => {
+    const { flower, env } = createFlower(5);
+    run(flower, env, 12);
+    return { flower, env };
+  };
+  // Positions and ages after the step, as the renderer would see them
+  const snapshot = (flower) => structuredClone(flower.getRenderState(1));
+
+  it("ignores zero, negative and NaN steps", () => {
+    const { flower, env } = grown();
+    const before = snapshot(flower);
+    for (const dt of [0, -0.1, NaN, undefined]) flower.update(dt, env);
+    assert.deepEqual(snapshot(flower), before);
+  });
+
+  it("splits a coarse step into substeps of at most maxStepSize", () => {
+    const coarse = grown();
+    const fine = grown();
+    coarse.flower.update(3 * coarse.flower.maxStepSize, coarse.env);
+    for (let i = 0; i < 3; i++) fine.flower.update(fine.flower.maxStepSize, fine.env);
+    assert.deepEqual(snapshot(coarse.flower), snapshot(fine.flower));
+  });
+
+  it("clamps a long frame to maxFrameTime", () => {
+    const paused = grown();
+    const clamped = grown();
+    const age = paused.flower.structuralAge;
+    paused.flower.update(60, paused.env);
+    clamped.flower.update(clamped.flower.maxFrameTime, clamped.env);
+    assert.deepEqual(snapshot(paused.flower), snapshot(clamped.flower));
+    assert.ok(Math.abs(paused.flower.structuralAge - age - paused.flower.maxFrameTime * paused.flower.growthRate) < 1e-9);
+  });
+});
+
+describe("Flower stability", () => {
+  for (const solver of ["semi-implicit-euler", "verlet"]) {
+    it(`stays finite over a long run (${solver})`, () => {
+      const { flower, env } = createFlower(11, { solver });
+      run(flower, env, 120);
+      assertFinite(flower);
+    });
+  }
+
+  it("stays finite with extreme dt", () => {
+    const { flower, env } = createFlower(5);
+    for (const dt of [0.5, 2, 1e6, 1e-9, 0, -1, NaN, 0.1, 0.1, 0.1]) {
+      for (let i = 0; i < 50; i++) {
+        flower.update(dt, env);
+      }
+      assertFinite(flower);
+    }
+  });
+
+  it("runs and reports the default solver in place of an unknown one", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const { flower } = createFlower(5, { solver: "runge-kutta" });
+    assert.equal(error.mock.callCount(), 1);
+    assert.equal(flower.solver, DEFAULT_SOLVER);
+    assert.equal(flower.integrator, INTEGRATORS[DEFAULT_SOLVER]);
+  });
+});
+
+describe("Flower grab", () => {
+  it("pulls a held segment towards the pointer and springs back on release", () => {
+    // Same seed, same wind: the untouched twin is the reference pose
+    const held = createFlower();
+    const twin = createFlower();
+    run(held.flower, held.env, 15);
+    run(twin.flower, twin.env, 15);
+
+    const tip = held.flower.tipIndex;
+    const offset = () => held.flower.segments[tip].pos.x - twin.flower.segments[tip].pos.x;
+
+    held.flower.grab("segment", tip, held.flower.segments[tip].pos.clone().add(new Vector2(60, 0)));
+    run(held.flower, held.env, 2);
+    run(twin.flower, twin.env, 2);
+    assert.ok(offset() > 20, `held tip only moved ${offset()}px`);
+
+    held.flower.release(new Vector2(300, 0));
+    assert.equal(held.flower.grabbed, null);
+    run(held.flower, held.env, 5);
+    run(twin.flower, twin.env, 5);
+    assert.ok(Math.abs(offset()) < 1, `tip did not spring back (${offset()}px)`);
+    assertFinite(held.flower);
+  });
+
+  it("stays stable when dragged far away with either solver", () => {
+    for (const solver of ["semi-implicit-euler", "verlet"]) {
+      const { flower, env } = createFlower(3, { solver });
+      run(flower, env, 15);
+      flower.grab("segment", flower.tipIndex, new Vector2(5000, -5000));
+      run(flower, env, 3);
+      flower.release(new Vector2(1500, 0));
+      run(flower, env, 3);
+      assertFinite(flower);
+    }
+  });
+
+  it("lets go of a petal when it detaches", () => {
+    const { flower, env } = createFlower();
+    run(flower, env, 15);
+    flower.grab("petal", 0, flower.petals[0].tipPos);
+    flower.setTargetAge(null);
+    run(flower, env, 20);
+    assert.ok(flower.fallenPetals.length > 0);
+    assert.equal(flower.grabbed, null);
+  });
+});
+
+describe("Flower inspector hooks", () => {
+  it("records the forces on every segment without changing the motion", () => {
+    const recorded = createFlower();
+    const plain = createFlower();
+    recorded.flower.recordForces = true;
+    run(recorded.flower, recorded.env, 15);
+    run(plain.flower, plain.env, 15);
+
+    assert.deepEqual(recorded.flower.segments.map((seg) => seg.pos), plain.flower.segments.map((seg) => seg.pos));
+    const { forces, segments } = recorded.flower.getRenderState(1);
+    assert.equal(forces.length, segments.length);
+    assert.equal(forces[0], null);
+    forces.slice(1).forEach((force, i) => {
+      assert.deepEqual(Object.keys(force), ["gravity", "wind", "spring", "bend"]);
+      assert.equal(force.gravity.y, 200 * segments[i + 1].mass);
+    });
+    assert.equal(plain.flower.getRenderState(1).forces, null);
+  });
+
+  it("scales growth by the base growth rate", () => {
+    const fast = createFlower(42, { health: () => 1 });
+    const normal = createFlower(42, { health: () => 1 });
+    fast.flower.baseGrowthRate = 2;
+    run(fast.flower, fast.env, 5);
+    run(normal.flower, normal.env, 5);
+    assert.ok(Math.abs(fast.flower.structuralAge - 2 * normal.flower.structuralAge) < 1e-6);
+  });
+
+  it("keeps wind overrides through weather changes", () => {
+    const sim = new FlowerSimulation({ seed: 7, ageSeconds: 3 * 24 * 3600, plantedAt: Date.UTC(2026, 4, 1) });
+    sim.setWindOverrides({ baseSpeed: 0, gustiness: 0 });
+    sim.step(240);
+    assert.equal(sim.wind.baseSpeed, 0);
+    assert.equal(sim.wind.gustiness, 0);
+
+    sim.setWindOverrides(null);
+    sim.step();
+    assert.equal(sim.wind.baseSpeed, sim.weather.current.baseSpeed);
+  });
+});
+
+describe("Flower snapshots", () => {
+  const snapshot = (value) => JSON.parse(JSON.stringify(value));
+
+  it("resumes from JSON exactly where it left off", () => {
+    // Mid-shedding, on a branched seed: heads, leaves and fallen petals all in flight
+    const original = createFlower(5);
+    original.flower.setTargetAge(22);
+    run(original.flower, original.env, 25);
+    assert.ok(original.flower.fallenPetals.length > 0 && original.flower.leaves.length > 0);
+
+    const resumed = {
+      flower: Flower.fromJSON(snapshot(original.flower.toJSON())),
+      env: { ...original.env, wind: WindField.fromJSON(snapshot(original.env.wind.toJSON())) },
+    };
+    assert.deepEqual(resumed.flower.getRenderState(0.5), original.flower.getRenderState(0.5));
+
+    original.flower.setTargetAge(null);
+    resumed.flower.setTargetAge(null);
+    run(original.flower, original.env, 5);
+    run(resumed.flower, resumed.env, 5);
+    assert.deepEqual(resumed.flower.toJSON(), original.flower.toJSON());
+  });
+
+  it("keeps segment and petal vectors in struct-of-arrays storage", () => {
+    const { flower, env } = createFlower(5);
+    flower.setTargetAge(22);
+    run(flower, env, 25);
+
+    const { pos } = flower.segmentStore;
+    assert.equal(pos.length, flower.segments.length);
+    flower.segments.forEach((seg, i) => assert.deepEqual([seg.pos.x, seg.pos.y], [pos.x[i], pos.y[i]]));
+    // A shed petal keeps its slot
+    const { tipPos } = flower.petalStore;
+    for (const petal of [...flower.petals, ...flower.fallenPetals]) {
+      assert.deepEqual([petal.tipPos.x, petal.tipPos.y], [tipPos.x[petal.slot], tipPos.y[petal.slot]]);
+    }
+
+    const resumed = Flower.fromJSON(snapshot(flower.toJSON()));
+    assert.equal(resumed.segmentStore.pos.length, flower.segments.length);
+    assert.equal(resumed.petalStore.tipPos.length, flower.petals.length + flower.fallenPetals.length);
+  });
+
+  it("blends the pose into one reused render view", () => {
+    const { flower, env } = createFlower(5);
+    flower.setTargetAge(22);
+    run(flower, env, 25);
+
+    const first = flower.getRenderState(0.25);
+    const tip = first.segments[flower.tipIndex].pos;
+    const seg = flower.segments[flower.tipIndex];
+    assert.equal(tip.x, seg.prevPos.x + (seg.pos.x - seg.prevPos.x) * 0.25);
+    assert.ok(first.fallenPetals.every((petal) => petal.basePos instanceof Vector2));
+    assert.ok(first.petals.every((petal) => petal.basePos === null));
+
+    run(flower, env, 0.5);
+    const second = flower.getRenderState(1);
+    assert.equal(second, first);
+    assert.equal(second.segments[flower.tipIndex].pos, tip);
+    assert.deepEqual([tip.x, tip.y], [seg.pos.x, seg.pos.y]);
+    assert.equal(second.petals.length, flower.petals.length);
+    assert.equal(second.fallenPetals.length, flower.fallenPetals.length);
+  });
+
+  it("rejects snapshots of another format", () => {
+    const { flower } = createFlower();
+    assert.throws(() => Flower.fromJSON({ ...flower.toJSON(), version: 99 }), /version/);
+    assert.throws(() => Flower.fromJSON(null), /version/);
+  });
+
+  it("lets a simulation pick up after a reload and catch up with the time away", () => {
+    const DAY = 24 * 3600;
+    const sim = new FlowerSimulation({ seed: 42, ageSeconds: 3 * DAY });
+    sim.step(120);
+    const saved = snapshot(sim.toJSON());
+
+    // Right away: the very same plant, no regrowth from the seed
+    const reloaded = FlowerSimulation.fromJSON(saved);
+    assert.deepEqual(reloaded.getState(), sim.getState());
+
+    // A day later: grown on from the saved plant to its new age
+    const later = FlowerSimulation.fromJSON(saved, { ageSeconds: 4 * DAY, time: sim.time + DAY });
+    assert.ok(Math.abs(later.flower.structuralAge - getStructuralAge(4 * DAY)) < 1e-6);
+    assert.ok(later.flower.segments.length >= sim.flower.segments.length);
+
+    assert.throws(() => FlowerSimulation.fromJSON(saved, { seed: 7 }), /seed/);
+  });
+
+  it("regrows from the seed when a saved snapshot doesn't fit", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const sim = new FlowerSimulation({ seed: 42, structuralAge: 10 });
+    sim.step(60);
+    const saved = snapshot(sim.toJSON());
+    const fresh = new FlowerSimulation({ seed: 7, structuralAge: 10 });
+
+    assert.deepEqual(FlowerSimulation.resume(saved, { seed: 42, structuralAge: 10 }).getState(), sim.getState());
+    assert.deepEqual(FlowerSimulation.resume(null, { seed: 7, structuralAge: 10 }).getState(), fresh.getState());
+    assert.equal(warn.mock.callCount(), 0);
+    assert.deepEqual(FlowerSimulation.resume(saved, { seed: 7, structuralAge: 10 }).getState(), fresh.getState());
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,178 @@
+// garden.test.js
+// Garden mode: layout, the shared wind and the perspective view.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { GardenSimulation, GARDEN_CONFIG, layoutGarden } = require("../static/js/garden_system.js");
+const { FlowerSimulation } = require("../static/js/simulation.js");
+require("../static/js/lighting.js");
+const { getPalette } = require("../static/js/palette.js");
+const { GARDEN_VIEW, buildGardenScene, projectGardenPlant } = require("../static/js/geometry.js");
+
+const DAY = 24 * 3600 * 1000;
+const NOW = Date.UTC(2024, 5, 1, 12);
+
+function makeFlowers(count, ageMs = 4 * DAY) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `f${i}`,
+    seed: 1000 + i,
+    variation: ["red", "purple", "green"][i % 3],
+    plantedAt: NOW - ageMs - i * 60 * 1000,
+  }));
+}
+
+function tipX(plant) {
+  return plant.flower.segments[plant.flower.tipIndex].pos.x - plant.x;
+}
+
+describe("layoutGarden", () => {
+  it("fills rows front to back, spaced and deterministic", () => {
+    const flowers = makeFlowers(40);
+    const layout = layoutGarden(flowers);
+    assert.deepEqual(layout, layoutGarden(flowers));
+
+    const rows = new Set(layout.map((p) => p.depth));
+    assert.equal(rows.size, Math.ceil(40 / GARDEN_CONFIG.ROW_SIZE));
+    assert.equal(layout[0].depth, 0);
+
+    const front = layout.filter((p) => p.depth === 0).map((p) => p.x).sort((a, b) => a - b);
+    for (let i = 1; i < front.length; i++) {
+      assert.ok(front[i] - front[i - 1] > GARDEN_CONFIG.SPACING * (1 - GARDEN_CONFIG.JITTER));
+    }
+    // Centered on the middle of the row
+    assert.ok(Math.abs(front[0] + front[front.length - 1]) < GARDEN_CONFIG.SPACING);
+  });
+
+  it("caps the number of rows and keeps depth within 0..1", () => {
+    const layout = layoutGarden(makeFlowers(300));
+    assert.ok(new Set(layout.map((p) => p.depth)).size <= GARDEN_CONFIG.MAX_ROWS);
+    assert.ok(layout.every((p) => p.depth >= 0 && p.depth <= 1));
+  });
+});
+
+describe("GardenSimulation", () => {
+  it("grows each plant along its care history, as on its own page", () => {
+    const flowers = makeFlowers(2);
+    flowers[0].care = [{ kind: "water", performedAt: new Date(flowers[0].plantedAt + 3 * DAY).toISOString() }];
+    const garden = new GardenSimulation({ flowers, now: NOW });
+    garden.plantPending();
+
+    garden.plants.forEach((plant, i) => {
+      const alone = new FlowerSimulation({
+        seed: plant.seed,
+        ageSeconds: (NOW - plant.plantedAt) / 1000,
+        care: getCareAges(flowers[i].care || [], plant.plantedAt),
+      });
+      assert.equal(plant.flower.health, alone.flower.health);
+    });
+    // Four days without care leave a plant fully neglected, wherever it is drawn
+    assert.equal(garden.plants[1].flower.health, 0);
+    assert.ok(garden.plants[0].flower.health > 0.2);
+  });
+
+  it("grows each plant as its stored species", () => {
+    const flowers = makeFlowers(2).map((f, i) => ({ ...f, species: ["tulip", "daisy"][i] }));
+    const garden = new GardenSimulation({ flowers, now: NOW });
+    garden.plantPending();
+    assert.deepEqual(garden.plants.map((plant) => plant.flower.species.id), ["tulip", "daisy"]);
+    assert.equal(garden.plants[0].flower.mainNodes, SPECIES.tulip.stem.internodes + 1);
+  });
+
+  it("grows every plant from its own seed and planting moment", () => {
+    const flowers = makeFlowers(3);
+    flowers[2].plantedAt = NOW - 2 * 3600 * 1000; // A sprout
+    const garden = new GardenSimulation({ flowers, now: NOW });
+    assert.equal(garden.plantPending(2), 1);
+    assert.equal(garden.plantPending(), 0);
+
+    const [a, b, sprout] = garden.plants;
+    assert.ok(a.flower.petals.length > 0 && b.flower.petals.length > 0);
+    assert.notDeepEqual(
+      a.flower.petals.map((p) => p.currentLength),
+      b.flower.petals.map((p) => p.currentLength),
+    );
+    assert.ok(sprout.flower.structuralAge < a.flower.structuralAge);
+    assert.equal(a.flower.segments[0].pos.x, Math.fround(a.x)); // Stored in single precision
+  });
+
+  it("is deterministic", () => {
+    const run = () => {
+      const garden = new GardenSimulation({ flowers: makeFlowers(5), now: NOW });
+      garden.plantPending();
+      garden.step(240);
+      return garden.plants.map(tipX);
+    };
+    assert.deepEqual(run(), run());
+  });
+
+  it("shares one wind: a gust reaches plants by where they stand", () => {
+    const garden = new GardenSimulation({ flowers: makeFlowers(16), now: NOW });
+    garden.plantPending();
+    const reference = new GardenSimulation({ flowers: makeFlowers(16), now: NOW });
+    reference.plantPending();
+
+    // A strong local gust around the leftmost plant only
+    const left = garden.plants.reduce((a, b) => (a.x < b.x ? a : b));
+    const right = garden.plants.reduce((a, b) => (a.x > b.x ? a : b));
+    garden.wind.addSource({
+      x: left.x, y: -150, radius: 80, dirX: 1, dirY: 0, strength: 400,
+      startTime: garden.time, duration: 2,
+    });
+    garden.step(120);
+    reference.step(120);
+
+    const moved = (plant) => Math.abs(tipX(plant) - tipX(reference.plants[garden.plants.indexOf(plant)]));
+    assert.ok(moved(left) > 10, `leftmost plant moved ${moved(left)}`);
+    assert.ok(moved(right) < 1e-6, `rightmost plant moved ${moved(right)}`);
+  });
+});
+
+describe("buildGardenScene", () => {
+  const garden = new GardenSimulation({ flowers: makeFlowers(120), now: NOW });
+  garden.plantPending();
+  garden.step(10);
+  const plants = garden.plants.map((plant) => ({
+    flower: plant.flower.getRenderState(1),
+    palette: getPalette(plant.variation),
+    x: plant.x,
+    depth: plant.depth,
+  }));
+  const view = { width: 1200, height: 700, cameraX: 0 };
+
+  it("shrinks and raises the back rows, with parallax", () => {
+    const near = projectGardenPlant({ x: 100, depth: 0 }, view);
+    const far = projectGardenPlant({ x: 100, depth: 1 }, view);
+    assert.equal(near.scale, 1);
+    assert.equal(far.scale, GARDEN_VIEW.FAR_SCALE);
+    assert.ok(far.transform[5] < near.transform[5]);
+
+    // Panning the camera slides near plants farther than far ones
+    const panned = { ...view, cameraX: 200 };
+    const shift = (plant) => projectGardenPlant(plant, view).transform[4] - projectGardenPlant(plant, panned).transform[4];
+    assert.ok(shift({ x: 100, depth: 0 }) > shift({ x: 100, depth: 1 }));
+  });
+
+  it("draws back rows first and simplifies distant plants", () => {
+    const scene = buildGardenScene(plants, garden.time, { ...view, background: false });
+    const scales = scene.map((p) => p.transform[0]);
+    for (let i = 1; i < scales.length; i++) assert.ok(scales[i] >= scales[i - 1]);
+
+    // Front plants: gradient stems and ridged petals; the back: flat, single-path blooms
+    const front = scene.filter((p) => p.transform[0] === 1);
+    const back = scene.filter((p) => p.transform[0] < GARDEN_VIEW.LOD_SCALES[1]);
+    assert.ok(front.some((p) => p.fill && p.fill.type === "linear"));
+    assert.ok(back.length > 0 && back.every((p) => typeof p.fill === "string" && !p.stroke));
+    const frontPerPlant = front.length / plants.filter((p) => p.depth === 0).length;
+    const backPerPlant = back.length / plants.filter((p) => projectGardenPlant(p, view).lod === 2).length;
+    assert.ok(backPerPlant <= 2 && frontPerPlant > 2 * backPerPlant);
+  });
+
+  it("culls plants outside the view", () => {
+    const count = (width) => buildGardenScene(plants, garden.time, { ...view, width, debug: true })
+      .find((p) => p.kind === "text").text;
+    assert.equal(count(1200), "Flowers: 120 / 120");
+    assert.match(count(100), /^Flowers: (\d+) \/ 120$/);
+    assert.ok(Number(count(100).split(" ")[1]) < 120);
+  });
+});
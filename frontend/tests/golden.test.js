@@ -0,0 +1,81 @@
+// golden.test.js
+// Physics regression snapshots at fixed seeds and ages.
+//
+// Any change to growth, forces or integration shows up as a diff against
+// golden/flower_states.json. When a change is intentional, regenerate with:
+//   UPDATE_GOLDEN=1 node --test frontend/tests/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { FlowerSimulation } = require("../static/js/simulation.js");
+
+const GOLDEN_PATH = path.join(__dirname, "golden", "flower_states.json");
+const TOLERANCE = 1e-3;
+const DAY = 24 * 60 * 60;
+
+const CASES = [
+  { seed: 1, ageSeconds: 0.5 * DAY },
+  { seed: 1, ageSeconds: 4 * DAY },
+  { seed: 42, ageSeconds: 2 * DAY },
+  { seed: 42, ageSeconds: 6 * DAY },
+  { seed: 777, ageSeconds: 7.5 * DAY },
+  { seed: 777, ageSeconds: 4 * DAY, solver: "verlet" },
+];
+
+const STEPS = 240;
+
+function caseName({ seed, ageSeconds, solver = "semi-implicit-euler" }) {
+  return `seed ${seed} at ${ageSeconds / DAY} days (${solver})`;
+}
+
+// Rounded so the file stays readable and diffs stay small
+function roundDeep(value) {
+  if (typeof value === "number") return Math.round(value * 1e4) / 1e4;
+  if (Array.isArray(value)) return value.map(roundDeep);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, roundDeep(v)]));
+  }
+  return value;
+}
+
+function assertClose(actual, expected, where) {
+  if (typeof expected === "number") {
+    assert.ok(Math.abs(actual - expected) <= TOLERANCE, `${where}: ${actual} != ${expected}`);
+  } else if (Array.isArray(expected)) {
+    assert.equal(actual.length, expected.length, `${where}: length`);
+    expected.forEach((item, i) => assertClose(actual[i], item, `${where}[${i}]`));
+  } else if (expected && typeof expected === "object") {
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${where}: keys`);
+    for (const key of Object.keys(expected)) {
+      assertClose(actual[key], expected[key], `${where}.${key}`);
+    }
+  } else {
+    assert.equal(actual, expected, where);
+  }
+}
+
+function simulate(testCase) {
+  const sim = new FlowerSimulation(testCase);
+  sim.step(STEPS);
+  return roundDeep(sim.getState());
+}
+
+const states = Object.fromEntries(CASES.map((c) => [caseName(c), simulate(c)]));
+
+if (process.env.UPDATE_GOLDEN) {
+  fs.writeFileSync(GOLDEN_PATH, JSON.stringify(states, null, 1) + "\n");
+}
+
+const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, "utf8"));
+
+describe("golden flower states", () => {
+  for (const name of Object.keys(states)) {
+    it(name, () => {
+      assert.ok(golden[name], `no golden state for '${name}', run with UPDATE_GOLDEN=1`);
+      assertClose(states[name], golden[name], name);
+    });
+  }
+});
@@ -0,0 +1,42 @@
+// history.test.js
+// The owner's history page: each past flower drawn at its peak.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { HISTORY_CONFIG, growSnapshot } = require("../static/js/history.js");
+
+const DAY = 24 * 3600 * 1000;
+const PLANTED_AT = "2024-06-01T12:00:00+00:00";
+const daysAfterPlanting = (days) => new Date(Date.parse(PLANTED_AT) + days * DAY).toISOString();
+
+describe("history snapshots", () => {
+  it("shows each flower fully open, before it starts to fade", () => {
+    assert.equal(getLifecycleStage(HISTORY_CONFIG.SNAPSHOT_AGE), "bloom");
+    for (const seed of [3, 42, 1234]) {
+      const state = growSnapshot({ seed, plantedAt: PLANTED_AT, care: [] }).getState();
+      assert.equal(state.stage, "bloom");
+      assert.equal(state.bloomFactor, 1);
+      assert.equal(state.decay, 0);
+      assert.equal(state.fallenPetals.length, 0);
+    }
+  });
+
+  it("grows each flower along its care history, as on its own page", () => {
+    const neglected = growSnapshot({ seed: 42, plantedAt: PLANTED_AT, care: [] });
+    const tended = growSnapshot({
+      seed: 42,
+      plantedAt: PLANTED_AT,
+      care: [1, 2, 3, 4].map((days) => ({ kind: "water", performedAt: daysAfterPlanting(days) })),
+    });
+    assert.equal(neglected.flower.health, 0);
+    assert.ok(tended.flower.health > 0.8);
+    assert.ok(neglected.flower.petals.length < tended.flower.petals.length);
+  });
+
+  it("grows each flower as its stored species", () => {
+    const poppy = growSnapshot({ seed: 42, species: "poppy", plantedAt: PLANTED_AT, care: [] });
+    assert.equal(poppy.flower.species.id, "poppy");
+    assert.equal(growSnapshot({ seed: 42, plantedAt: PLANTED_AT, care: [] }).flower.species.id, DEFAULT_SPECIES);
+  });
+});
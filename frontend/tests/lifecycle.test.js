@@ -0,0 +1,228 @@
+// lifecycle.test.js
+// Stage boundaries, replant gating and the messages built for the page.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  LIFECYCLE,
+  SOIL_MERGE_TIME,
+  STRUCTURAL_AGE,
+  getLifecycleStage,
+  getStructuralAge,
+  canPlantAgain,
+  getSecondsUntilChange,
+  formatDuration,
+  getFlowerState,
+  LifecycleClock,
+  STAGE_MESSAGES,
+  monotonicNow,
+} = require("../static/js/lifecycle.js");
+const { parseFlowerResponse } = require("../static/js/flower_api.js");
+
+const DAY = 24 * 60 * 60;
+
+// A plantedAt that makes the flower `age` seconds old right now.
+// The extra half second keeps the floor() in getFlowerAgeSeconds stable.
+function plantedSecondsAgo(age) {
+  return new Date(Date.now() - (age + 0.5) * 1000).toISOString();
+}
+
+describe("getLifecycleStage", () => {
+  const boundaries = [
+    ["seed", LIFECYCLE.SEED, LIFECYCLE.SPROUT],
+    ["sprout", LIFECYCLE.SPROUT, LIFECYCLE.GROWING],
+    ["growing", LIFECYCLE.GROWING, LIFECYCLE.BLOOM],
+    ["bloom", LIFECYCLE.BLOOM, LIFECYCLE.OLD],
+    ["old", LIFECYCLE.OLD, LIFECYCLE.FALLEN],
+  ];
+
+  for (const [stage, start, end] of boundaries) {
+    it(`is '${stage}' from ${start}s up to ${end}s`, () => {
+      assert.equal(getLifecycleStage(start), stage);
+      assert.equal(getLifecycleStage(end - 1), stage);
+      assert.notEqual(getLifecycleStage(end), stage);
+    });
+  }
+
+  it("is 'fallen' from FALLEN onwards", () => {
+    assert.equal(getLifecycleStage(LIFECYCLE.FALLEN), "fallen");
+    assert.equal(getLifecycleStage(LIFECYCLE.FALLEN * 10), "fallen");
+  });
+
+  it("treats negative ages (clock skew) as a seed", () => {
+    assert.equal(getLifecycleStage(-60), "seed");
+  });
+});
+
+describe("canPlantAgain", () => {
+  const gate = LIFECYCLE.FALLEN + SOIL_MERGE_TIME;
+
+  it("is false until the soil merge finishes", () => {
+    assert.equal(canPlantAgain(LIFECYCLE.FALLEN), false);
+    assert.equal(canPlantAgain(gate - 1), false);
+  });
+
+  it("is true from FALLEN + SOIL_MERGE_TIME", () => {
+    assert.equal(canPlantAgain(gate), true);
+    assert.equal(canPlantAgain(gate + 1), true);
+  });
+});
+
+describe("getStructuralAge", () => {
+  it("hits each keyframe at its stage boundary", () => {
+    assert.equal(getStructuralAge(LIFECYCLE.SEED), STRUCTURAL_AGE.SEED);
+    assert.equal(getStructuralAge(LIFECYCLE.BLOOM), STRUCTURAL_AGE.BLOOM);
+    assert.equal(getStructuralAge(LIFECYCLE.FALLEN), STRUCTURAL_AGE.FALLEN);
+    assert.equal(getStructuralAge(LIFECYCLE.FALLEN + SOIL_MERGE_TIME), STRUCTURAL_AGE.MERGED);
+  });
+
+  it("is monotonic and clamped", () => {
+    let previous = -Infinity;
+    for (let age = -3600; age < LIFECYCLE.FALLEN * 2; age += 3600) {
+      const value = getStructuralAge(age);
+      assert.ok(value >= previous);
+      previous = value;
+    }
+    assert.equal(getStructuralAge(LIFECYCLE.FALLEN * 10), STRUCTURAL_AGE.MERGED);
+  });
+});
+
+describe("getFlowerState", () => {
+  it("reports age and stage", () => {
+    const state = getFlowerState(plantedSecondsAgo(LIFECYCLE.BLOOM + 60));
+    assert.equal(state.age, LIFECYCLE.BLOOM + 60);
+    assert.equal(state.stage, "bloom");
+  });
+
+  it("counts down whole hours while fallen", () => {
+    const remaining = 5 * 3600 - 30;
+    const state = getFlowerState(plantedSecondsAgo(LIFECYCLE.FALLEN + SOIL_MERGE_TIME - remaining));
+    assert.equal(state.stage, "fallen");
+    assert.equal(state.message, "you can plant again in 5 hours");
+  });
+
+  it("invites replanting once the soil has merged", () => {
+    const state = getFlowerState(plantedSecondsAgo(LIFECYCLE.FALLEN + SOIL_MERGE_TIME));
+    assert.equal(state.message, "you can plant again 🌱");
+  });
+});
+
+describe("getSecondsUntilChange", () => {
+  it("follows the countdown: minutes within the last day, hours before", () => {
+    assert.equal(getSecondsUntilChange(0), 60);
+    assert.equal(getSecondsUntilChange(LIFECYCLE.BLOOM - 10), 10);
+    assert.equal(getSecondsUntilChange(LIFECYCLE.BLOOM), 3600);
+    assert.equal(getSecondsUntilChange(LIFECYCLE.BLOOM + 100), 3500);
+  });
+
+  it("stops once replanting is allowed", () => {
+    assert.equal(getSecondsUntilChange(LIFECYCLE.FALLEN + SOIL_MERGE_TIME), null);
+  });
+});
+
+describe("formatDuration", () => {
+  it("shows the two most significant units", () => {
+    assert.equal(formatDuration(DAY + 4 * 3600, "en"), "1 day 4 hours");
+    assert.equal(formatDuration(2 * 3600 + 5 * 60, "en"), "2 hours 5 minutes");
+  });
+
+  it("rounds up and drops empty units", () => {
+    assert.equal(formatDuration(DAY + 4 * 3600 - 30, "en"), "1 day 4 hours");
+    assert.equal(formatDuration(5 * 3600 - 30, "en"), "5 hours");
+    assert.equal(formatDuration(1, "en"), "1 minute");
+  });
+
+  it("is localized", () => {
+    assert.match(formatDuration(2 * DAY, "fr"), /^2\s+jours$/u);
+  });
+});
+
+describe("getFlowerState countdown", () => {
+  it("reports progress and time to the next stage", () => {
+    const state = getFlowerState(plantedSecondsAgo(LIFECYCLE.GROWING + DAY), undefined, { locale: "en" });
+    assert.equal(state.stage, "growing");
+    assert.equal(state.nextStage, "bloom");
+    assert.equal(state.nextStageIn, DAY);
+    assert.equal(state.progress, 0.5);
+    assert.equal(state.message, "blooms in 1 day");
+  });
+
+  it("fills a message for every stage", () => {
+    for (const age of [0, LIFECYCLE.SPROUT, LIFECYCLE.GROWING, LIFECYCLE.BLOOM, LIFECYCLE.OLD, LIFECYCLE.FALLEN]) {
+      assert.notEqual(getFlowerState(plantedSecondsAgo(age)).message, "");
+    }
+  });
+
+  it("accepts per-stage wording overrides", () => {
+    const state = getFlowerState(plantedSecondsAgo(LIFECYCLE.OLD), undefined, {
+      locale: "en",
+      messages: { old: "petals drop in {time}" },
+    });
+    assert.equal(state.message, "petals drop in 2 days");
+  });
+
+  it("words every stage in each language, countdown included", () => {
+    const stages = Object.keys(STAGE_MESSAGES.en);
+    for (const [language, messages] of Object.entries(STAGE_MESSAGES)) {
+      assert.deepEqual(Object.keys(messages), stages, language);
+    }
+    const bloomsIn = (locale) => getFlowerState(plantedSecondsAgo(LIFECYCLE.GROWING + DAY - 3 * 3600), undefined, { locale }).message;
+    assert.equal(bloomsIn("de-AT"), "blüht in 1 Tag, 3 Stunden");
+    assert.match(bloomsIn("fr-FR"), /^fleurit dans 1\s+jour,? 3\s+heures$/u);
+    assert.match(bloomsIn("es"), /^florece en 1 día,? 3 horas$/u);
+    // No wording of its own: English throughout, not "blooms in 1日 3時間"
+    assert.equal(bloomsIn("ja-JP"), "blooms in 1 day 3 hours");
+  });
+
+  it("words the page's countdown from the API's data in the visitor's language", () => {
+    // As flower.js does: API payload -> server-anchored clock -> state for navigator.language
+    const serverNow = Date.now();
+    const flower = parseFlowerResponse({
+      id: "f",
+      seed: 1,
+      variation: "red",
+      planted_at: new Date(serverNow - (LIFECYCLE.BLOOM + 3600) * 1000).toISOString(),
+      server_time: serverNow,
+      stage: "bloom",
+      is_owner: false,
+      successor_id: null,
+      care: [],
+    }, monotonicNow());
+    const clock = new LifecycleClock(flower.serverNow, flower.receivedAt);
+    const state = getFlowerState(flower.plantedAt, clock, { locale: "de-DE" });
+    assert.equal(state.stage, "bloom");
+    assert.equal(state.message, "beginnt in 1 Tag, 23 Stunden zu verblühen");
+  });
+});
+
+describe("LifecycleClock", () => {
+  it("measures age against server time, not the system clock", () => {
+    const serverNow = Date.now() - 3 * 24 * 3600 * 1000; // system clock is 3 days fast
+    const clock = new LifecycleClock(serverNow);
+    const plantedAt = new Date(serverNow - LIFECYCLE.BLOOM * 1000 - 500).toISOString();
+
+    assert.equal(getFlowerState(plantedAt, clock).stage, "bloom");
+    assert.equal(getFlowerState(plantedAt).stage, "old");
+    assert.ok(Math.abs(clock.offset + 3 * 24 * 3600 * 1000) < 1000);
+  });
+
+  it("keeps the anchor on invalid server times", () => {
+    const clock = new LifecycleClock(1000);
+    const original = console.error;
+    console.error = () => {};
+    clock.sync("not a date");
+    console.error = original;
+    assert.equal(clock.anchorServer, 1000);
+  });
+
+  it("estimates drift once samples span long enough", () => {
+    const clock = new LifecycleClock(0);
+    clock.samples = [];
+    // Server runs 0.05% faster than this device
+    for (let local = 0; local <= 30 * 60 * 1000; local += 5 * 60 * 1000) {
+      clock.sync(local * 1.0005, local);
+    }
+    assert.ok(Math.abs(clock.rate - 1.0005) < 1e-9);
+  });
+});
@@ -0,0 +1,98 @@
+// lighting.test.js
+// Time-of-day lighting: phases, sun path, shadows and petal closing at night.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../static/js/simulation.js");
+const { computeLighting, getLocalHour, createLightingSource } = require("../static/js/lighting.js");
+
+describe("computeLighting", () => {
+  it("names the phases of the day", () => {
+    assert.equal(computeLighting(0).phase, "night");
+    assert.equal(computeLighting(6).phase, "dawn");
+    assert.equal(computeLighting(12).phase, "day");
+    assert.equal(computeLighting(18).phase, "dusk");
+    assert.equal(computeLighting(23).phase, "night");
+  });
+
+  it("is dark at night and light by day", () => {
+    assert.equal(computeLighting(12).darkness, 0);
+    assert.equal(computeLighting(0).darkness, 1);
+    const dawn = computeLighting(6).darkness;
+    assert.ok(dawn > 0 && dawn < 1);
+  });
+
+  it("moves the sun from east to west", () => {
+    assert.ok(computeLighting(7).sun.x < 0);
+    assert.ok(Math.abs(computeLighting(12).sun.x) < 1e-9);
+    assert.ok(computeLighting(17).sun.x > 0);
+    assert.ok(computeLighting(12).sun.elevation > computeLighting(9).sun.elevation);
+    assert.ok(computeLighting(0).moon.elevation > 0);
+  });
+
+  it("casts shadows away from the sun, longest when it is low", () => {
+    const morning = computeLighting(8).shadow;
+    const noon = computeLighting(12).shadow;
+    const evening = computeLighting(17).shadow;
+    assert.ok(morning.dirX > 0 && evening.dirX < 0);
+    assert.ok(morning.length > noon.length && evening.length > noon.length);
+    assert.equal(computeLighting(0).shadow.strength, 0);
+  });
+
+  it("changes the sky gradually", () => {
+    for (let hour = 0; hour < 24; hour += 0.05) {
+      const a = computeLighting(hour).sky;
+      const b = computeLighting(hour + 0.05).sky;
+      for (const stop of ["top", "horizon"]) {
+        const hueDelta = Math.abs(((b[stop][0] - a[stop][0] + 540) % 360) - 180);
+        assert.ok(hueDelta < 10, `hue jumps at ${hour.toFixed(2)}h`);
+        assert.ok(Math.abs(b[stop][2] - a[stop][2]) < 5, `lightness jumps at ${hour.toFixed(2)}h`);
+      }
+    }
+  });
+});
+
+describe("getLocalHour", () => {
+  it("reads the local clock as fractional hours", () => {
+    assert.equal(getLocalHour(new Date(2026, 0, 1, 18, 30, 0)), 18.5);
+  });
+});
+
+describe("Night closing", () => {
+  it("folds open petals part way back in the dark", () => {
+    const openness = (darkness) => {
+      const flower = new Flower(0, 0, 42);
+      const env = { gravity: new Vector2(0, 200), wind: new WindField(42), time: 0, darkness };
+      for (let i = 0; i < 25 * 120; i++) {
+        env.time += 1 / 120;
+        flower.update(1 / 120, env);
+      }
+      return flower.petals.reduce((sum, petal) => sum + petal.openness, 0) / flower.petals.length;
+    };
+
+    const day = openness(0);
+    const night = openness(1);
+    assert.ok(night < day * 0.7, `night ${night} vs day ${day}`);
+    assert.ok(night > day * 0.4);
+  });
+});
+
+describe("createLightingSource", () => {
+  it("recomputes once a minute, or never for a fixed hour", () => {
+    let now = new Date(2024, 5, 1, 21, 30, 5).getTime();
+    const getLighting = createLightingSource(() => now);
+    const first = getLighting();
+    assert.deepEqual(first, computeLighting(getLocalHour(new Date(now))));
+
+    now += 30 * 1000;
+    assert.equal(getLighting(), first);
+    now += 60 * 1000;
+    assert.notEqual(getLighting(), first);
+    assert.equal(getLighting().hour, getLocalHour(new Date(now)));
+
+    const fixed = createLightingSource(() => now, 12);
+    assert.equal(fixed().phase, "day");
+    assert.equal(fixed(), fixed());
+  });
+});
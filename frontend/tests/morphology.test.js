@@ -0,0 +1,88 @@
+// morphology.test.js
+// Growth grammar: blueprints, branching growth and what gets drawn of it.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MORPHOLOGY_CONFIG, createBlueprint } = require("../static/js/morphology.js");
+const { FlowerSimulation } = require("../static/js/simulation.js");
+require("../static/js/lighting.js");
+const { getPalette } = require("../static/js/palette.js");
+const { buildFlowerScene, computeStemChains, hitTestFlower } = require("../static/js/geometry.js");
+
+const SEEDS = Array.from({ length: 50 }, (_, i) => i);
+
+function branchedSeed() {
+  return SEEDS.find((seed) => createBlueprint(seed).heads.length > 1);
+}
+
+describe("createBlueprint", () => {
+  it("is decided by the seed alone", () => {
+    assert.deepEqual(createBlueprint(42), createBlueprint(42));
+    assert.notDeepEqual(createBlueprint(1), createBlueprint(2));
+  });
+
+  it("grows parents before their children, the main stem to full length", () => {
+    for (const seed of SEEDS) {
+      const { nodes, heads } = createBlueprint(seed);
+      nodes.forEach((node, i) => {
+        assert.ok(node.parentIndex <= i, `seed ${seed}: node ${i + 1} before its parent`);
+        if (i > 0) assert.ok(node.step >= nodes[i - 1].step);
+      });
+      assert.equal(nodes.filter((node) => node.axis === 0).length, MORPHOLOGY_CONFIG.MAIN_INTERNODES);
+      assert.equal(heads[0].petals, MORPHOLOGY_CONFIG.HEAD_PETALS);
+      assert.ok(heads.length <= 1 + MORPHOLOGY_CONFIG.MAX_BRANCHES);
+    }
+  });
+
+  it("gives some plants side branches, each ending in a smaller head", () => {
+    const blueprints = SEEDS.map((seed) => createBlueprint(seed));
+    assert.ok(blueprints.some((b) => b.heads.length === 1));
+    const branched = blueprints.filter((b) => b.heads.length > 1);
+    assert.ok(branched.length > 0);
+
+    for (const { nodes, heads } of branched) {
+      for (const head of heads.slice(1)) {
+        assert.ok(nodes[head.anchorIndex - 1].axis > 0);
+        assert.ok(head.scale < 1);
+      }
+      // A branch turns away from the stem at its base only
+      const bases = nodes.filter((node) => node.angle !== 0);
+      assert.equal(bases.length, heads.length - 1);
+      assert.ok(bases.every((node) => nodes[node.parentIndex - 1].axis === 0));
+    }
+  });
+});
+
+describe("branching growth", () => {
+  const seed = branchedSeed();
+  const sim = new FlowerSimulation({ seed, ageSeconds: 4 * 24 * 3600 });
+  sim.step(60);
+  const flower = sim.flower.getRenderState(1);
+
+  it("opens a head on every branch and grows leaves", () => {
+    assert.equal(sim.flower.heads.filter((head) => head.spawned).length, sim.flower.heads.length);
+    const anchors = new Set(flower.petals.map((petal) => petal.anchorIndex));
+    assert.equal(anchors.size, sim.flower.heads.length);
+    assert.ok(flower.leaves.length > 0 && flower.leaves.every((leaf) => leaf.length > 1));
+  });
+
+  it("draws one stem ribbon per axis, with leaves behind them", () => {
+    const chains = computeStemChains(flower.segments);
+    assert.equal(chains.length, sim.flower.heads.length);
+    assert.equal(chains[0][0], 0);
+
+    const scene = buildFlowerScene(flower, sim.time, { width: 300, height: 400, palette: getPalette("red"), background: false, debug: false });
+    const stems = scene.filter((p) => p.stroke === "rgba(0,50,0,0.1)");
+    const midribs = scene.filter((p) => p.stroke === "rgba(0,50,0,0.15)");
+    assert.equal(stems.length, chains.length);
+    assert.equal(midribs.length, flower.leaves.length);
+    assert.ok(scene.indexOf(midribs[midribs.length - 1]) < scene.indexOf(stems[0]));
+  });
+
+  it("lets the pointer grab a branch", () => {
+    const tip = flower.segments.length - 1 - [...flower.segments].reverse().findIndex((seg) => seg.axis > 0);
+    const hit = hitTestFlower({ ...flower, petals: [] }, flower.segments[tip].pos, 4);
+    assert.deepEqual(hit, { type: "segment", index: tip });
+  });
+});
@@ -0,0 +1,200 @@
+// render.test.js
+// Scene geometry and the render backends that paint it.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FlowerSimulation } = require("../static/js/simulation.js");
+const { computeLighting } = require("../static/js/lighting.js");
+const { getPalette } = require("../static/js/palette.js");
+const { PathBuilder, INSPECTOR_VIEW, buildFlowerScene } = require("../static/js/geometry.js");
+const { sampleWindGrid } = require("../static/js/inspector.js");
+const { Canvas2DBackend } = require("../static/js/render_canvas.js");
+require("../static/js/render_svg.js");
+const { parseCssColor, flattenPath, fillTriangles, strokeTriangles } = require("../static/js/render_webgl.js");
+const { FlowerRenderer } = require("../static/js/renderer.js");
+
+function bloomingFlower() {
+  const sim = new FlowerSimulation({ seed: 42, ageSeconds: 4 * 24 * 3600 });
+  sim.step(60);
+  return { sim, flower: sim.flower.getRenderState(1) };
+}
+
+// Records the 2D context calls a backend makes
+function mockCanvas(contexts = { "2d": true }) {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get(target, name) {
+      if (name in target) return target[name];
+      if (name === "createLinearGradient" || name === "createRadialGradient") {
+        return () => ({ addColorStop() {} });
+      }
+      return (...args) => calls.push([name, ...args]);
+    },
+    set(target, name, value) {
+      calls.push([name, value]);
+      return true;
+    },
+  });
+  return {
+    calls,
+    width: 0,
+    height: 0,
+    getContext: (type) => (contexts[type] ? ctx : null),
+  };
+}
+
+// Signed area of the fan triangles (the nonzero fill, for simple polygons)
+function fanArea(vertices) {
+  let area = 0;
+  for (let i = 0; i < vertices.length; i += 6) {
+    const [ax, ay, bx, by, cx, cy] = vertices.slice(i, i + 6);
+    area += ((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
+  }
+  return area;
+}
+
+describe("buildFlowerScene", () => {
+  const { sim, flower } = bloomingFlower();
+  const view = { width: 300, height: 400, palette: getPalette("red") };
+
+  it("paints sky, flower and debug text in order", () => {
+    const scene = buildFlowerScene(flower, sim.time, { ...view, debug: true });
+    const first = scene[0];
+    assert.equal(first.kind, "path");
+    assert.equal(first.fill.type, "linear");
+    assert.equal(scene[scene.length - 1].kind, "text");
+
+    // Stem and petals are drawn in flower space, above the ground line
+    const origin = [1, 0, 0, 1, 150, 400 - 50];
+    const flowerParts = scene.filter((p) => p.opacity !== undefined);
+    assert.ok(flowerParts.length >= 1 + 2 * flower.petals.length);
+    for (const part of flowerParts) assert.deepEqual(part.transform, origin);
+  });
+
+  it("leaves out the background and overlay on request", () => {
+    const scene = buildFlowerScene(flower, sim.time, { ...view, background: false, debug: false });
+    assert.ok(scene.every((p) => p.kind === "path" && !p.clip));
+    assert.ok(scene.length < buildFlowerScene(flower, sim.time, view).length);
+  });
+
+  it("adds stars at night and rain in wet weather", () => {
+    const night = buildFlowerScene(flower, sim.time, { ...view, lighting: computeLighting(0) });
+    const noon = buildFlowerScene(flower, sim.time, { ...view, lighting: computeLighting(12) });
+    assert.ok(night.filter((p) => p.clip).length > noon.filter((p) => p.clip).length);
+
+    const wet = buildFlowerScene(flower, sim.time, { ...view, weather: { rain: 1, baseSpeed: 10 } });
+    assert.ok(wet.some((p) => typeof p.stroke === "string" && p.stroke.startsWith("rgba(110, 130, 160")));
+  });
+
+  it("draws the inspector overlay: forces, wind grid and node loads", () => {
+    // A plant of its own: recording forces and stepping would move the shared one
+    const { sim } = bloomingFlower();
+    sim.flower.recordForces = true;
+    sim.step();
+    const inspected = sim.flower.getRenderState(1);
+    const inspector = { windGrid: sampleWindGrid(sim.wind, sim.time, view) };
+    // Every 40px over the 300 x 350 px above the ground, in flower space
+    assert.equal(inspector.windGrid.length, 7 * 9);
+    assert.ok(inspector.windGrid.every(({ x, y }) => Math.abs(x) < 150 && y < 0 && y > -350));
+
+    const scene = buildFlowerScene(inspected, sim.time, { ...view, inspector });
+    for (const color of Object.values(INSPECTOR_VIEW.COLORS).filter((c) => c !== INSPECTOR_VIEW.COLORS.label)) {
+      const arrows = scene.filter((p) => p.stroke === color);
+      assert.equal(arrows.length, 1, color);
+      assert.ok(arrows[0].path.length > 0);
+      assert.deepEqual(arrows[0].transform, [1, 0, 0, 1, 150, 350]);
+    }
+    const labels = scene.filter((p) => p.kind === "text" && p.fill === INSPECTOR_VIEW.COLORS.label);
+    assert.equal(labels.length, inspected.segments.length);
+    assert.match(labels[0].text, /^0: m \d+\.\d r \d+\.\d$/);
+
+    const plain = buildFlowerScene(inspected, sim.time, view);
+    assert.ok(plain.every((p) => p.kind === "path" && !Object.values(INSPECTOR_VIEW.COLORS).includes(p.stroke)));
+  });
+});
+
+describe("Canvas2DBackend", () => {
+  it("replays primitives with their transform, clip and paint", () => {
+    const canvas = mockCanvas();
+    const backend = new Canvas2DBackend(canvas);
+    backend.resize(100, 50, 2);
+    assert.equal(canvas.width, 200);
+
+    backend.draw([{
+      kind: "path",
+      path: new PathBuilder().moveTo(0, 0).quadraticCurveTo(5, -5, 10, 0).closePath().commands,
+      fill: "red",
+      transform: [1, 0, 0, 1, 10, 20],
+      opacity: 0.5,
+      clip: { x: 0, y: 0, width: 10, height: 10 },
+    }]);
+
+    const names = canvas.calls.map((call) => call[0]);
+    assert.deepEqual(canvas.calls[0], ["setTransform", 2, 0, 0, 2, 0, 0]);
+    assert.ok(names.indexOf("clip") < names.indexOf("transform"));
+    assert.deepEqual(canvas.calls.find((call) => call[0] === "quadraticCurveTo"), ["quadraticCurveTo", 5, -5, 10, 0]);
+    assert.deepEqual(canvas.calls.find((call) => call[0] === "globalAlpha"), ["globalAlpha", 0.5]);
+    assert.ok(names.includes("fill") && !names.includes("stroke"));
+    assert.equal(names.filter((n) => n === "save").length, names.filter((n) => n === "restore").length);
+  });
+});
+
+describe("FlowerRenderer", () => {
+  const size = { width: 300, height: 400 };
+
+  it("draws through the chosen backend", () => {
+    const canvas = mockCanvas();
+    const renderer = new FlowerRenderer(canvas, { variation: "red", backend: "canvas2d", size });
+    assert.equal(renderer.element, canvas);
+
+    const { sim, flower } = bloomingFlower();
+    renderer.render(flower, sim.time);
+    assert.ok(canvas.calls.some((call) => call[0] === "bezierCurveTo"));
+  });
+
+  it("falls back to Canvas 2D without WebGL", (t) => {
+    t.mock.method(console, "error", () => {});
+    const renderer = new FlowerRenderer(mockCanvas({ "2d": true }), { variation: "red", backend: "webgl", size });
+    assert.equal(renderer.backendName, "canvas2d");
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
+
+describe("WebGL tessellation", () => {
+  it("parses the scene's CSS colors", () => {
+    assert.deepEqual(parseCssColor("#fff"), [1, 1, 1, 1]);
+    assert.deepEqual(parseCssColor("rgba(0, 51, 0, 0.1)"), [0, 0.2, 0, 0.1]);
+    const [r, g, b, a] = parseCssColor("hsla(120, 100%, 50%, 0.5)");
+    assert.ok(Math.abs(r) < 1e-9 && Math.abs(g - 1) < 1e-9 && Math.abs(b) < 1e-9);
+    assert.equal(a, 0.5);
+    assert.deepEqual(parseCssColor("hsl(0, 0%, 0%)"), [0, 0, 0, 1]);
+  });
+
+  it("fills a rectangle and a circle with their exact areas", () => {
+    const rect = [];
+    fillTriangles(flattenPath(new PathBuilder().rect(0, 0, 10, 5).commands), rect);
+    assert.equal(Math.abs(fanArea(rect)), 50);
+
+    const circle = [];
+    fillTriangles(flattenPath(new PathBuilder().arc(0, 0, 10, 0, Math.PI * 2).commands), circle);
+    assert.ok(Math.abs(Math.abs(fanArea(circle)) - Math.PI * 100) < 1);
+  });
+
+  it("flattens curves onto their end points and starts new subpaths after a close", () => {
+    const subpaths = flattenPath(new PathBuilder()
+      .moveTo(0, 0).bezierCurveTo(0, 10, 10, 10, 10, 0).closePath()
+      .lineTo(5, -5).commands);
+    assert.equal(subpaths.length, 2);
+    assert.deepEqual(subpaths[0].points.slice(-2), [10, 0]);
+    assert.ok(subpaths[0].closed);
+    assert.deepEqual(subpaths[1].points, [0, 0, 5, -5]);
+  });
+
+  it("strokes each segment as a quad of the line width", () => {
+    const quads = [];
+    strokeTriangles(flattenPath(new PathBuilder().moveTo(0, 0).lineTo(10, 0).commands), 2, quads);
+    assert.equal(quads.length, 12);
+    assert.equal(Math.abs(fanArea(quads.slice(0, 6))) + Math.abs(fanArea(quads.slice(6))), 20);
+  });
+});
@@ -0,0 +1,138 @@
+// species.test.js
+// Species definitions: validation, the built-in plants and what they grow into.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { DEFAULT_SPECIES, SPECIES, SpeciesError, validateSpecies, createSpecies, resolveSpecies } = require("../static/js/species.js");
+const { MORPHOLOGY_CONFIG, getMorphologyConfig } = require("../static/js/morphology.js");
+const { FlowerSimulation } = require("../static/js/simulation.js");
+const { generatePetalBezier } = require("../static/js/geometry.js");
+
+function grow(species, seed = 42, structuralAge = 14) {
+  const sim = new FlowerSimulation({ seed, species, structuralAge });
+  sim.step(120);
+  return sim;
+}
+
+const SPECIES_DIR = path.join(__dirname, "..", "static", "species");
+
+describe("species definitions", () => {
+  it("loads each built-in species from its JSON file, named by id", () => {
+    const files = fs.readdirSync(SPECIES_DIR).filter((file) => file.endsWith(".json"));
+    assert.deepEqual(Object.keys(SPECIES).sort(), files.map((file) => path.basename(file, ".json")).sort());
+    for (const file of files) {
+      const definition = JSON.parse(fs.readFileSync(path.join(SPECIES_DIR, file), "utf8"));
+      assert.equal(`${definition.id}.json`, file);
+      assert.deepEqual(SPECIES[definition.id], definition);
+    }
+    assert.ok(DEFAULT_SPECIES in SPECIES);
+  });
+
+  it("ships complete, valid JSON for every built-in species", () => {
+    assert.ok(Object.keys(SPECIES).length >= 4);
+    for (const [id, definition] of Object.entries(SPECIES)) {
+      const species = resolveSpecies(id);
+      assert.equal(species.id, id);
+      assert.deepEqual(validateSpecies(species), []);
+      assert.deepEqual(JSON.parse(JSON.stringify(species)), species);
+      // Built-ins only list how they differ from the default
+      assert.deepEqual(createSpecies(JSON.parse(JSON.stringify(definition))), species);
+    }
+    assert.deepEqual(getMorphologyConfig(resolveSpecies()), MORPHOLOGY_CONFIG);
+    assert.equal(resolveSpecies().id, DEFAULT_SPECIES);
+  });
+
+  it("reports every problem of a definition at once", () => {
+    const definition = {
+      id: "weed",
+      growth: { bloomNodes: 30 },
+      stem: { segmentLength: -4, internodes: 2.5 },
+      leaves: { length: [30, 10] },
+      petals: { colour: "red" },
+    };
+    let error = null;
+    try {
+      createSpecies(definition);
+    } catch (err) {
+      error = err;
+    }
+    assert.ok(error instanceof SpeciesError);
+    assert.deepEqual(error.errors.sort(), [
+      "leaves.length: must be [low, high] between 1 and 120",
+      "petals.colour: unknown field",
+      "stem.internodes: must be an integer between 1 and 40",
+      "stem.segmentLength: must be a number between 5 and 100",
+    ]);
+    assert.match(error.message, /^Invalid species "weed": /);
+  });
+
+  it("checks that the plant can grow and bloom", () => {
+    assert.throws(() => createSpecies({ id: "late", growth: { bloomNodes: 20 } }), /growth.bloomNodes: the main stem only grows 12 nodes/);
+    assert.throws(() => createSpecies({ id: "wide", stem: { internodes: 5 } }), /branches.zone: beyond the 5 main internodes/);
+    assert.throws(() => createSpecies({ name: "Nameless" }), /id: missing/);
+    assert.throws(() => resolveSpecies("rose"), /Unknown species "rose"/);
+    assert.throws(() => new Flower(0, 0, 1, { species: { id: "soft", stem: { maxFlexibility: 1 } } }), SpeciesError);
+  });
+});
+
+describe("species growth", () => {
+  const plants = Object.fromEntries(Object.keys(SPECIES).map((id) => [id, grow(id)]));
+  const height = (sim) => -Math.min(...sim.flower.segments.map((seg) => seg.pos.y));
+
+  it("grows the default species exactly as before", () => {
+    const implicit = new FlowerSimulation({ seed: 42, structuralAge: 14 });
+    implicit.step(120);
+    assert.deepEqual(implicit.getState(), plants[DEFAULT_SPECIES].getState());
+  });
+
+  it("grows each species to its own build, in bloom by full height", () => {
+    for (const [id, sim] of Object.entries(plants)) {
+      const { flower } = sim;
+      const species = flower.species;
+      assert.equal(flower.mainNodes, species.stem.internodes + 1, id);
+      assert.ok(flower.bloomFactor > 0, `${id} has not started to bloom`);
+      const main = flower.petals.filter((petal) => petal.anchorIndex === flower.heads[0].anchorIndex);
+      assert.equal(main.length, species.petals.count, id);
+      assert.ok(main.every((petal) => petal.mass === species.petals.mass));
+      assert.ok(main.every((petal) => petal.targetLength >= species.petals.length[0] && petal.targetLength <= species.petals.length[1]));
+      for (const seg of flower.segments) {
+        assert.ok(Number.isFinite(seg.pos.x) && Number.isFinite(seg.pos.y), `${id} went unstable`);
+      }
+    }
+    assert.equal(plants.tulip.flower.heads.length, 1);
+    assert.ok(height(plants.poppy) > height(plants.tulip));
+  });
+
+  it("keeps each species stable through senescence with both solvers", () => {
+    for (const id of Object.keys(SPECIES)) {
+      for (const solver of ["semi-implicit-euler", "verlet"]) {
+        const sim = new FlowerSimulation({ seed: 3, species: id, solver, structuralAge: 32 });
+        sim.step(240);
+        const points = sim.flower.segments.map((seg) => seg.pos).concat(sim.flower.fallenPetals.map((petal) => petal.tipPos));
+        assert.ok(points.every((p) => Number.isFinite(p.x) && Number.isFinite(p.y)), `${id} (${solver})`);
+      }
+    }
+  });
+
+  it("draws petals in the species' shape", () => {
+    const petal = { tipPos: new Vector2(0, -40), openness: 1 };
+    const width = (id) => {
+      const { cpLeft, cpRight } = generatePetalBezier(petal, new Vector2(0, 0), resolveSpecies(id).petals.shape);
+      return cpLeft.x - cpRight.x;
+    };
+    assert.ok(Math.abs(width(DEFAULT_SPECIES) - 2 * 40 * 0.4) < 1e-9);
+    assert.ok(width("daisy") < width(DEFAULT_SPECIES) && width("poppy") > width(DEFAULT_SPECIES));
+  });
+
+  it("keeps its species in a snapshot", () => {
+    const tulip = plants.tulip;
+    const resumed = FlowerSimulation.fromJSON(JSON.parse(JSON.stringify(tulip.toJSON())));
+    assert.equal(resumed.flower.species.id, "tulip");
+    assert.deepEqual(resumed.getState(), tulip.getState());
+    assert.throws(() => FlowerSimulation.fromJSON(tulip.toJSON(), { species: "daisy" }), /does not match species daisy/);
+  });
+});
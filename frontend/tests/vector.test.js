@@ -0,0 +1,98 @@
+// vector.test.js
+// Vector2 arithmetic: in-place semantics, chaining and edge cases; Vector2Array storage; clamp01, smoothstep.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { Vector2, Vector2Array, clamp01, smoothstep } = require("../static/js/vector.js");
+
+describe("Vector2", () => {
+  it("defaults missing components to zero", () => {
+    const v = new Vector2();
+    assert.equal(v.x, 0);
+    assert.equal(v.y, 0);
+  });
+
+  it("adds, subtracts and scales in place and chains", () => {
+    const v = new Vector2(1, 2);
+    const result = v.add(new Vector2(3, 4)).sub(new Vector2(1, 1)).mult(2);
+    assert.equal(result, v);
+    assert.deepEqual([v.x, v.y], [6, 10]);
+  });
+
+  it("measures magnitude", () => {
+    assert.equal(new Vector2(3, 4).mag(), 5);
+  });
+
+  it("normalizes to unit length", () => {
+    const v = new Vector2(10, -10).normalize();
+    assert.ok(Math.abs(v.mag() - 1) < 1e-12);
+  });
+
+  it("leaves the zero vector alone when normalizing", () => {
+    const v = new Vector2(0, 0).normalize();
+    assert.deepEqual([v.x, v.y], [0, 0]);
+  });
+
+  it("sets and copies in place", () => {
+    const v = new Vector2(1, 2);
+    assert.equal(v.set(3, 4), v);
+    assert.equal(v.copy(new Vector2(5, 6)), v);
+    assert.deepEqual([v.x, v.y], [5, 6]);
+  });
+
+  it("clones into an independent copy", () => {
+    const v = new Vector2(1, 2);
+    const c = v.clone();
+    c.x = 5;
+    assert.equal(v.x, 1);
+    assert.ok(c instanceof Vector2);
+  });
+});
+
+describe("Vector2Array", () => {
+  it("stores vectors as flat arrays, growing as needed", () => {
+    const array = new Vector2Array(2);
+    for (let i = 0; i < 5; i++) assert.equal(array.push(i, -i), i);
+    assert.equal(array.length, 5);
+    assert.ok(array.x instanceof Float32Array && array.x.length >= 5);
+    assert.deepEqual([array.x[3], array.y[3]], [3, -3]);
+  });
+
+  it("hands out live views that work like a Vector2", () => {
+    const array = new Vector2Array(1);
+    const view = array.view(array.push(3, 4));
+    assert.equal(view.mag(), 5);
+    view.add(new Vector2(1, 1)).mult(2);
+    assert.deepEqual([array.x[0], array.y[0]], [8, 10]);
+
+    // Still attached after the arrays grow
+    array.push(0, 0);
+    array.x[0] = 1;
+    assert.equal(view.x, 1);
+
+    const copy = view.clone();
+    assert.ok(copy instanceof Vector2);
+    copy.x = 7;
+    assert.equal(view.x, 1);
+  });
+});
+
+describe("clamp01", () => {
+  it("clamps to 0..1 and is shared by lighting and the flower", () => {
+    assert.deepEqual([-2, 0, 0.25, 1, 3].map(clamp01), [0, 0, 0.25, 1, 1]);
+    require("../static/js/lighting.js");
+    require("../static/js/flower_system.js");
+    assert.equal(globalThis.clamp01, clamp01);
+  });
+});
+
+describe("smoothstep", () => {
+  it("eases 0..1 with flat ends and is shared by weather and lighting", () => {
+    assert.deepEqual([0, 0.5, 1].map(smoothstep), [0, 0.5, 1]);
+    assert.ok(smoothstep(0.1) < 0.1 && smoothstep(0.9) > 0.9);
+    require("../static/js/weather.js");
+    require("../static/js/lighting.js");
+    assert.equal(globalThis.smoothstep, smoothstep);
+  });
+});
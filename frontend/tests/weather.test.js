@@ -0,0 +1,155 @@
+// weather.test.js
+// Seeded weather schedule: determinism, continuity and its effect on the plant.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FlowerSimulation } = require("../static/js/simulation.js");
+const { WeatherSystem, WEATHER_STATES, WEATHER_TRANSITIONS, WEATHER_CONFIG } = require("../static/js/weather.js");
+
+const DAY = WEATHER_CONFIG.DAY;
+const PERIOD = WEATHER_CONFIG.PERIOD;
+const ORIGIN = Date.UTC(2026, 4, 1, 9, 30) / 1000; // s
+
+// First period start (epoch s) whose state is `name`
+function findPeriod(weather, name) {
+  const first = Math.floor(ORIGIN / PERIOD) + 1;
+  for (let period = first; period < first + 30 * (DAY / PERIOD); period++) {
+    if (weather.getPeriodState(period) === name) return period * PERIOD;
+  }
+  throw new Error(`no ${name} period within 30 days`);
+}
+
+describe("WeatherSystem schedule", () => {
+  it("is the same for the same seed and date, whoever asks and whenever", () => {
+    const a = new WeatherSystem(42, ORIGIN * 1000);
+    const b = new WeatherSystem(42, (ORIGIN - 5 * DAY) * 1000);
+    for (let t = ORIGIN; t < ORIGIN + 3 * DAY; t += 977) {
+      assert.deepEqual(a.sampleAt(t), b.sampleAt(t));
+    }
+  });
+
+  it("differs between seeds", () => {
+    const days = (seed) => {
+      const weather = new WeatherSystem(seed, 0);
+      return Array.from({ length: 10 }, (_, day) => weather.getDay(20000 + day)).flat();
+    };
+    assert.notDeepEqual(days(1), days(2));
+  });
+
+  it("only follows allowed transitions within a day", () => {
+    const weather = new WeatherSystem(7, 0);
+    for (let day = 20000; day < 20060; day++) {
+      const states = weather.getDay(day);
+      assert.equal(states.length, DAY / PERIOD);
+      for (let i = 1; i < states.length; i++) {
+        assert.ok(WEATHER_TRANSITIONS[states[i - 1]][states[i]] > 0, `${states[i - 1]} -> ${states[i]}`);
+      }
+    }
+  });
+
+  it("eases between periods, including across midnight", () => {
+    const weather = new WeatherSystem(3, 0);
+    const midnight = 20001 * DAY;
+    for (const boundary of [midnight - PERIOD, midnight, midnight + PERIOD]) {
+      const before = weather.sampleAt(boundary - 0.01);
+      const after = weather.sampleAt(boundary + 0.01);
+      for (const key of Object.keys(WEATHER_STATES.calm)) {
+        assert.ok(Math.abs(before[key] - after[key]) < 1e-3, `${key} jumps at ${boundary}`);
+      }
+    }
+  });
+});
+
+describe("WeatherSystem wind", () => {
+  it("integrates the wind phase continuously, at the current timeScale", () => {
+    const weather = new WeatherSystem(5, ORIGIN * 1000);
+    const h = 1e-3;
+    for (let time = 0; time < 2 * DAY; time += 1811) {
+      const slope = (weather.getPhase(time + h) - weather.getPhase(time)) / h;
+      const { timeScale } = weather.sampleAt(ORIGIN + time);
+      assert.ok(Math.abs(slope - timeScale) < 1e-3, `slope ${slope} != ${timeScale}`);
+    }
+  });
+
+  it("gives the same phase whatever was queried before", () => {
+    const walked = new WeatherSystem(5, ORIGIN * 1000);
+    for (let time = 0; time < 2 * DAY; time += 600) walked.getPhase(time);
+    const fresh = new WeatherSystem(5, ORIGIN * 1000);
+    assert.ok(Math.abs(walked.getPhase(1.5 * DAY) - fresh.getPhase(1.5 * DAY)) < 1e-6);
+    assert.ok(Math.abs(walked.getPhase(100) - fresh.getPhase(100)) < 1e-6);
+  });
+
+  it("keeps the wind force continuous when the weather changes", () => {
+    const weather = new WeatherSystem(11, ORIGIN * 1000);
+    const boundary = findPeriod(weather, "storm") - ORIGIN;
+    const wind = new WindField(11);
+    const pos = { x: 10, y: -150 };
+
+    // Only the noise field: fronts are allowed to arrive abruptly
+    const sample = (time) => {
+      weather.update(time, wind);
+      wind.fronts = [];
+      return wind.getForce(pos, time);
+    };
+    for (let t = boundary - 5; t < boundary + WEATHER_CONFIG.BLEND; t += 7.3) {
+      const a = sample(t);
+      const b = sample(t + 1 / 120);
+      assert.ok(Math.hypot(a.x - b.x, a.y - b.y) < 2, `wind jumps at ${t}`);
+    }
+  });
+
+  it("sends gust fronts across the scene during a storm", () => {
+    const weather = new WeatherSystem(11, ORIGIN * 1000);
+    const stormStart = findPeriod(weather, "storm") + WEATHER_CONFIG.BLEND - ORIGIN;
+
+    let seen = 0;
+    for (let time = stormStart; time < stormStart + 600; time += 0.5) {
+      for (const front of weather.getFronts(time)) {
+        seen++;
+        assert.ok(time >= front.startTime && time <= front.startTime + front.duration);
+        assert.ok(Math.abs(front.dirX) === 1 && front.speed > 0 && front.strength > 0);
+      }
+    }
+    assert.ok(seen > 0);
+
+    const calm = findPeriod(weather, "calm") + WEATHER_CONFIG.BLEND - ORIGIN;
+    for (let time = calm; time < calm + 600; time += 0.5) {
+      assert.equal(weather.getFronts(time).length, 0);
+    }
+  });
+});
+
+describe("Weather and the plant", () => {
+  it("rain weighs the flower down", () => {
+    const flowerTip = (rain) => {
+      const flower = new Flower(0, 0, 42);
+      const env = { gravity: new Vector2(0, 200), wind: new WindField(42), time: 0, rain };
+      for (let i = 0; i < 15 * 120; i++) {
+        env.time += 1 / 120;
+        flower.update(1 / 120, env);
+      }
+      return flower.petals.reduce((sum, petal) => sum + petal.tipPos.y, 0) / flower.petals.length;
+    };
+    assert.ok(flowerTip(1) > flowerTip(0) + 2);
+  });
+
+  it("stays stable through a storm", () => {
+    const probe = new WeatherSystem(11, ORIGIN * 1000);
+    const storm = findPeriod(probe, "storm") + WEATHER_CONFIG.BLEND;
+    const sim = new FlowerSimulation({
+      seed: 11,
+      ageSeconds: 5 * DAY,
+      plantedAt: (storm - 5 * DAY) * 1000,
+      time: 5 * DAY,
+    });
+
+    sim.step(120 * 60);
+    const state = sim.getState();
+    assert.equal(state.weather.state, "storm");
+    assert.equal(state.weather.rain, 1);
+    for (const seg of state.segments) {
+      assert.ok(Number.isFinite(seg.pos.x) && Number.isFinite(seg.pos.y));
+    }
+  });
+});
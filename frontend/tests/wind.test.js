@@ -0,0 +1,150 @@
+// wind.test.js
+// Noise range/continuity and seeded WindField determinism.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+require("../static/js/vector.js");
+require("../static/js/random.js");
+const { WindField, noise, buildPermutation } = require("../static/js/wind.js");
+const { SeededRandom } = require("../static/js/random.js");
+
+describe("noise", () => {
+  it("stays within [-1, 1]", () => {
+    const random = new SeededRandom(1);
+    for (let i = 0; i < 20000; i++) {
+      const value = noise(random.range(-500, 500), random.range(-500, 500));
+      assert.ok(value >= -1 && value <= 1, `noise out of range: ${value}`);
+    }
+  });
+
+  it("is zero on integer lattice points", () => {
+    for (let x = -3; x <= 3; x++) {
+      for (let y = -3; y <= 3; y++) {
+        assert.equal(Math.abs(noise(x, y)), 0);
+      }
+    }
+  });
+
+  it("is continuous: small steps give small changes", () => {
+    const step = 1e-3;
+    for (let x = 0; x < 8; x += 0.0137) {
+      const a = noise(x, 0.5);
+      const b = noise(x + step, 0.5);
+      assert.ok(Math.abs(a - b) < 0.01, `jump of ${Math.abs(a - b)} at x=${x}`);
+    }
+  });
+
+  it("computes classic 2D Perlin noise, bit for bit", () => {
+    // The textbook form, with fade, lerp and grad as functions
+    const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+    const lerp = (t, a, b) => a + t * (b - a);
+    const grad = (hash, x, y) => {
+      const h = hash & 15;
+      const u = h < 8 ? x : y;
+      const v = h < 4 ? y : (h === 12 || h === 14 ? x : 0);
+      return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+    };
+    const reference = (x, y, perm) => {
+      const X = Math.floor(x) & 255;
+      const Y = Math.floor(y) & 255;
+      x -= Math.floor(x);
+      y -= Math.floor(y);
+      const A = perm[X] + Y;
+      const B = perm[X + 1] + Y;
+      return lerp(fade(y),
+        lerp(fade(x), grad(perm[A], x, y), grad(perm[B], x - 1, y)),
+        lerp(fade(x), grad(perm[A + 1], x, y - 1), grad(perm[B + 1], x - 1, y - 1)));
+    };
+
+    const perm = buildPermutation(new SeededRandom(7));
+    const random = new SeededRandom(3);
+    for (let i = 0; i < 5000; i++) {
+      const x = random.range(-600, 600);
+      const y = random.range(-600, 600);
+      assert.equal(noise(x, y, perm), reference(x, y, perm));
+    }
+  });
+
+  it("is reproducible for a seeded permutation", () => {
+    const a = buildPermutation(new SeededRandom(99));
+    const b = buildPermutation(new SeededRandom(99));
+    assert.deepEqual(a, b);
+    assert.equal(noise(1.3, 2.7, a), noise(1.3, 2.7, b));
+  });
+});
+
+describe("WindField", () => {
+  it("returns the same force for the same seed, position and time", () => {
+    const pos = { x: 12, y: -80 };
+    const a = new WindField(42).getForce(pos, 1234.5);
+    const b = new WindField(42).getForce(pos, 1234.5);
+    assert.deepEqual([a.x, a.y], [b.x, b.y]);
+  });
+
+  it("writes into the given vector instead of allocating one", () => {
+    const wind = new WindField(42);
+    const out = new Vector2(99, 99);
+    assert.equal(wind.getForce({ x: 12, y: -80 }, 10, out), out);
+    const fresh = wind.getForce({ x: 12, y: -80 }, 10);
+    assert.deepEqual([out.x, out.y], [fresh.x, fresh.y]);
+  });
+
+  it("differs between seeds", () => {
+    const pos = { x: 12, y: -80 };
+    const a = new WindField(1).getForce(pos, 10);
+    const b = new WindField(2).getForce(pos, 10);
+    assert.notDeepEqual([a.x, a.y], [b.x, b.y]);
+  });
+
+  it("round-trips through JSON, weather and breezes included", () => {
+    const wind = new WindField(42);
+    wind.baseSpeed = 30;
+    wind.phaseOffset = 12.5;
+    wind.addSource({ x: 0, y: -100, dirX: 1, dirY: 0, strength: 50, radius: 60, startTime: 10, duration: 1 });
+
+    const restored = WindField.fromJSON(JSON.parse(JSON.stringify(wind)));
+    for (const time of [0, 10.5, 99]) {
+      const a = wind.getForce({ x: 5, y: -90 }, time);
+      const b = restored.getForce({ x: 5, y: -90 }, time);
+      assert.deepEqual([a.x, a.y], [b.x, b.y]);
+    }
+    assert.throws(() => WindField.fromJSON({ ...wind.toJSON(), version: 0 }), /version/);
+  });
+});
+
+describe("WindField sources", () => {
+  const source = (startTime) => ({
+    x: 0, y: -100, dirX: 1, dirY: 0, strength: 50, radius: 60, startTime, duration: 1,
+  });
+
+  it("pushes along its direction near the center while alive", () => {
+    const pos = { x: 0, y: -100 };
+    const calm = new WindField(7).getForce(pos, 10.5);
+    const wind = new WindField(7);
+    wind.addSource(source(10));
+    const breezy = wind.getForce(pos, 10.5);
+    assert.ok(Math.abs(breezy.x - calm.x - 50) < 1e-9);
+    assert.equal(breezy.y, calm.y);
+  });
+
+  it("has no effect before it starts, after it ends or far away", () => {
+    const wind = new WindField(7);
+    wind.addSource(source(10));
+    const calm = new WindField(7);
+    for (const [pos, time] of [[{ x: 0, y: -100 }, 9], [{ x: 0, y: -100 }, 11.5], [{ x: 2000, y: -100 }, 10.5]]) {
+      const a = wind.getForce(pos, time);
+      const b = calm.getForce(pos, time);
+      assert.ok(Math.abs(a.x - b.x) < 1e-9);
+    }
+  });
+
+  it("drops expired sources and caps the list", () => {
+    const wind = new WindField(7);
+    wind.addSource(source(0));
+    wind.addSource(source(5));
+    assert.equal(wind.sources.length, 1);
+    for (let i = 0; i < 40; i++) wind.addSource(source(5));
+    assert.equal(wind.sources.length, wind.maxSources);
+  });
+});
@@ -0,0 +1,160 @@
+// worker.test.js
+// Worker mode: the frame format and the page <-> worker protocol.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FlowerSimulation } = require("../static/js/simulation.js");
+require("../static/js/lighting.js");
+require("../static/js/palette.js");
+const { hitTestFlower } = require("../static/js/geometry.js");
+require("../static/js/render_canvas.js");
+require("../static/js/render_svg.js");
+require("../static/js/render_webgl.js");
+require("../static/js/renderer.js");
+const { FRAME_LAYOUT, encodeFlowerFrame, decodeFlowerFrame, RemoteSimulation } = require("../static/js/remote_simulation.js");
+const { FlowerWorkerHost } = require("../static/js/simulation_worker.js");
+
+const DAY = 24 * 3600;
+const NOW = Date.UTC(2024, 5, 1, 12);
+
+// A canvas whose 2D context accepts every call
+function mockCanvas() {
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name === "createLinearGradient" || name === "createRadialGradient"
+      ? () => ({ addColorStop() {} })
+      : () => {}),
+    set: () => true,
+  });
+  return { width: 0, height: 0, getContext: (type) => (type === "2d" ? ctx : null) };
+}
+
+// A worker host and the page's RemoteSimulation, wired as postMessage would
+// (messages structured-cloned); frames run when the test calls them
+function connect(simulation) {
+  const frames = [];
+  const listeners = { message: [], error: [] };
+  const emit = (type, event) => listeners[type].forEach((listener) => listener(event));
+  const host = new FlowerWorkerHost(
+    (message) => emit("message", { data: structuredClone(message) }),
+    { requestFrame: (callback) => frames.push(callback) }
+  );
+  const worker = {
+    postMessage: (message) => host.handle(structuredClone(message)),
+    addEventListener: (type, listener) => listeners[type].push(listener),
+  };
+  const remote = new RemoteSimulation(worker, simulation);
+  host.handle({
+    type: "init",
+    canvas: mockCanvas(),
+    size: { width: 300, height: 400, scale: 1 },
+    simulation,
+    snapshot: null,
+    variation: "red",
+    lighting: computeLighting(12),
+    snapshotInterval: 2000,
+  });
+  // Runs the worker's loop for `count` frames of 60 Hz
+  let timestamp = 0;
+  const run = (count) => {
+    for (let i = 0; i < count; i++) {
+      frames.shift()(timestamp);
+      timestamp += 1000 / 60;
+    }
+  };
+  return { host, remote, run, emit };
+}
+
+describe("worker frames", () => {
+  const sim = new FlowerSimulation({ seed: 5, structuralAge: 14 });
+  sim.step(60);
+  const drawn = sim.flower.getRenderState(0.5);
+
+  it("packs the drawn pose into flat arrays", () => {
+    const frame = encodeFlowerFrame(drawn, sim.time);
+    assert.ok(frame.segments instanceof Float64Array && frame.petals instanceof Float64Array);
+    assert.equal(frame.segments.length, drawn.segments.length * FRAME_LAYOUT.SEGMENT.length);
+    assert.equal(frame.petals.length, drawn.petals.length * FRAME_LAYOUT.PETAL.length);
+
+    const decoded = decodeFlowerFrame(structuredClone(frame), drawn.species);
+    assert.equal(decoded.structuralAge, drawn.structuralAge);
+    decoded.segments.forEach((seg, i) => {
+      const { pos, mass, parentIndex, axis } = drawn.segments[i];
+      assert.deepEqual([seg.pos.x, seg.pos.y, seg.mass, seg.parentIndex, seg.axis], [pos.x, pos.y, mass, parentIndex, axis]);
+    });
+  });
+
+  it("hit-tests the same as the live plant", () => {
+    const decoded = decodeFlowerFrame(encodeFlowerFrame(drawn, sim.time), drawn.species);
+    let hits = 0;
+    for (let y = -300; y <= 0; y += 6) {
+      for (let x = -60; x <= 60; x += 6) {
+        const point = new Vector2(x, y);
+        const hit = hitTestFlower(drawn, point);
+        assert.deepEqual(hitTestFlower(decoded, point), hit);
+        if (hit) hits++;
+      }
+    }
+    assert.ok(hits > 20);
+  });
+});
+
+describe("simulation worker", () => {
+  const options = { seed: 42, ageSeconds: 4 * DAY, plantedAt: NOW - 4 * DAY, time: 4 * DAY };
+
+  it("steps and draws in the worker, sending the pose and snapshots back", () => {
+    const { host, remote, run } = connect(options);
+    assert.equal(remote.flower.species.id, host.simulation.flower.species.id);
+    assert.equal(remote.flower.segments.length, 0);
+    assert.equal(remote.toJSON(), null);
+
+    run(30);
+    assert.ok(remote.time > options.time);
+    assert.equal(remote.time, host.simulation.time);
+    assert.equal(remote.flower.segments.length, host.simulation.flower.segments.length);
+    // A snapshot on the first frame, the next one only after the interval
+    assert.equal(remote.toJSON().time, options.time);
+  });
+
+  it("forwards grabs, breezes, age and care", () => {
+    const { host, remote, run } = connect(options);
+    run(2);
+
+    const tip = remote.flower.segments[host.simulation.flower.tipIndex].pos;
+    const hit = hitTestFlower(remote.flower, tip);
+    assert.equal(hit.type, "segment");
+    remote.flower.grab(hit.type, hit.index, new Vector2(tip.x + 80, tip.y));
+    assert.deepEqual(host.simulation.flower.grabbed.target, new Vector2(tip.x + 80, tip.y));
+    run(30);
+    assert.ok(remote.flower.segments[hit.index].pos.x > tip.x + 20);
+    remote.flower.release(new Vector2(100, 0));
+    assert.equal(host.simulation.flower.grabbed, null);
+
+    remote.wind.addSource({ x: 0, y: -100, dirX: 1, dirY: 0, strength: 50, radius: 80, startTime: remote.time, duration: 1 });
+    assert.equal(host.simulation.wind.sources.length, 1);
+
+    remote.setAgeSeconds(5 * DAY);
+    assert.equal(host.simulation.ageSeconds, 5 * DAY);
+    remote.setCare([{ kind: "water", age: 4 * DAY }]);
+    assert.deepEqual(host.simulation.options.care, remote.options.care);
+    remote.setLighting(computeLighting(23));
+    assert.equal(host.simulation.darkness, computeLighting(23).darkness);
+  });
+
+  it("hands the page a local copy of the plant on request", async () => {
+    const { host, remote, run } = connect(options);
+    run(10);
+    const copy = await remote.fetchSimulation();
+    assert.ok(copy instanceof FlowerSimulation);
+    assert.deepEqual(copy.getState(), host.simulation.getState());
+  });
+
+  it("fails a pending copy when the worker fails", async () => {
+    const { host, remote, emit } = connect(options);
+    host.handle = () => {}; // The worker died before it could answer
+    const copy = remote.fetchSimulation();
+    emit("error", { message: "out of memory" });
+    await assert.rejects(copy, /out of memory/);
+    assert.equal(remote.requests.size, 0);
+  });
+});